@@ -15,13 +15,57 @@
  * ║    via props. Os filhos notificam mudanças via callbacks.       ║
  * ╚══════════════════════════════════════════════════════════════════╝
  */
-import { useState, useCallback, useEffect, useRef } from "react";
+import { useState, useCallback, useEffect, useRef, useMemo } from "react";
+import PropTypes from "prop-types";
+import { Loader2 } from "lucide-react";
+import { supabase } from "./supabaseClient";
+import { useAuth } from "./hooks/useAuth";
 import { useTechs } from "./hooks/useTechs";
+import { useLayoutSync } from "./hooks/useLayoutSync";
+import { useBoards } from "./hooks/useBoards";
+import { useHistory } from "./hooks/useHistory";
+import { useCrossTabLayout } from "./hooks/useCrossTabLayout";
+import {
+  loadLayout,
+  saveLayout,
+  flushLayout,
+  pruneEntries,
+  loadViewMode,
+  saveViewMode,
+  loadSortMode,
+  saveSortMode,
+  loadCategoryFilter,
+  saveCategoryFilter,
+} from "./services/layoutStore";
+import { matchesCategoryFilter, suggestCategories } from "./data/categories";
+import { DEFAULT_PRIORITY_SCALE, boardPriorityScale, remapPriority } from "./data/priorities";
 import TechFormWidget from "./components/TechFormWidget";
 import BrandLogoWidget from "./components/BrandLogoWidget";
 import ZoomControls from "./components/ZoomControls";
+import CanvasMinimap from "./components/CanvasMinimap";
 import TechList from "./components/TechList";
+import TechForm from "./components/TechForm";
+import KanbanBoard from "./components/KanbanBoard";
+import CalendarBoard from "./components/CalendarBoard";
+import ViewModeToggle from "./components/ViewModeToggle";
+import LearningPathPanel from "./components/LearningPathPanel";
+import CategoryFilter from "./components/CategoryFilter";
+import PrioritySettings from "./components/PrioritySettings";
+import DuplicateMergePanel from "./components/DuplicateMergePanel";
+import TechDetailPanel from "./components/TechDetailPanel";
 import ErrorBanner from "./components/ErrorBanner";
+import SyncIndicator from "./components/SyncIndicator";
+import AuthScreen from "./components/AuthScreen";
+import UserMenu from "./components/UserMenu";
+import BoardSwitcher from "./components/BoardSwitcher";
+import HistoryControls from "./components/HistoryControls";
+import TrashPanel from "./components/TrashPanel";
+import ExportMenu from "./components/ExportMenu";
+import { buildBoardExport } from "./services/boardTransfer";
+import { layeredPositions } from "./services/prerequisites";
+import { mergeGroup } from "./services/duplicates";
+import { downloadFile, slugify, todayStamp } from "./services/download";
+import { toMarkdown, toCsv, openPrintableRoadmap } from "./services/listExport";
 
 /**
  * calculateGridPositions — Auto-layouter para cards novos.
@@ -73,23 +117,66 @@ function calculateGridPositions(techs, existingPositions, containerWidth = 900)
     nextIndex++;
   });
 
-  return positions;
+  // Nada novo para posicionar → devolve o MESMO objeto (React não re-renderiza)
+  return nextIndex === 0 ? existingPositions : positions;
 }
 
-function App() {
-  /**
-   * 🎓 MENTORIA — Hook useTechs
-   * Desestruturação do hook customizado. Cada valor retornado é uma
-   * peça do estado ou uma ação (CRUD):
-   * - techs: array de tecnologias vindas do Supabase
-   * - loading: boolean, true enquanto carrega
-   * - error: string com mensagem de erro (ou null)
-   * - addTech, updateTech, deleteTech: funções async de CRUD
-   * - clearError: limpa o banner de erro
-   */
-  const { techs, loading, error, addTech, updateTech, deleteTech, clearError } =
-    useTechs();
+/**
+ * renameKey — Copia um mapa trocando a chave `oldKey` por `newKey`.
+ * Se a chave antiga não existir, devolve o próprio mapa (sem re-render).
+ */
+function renameKey(map, oldKey, newKey) {
+  if (!(oldKey in map)) return map;
+  const { [oldKey]: value, ...rest } = map;
+  return { ...rest, [newKey]: value };
+}
+
+// Limites do zoom: 10% a 500%
+const MIN_SCALE = 0.1;
+const MAX_SCALE = 5;
+
+/**
+ * zoomAround — Nova câmera com outro zoom, mantendo PARADO o ponto da
+ * tela `anchor` (cursor, meio da pinça ou centro da tela).
+ *
+ * ╔══════════════════════════════════════════════════════════════════╗
+ * ║  🎓 MENTORIA — ZOOM ANCORADO                                   ║
+ * ║                                                                ║
+ * ║  Com transformOrigin "0 0", mudar só o scale "encolhe" tudo    ║
+ * ║  em direção ao canto superior esquerdo. Para o ponto sob o     ║
+ * ║  cursor ficar onde está:                                       ║
+ * ║    1. Descobre qual ponto do MUNDO está sob a âncora:          ║
+ * ║       mundo = (âncora − x) / scale                             ║
+ * ║    2. Escolhe o novo x para esse ponto cair na âncora de novo: ║
+ * ║       x' = âncora − mundo × scale'                             ║
+ * ║  (o mesmo para y). É o que Figma e Google Maps fazem.          ║
+ * ╚══════════════════════════════════════════════════════════════════╝
+ *
+ * @param {Object} view - Câmera atual { x, y, scale }
+ * @param {number} nextScale - Zoom desejado (é limitado a 10%–500%)
+ * @param {Object} anchor - Ponto da tela { x, y } relativo ao container
+ */
+function zoomAround(view, nextScale, anchor) {
+  const scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, nextScale));
+  const worldX = (anchor.x - view.x) / view.scale;
+  const worldY = (anchor.y - view.y) / view.scale;
+  return { x: anchor.x - worldX * scale, y: anchor.y - worldY * scale, scale };
+}
 
+/**
+ * Dashboard — O canvas de UM board de um usuário.
+ *
+ * Todo o layout salvo (localStorage e nuvem) é separado por board:
+ * cada board tem o seu documento de layout (ver layoutStore.js).
+ *
+ * @param {Object} user - Usuário do Supabase Auth (null no modo Offline)
+ * @param {string} boardId - Board exibido neste canvas
+ * @param {string} boardName - Nome do board (usado nos arquivos exportados)
+ * @param {Object} priorityScale - Escala de prioridades do board (ver data/priorities)
+ * @param {Function} onPriorityScaleChange - async (boardId, escala) → true se salvou
+ * @param {Function} onSignOut - Encerra a sessão (ausente no modo Offline)
+ */
+function Dashboard({ user, boardId, boardName, priorityScale, onPriorityScaleChange, onSignOut }) {
   // ═══════════════════════════════════════════════════════
   // 📦 ESTADO: Posições e Tamanhos (Cards + Widgets)
   // ═══════════════════════════════════════════════════════
@@ -99,56 +186,102 @@ function App() {
    *
    * Passamos uma FUNÇÃO para useState (em vez de um valor direto).
    * Isso faz o React executar a função APENAS na primeira renderização.
-   * Importante porque localStorage.getItem + JSON.parse é "caro" —
+   * Importante porque ler + validar o localStorage é "caro" —
    * não queremos executar a cada re-render.
    *
-   * Sintaxe: useState(() => { ... }) em vez de useState(valor)
-   */
-  const [positions, setPositions] = useState(() => {
-    const saved = localStorage.getItem("tech_layout_positions");
-    if (saved) {
-      const parsed = JSON.parse(saved);
-      const sanitized = {};
-      // Math.max(0, ...) garante que nenhum card fique em coordenadas negativas
-      Object.keys(parsed).forEach((key) => {
-        sanitized[key] = {
-          x: Math.max(0, parsed[key].x),
-          y: Math.max(0, parsed[key].y),
-        };
-      });
-      return sanitized;
-    }
-    return {}; // Primeiro acesso: nenhum card posicionado
-  });
+   * loadLayout (layoutStore) devolve o layout INTEIRO do board, já
+   * migrado e validado; cada seção vira um estado independente.
+   */
+  const [initialLayout] = useState(() => loadLayout(boardId));
 
-  const [sizes, setSizes] = useState(() => {
-    const saved = localStorage.getItem("tech_layout_sizes");
-    return saved ? JSON.parse(saved) : {};
-  });
+  const [positions, setPositions] = useState(initialLayout.positions);
+  const [sizes, setSizes] = useState(initialLayout.sizes);
 
-  // Posição e tamanho do Widget de Formulário
-  const [formPos, setFormPos] = useState(() => {
-    const saved = localStorage.getItem("tech_layout_form_pos");
-    if (saved) {
-      const p = JSON.parse(saved);
-      return { x: Math.max(0, p.x), y: Math.max(0, p.y) };
-    }
-    return { x: 20, y: 140 }; // Posição padrão no canto superior esquerdo
-  });
-  const [formSize, setFormSize] = useState(() => {
-    const saved = localStorage.getItem("tech_layout_form_size");
-    return saved ? JSON.parse(saved) : { w: 360, h: "auto" };
-  });
+  // Posição e tamanho do Widget de Formulário + posição do Logo
+  const [formPos, setFormPos] = useState(initialLayout.formPos);
+  const [formSize, setFormSize] = useState(initialLayout.formSize);
+  const [logoPos, setLogoPos] = useState(initialLayout.logoPos);
 
-  // Posição do Logo Widget
-  const [logoPos, setLogoPos] = useState(() => {
-    const saved = localStorage.getItem("tech_layout_logo_pos");
-    if (saved) {
-      const p = JSON.parse(saved);
-      return { x: Math.max(0, p.x), y: Math.max(0, p.y) };
+  /**
+   * O histórico (desfazer/refazer) guarda ids. Se o id de um card mudou
+   * depois que a ação foi registrada, resolveId devolve o id atual.
+   */
+  const remappedIdsRef = useRef(new Map());
+  const resolveId = useCallback((id) => {
+    let current = id;
+    while (remappedIdsRef.current.has(String(current))) {
+      current = remappedIdsRef.current.get(String(current));
     }
-    return { x: 400, y: 20 };
-  });
+    return current;
+  }, []);
+
+  /**
+   * 🎓 MENTORIA — Migração de ids
+   * Um card criado sem conexão nasce com id temporário ("tmp-...").
+   * Quando o servidor confirma, o id muda — e a posição/tamanho
+   * salvos precisam "mudar de chave" junto, senão o card pula de lugar.
+   */
+  const handleIdRemap = useCallback((oldId, newId) => {
+    remappedIdsRef.current.set(String(oldId), newId);
+    setPositions((prev) => renameKey(prev, oldId, newId));
+    setSizes((prev) => renameKey(prev, oldId, newId));
+  }, []);
+
+  /**
+   * 🎓 MENTORIA — Hook useTechs
+   * Desestruturação do hook customizado. Cada valor retornado é uma
+   * peça do estado ou uma ação (CRUD):
+   * - techs: array de tecnologias vindas do Supabase
+   * - trash: tecnologias removidas (lixeira)
+   * - loading: boolean, true enquanto carrega
+   * - error: string com mensagem de erro (ou null)
+   * - online / pendingCount / syncStatus: estado da fila offline
+   * - addTech, updateTech, deleteTech: funções async de CRUD
+   * - restoreTech, purgeTech: restaurar / excluir para sempre (lixeira)
+   * - clearError: limpa o banner de erro
+   * - syncNow: força o reenvio da fila offline
+   */
+  const {
+    techs,
+    trash,
+    loading,
+    error,
+    online,
+    pendingCount,
+    syncStatus,
+    addTech,
+    updateTech,
+    deleteTech,
+    restoreTech,
+    purgeTech,
+    clearError,
+    syncNow,
+  } = useTechs({ userId: user?.id, boardId, onIdRemap: handleIdRemap });
+
+  /**
+   * 🎓 MENTORIA — Hook useHistory (Desfazer / Refazer)
+   * Toda ação do usuário no canvas passa por um handler abaixo que,
+   * além de aplicar a mudança, registra COMO desfazê-la.
+   */
+  const {
+    record: recordHistory,
+    undo,
+    redo,
+    canUndo,
+    canRedo,
+    undoLabel,
+    redoLabel,
+    error: historyError,
+    clearError: clearHistoryError,
+  } = useHistory();
+
+  // "Janelas" para o valor mais recente (lidas pelos comandos do histórico)
+  const techsRef = useRef(techs);
+  const layoutRef = useRef(null);
+
+  useEffect(() => {
+    techsRef.current = techs;
+  }, [techs]);
 
   // ═══════════════════════════════════════════════════════
   // 🎥 VIEW STATE — Câmera do Canvas Infinito (Pan & Zoom)
@@ -168,10 +301,50 @@ function App() {
    *   transform: translate(x, y) scale(scale)
    *   transformOrigin: 0 0  ← (topo-esquerdo como ponto de referência)
    */
-  const [viewState, setViewState] = useState(() => {
-    const saved = localStorage.getItem("tech_layout_view");
-    return saved ? JSON.parse(saved) : { x: 0, y: 0, scale: 1 };
-  });
+  const [viewState, setViewState] = useState(initialLayout.viewState);
+
+  /**
+   * Visão do board: "canvas" (cards livres, com câmera) ou "kanban"
+   * (colunas por status). Lembrada por board, neste navegador.
+   */
+  const [viewMode, setViewMode] = useState(() => loadViewMode(boardId));
+
+  useEffect(() => {
+    saveViewMode(boardId, viewMode);
+  }, [viewMode, boardId]);
+
+  // Ordem dos cards nas colunas do Kanban: prioridade ou data-alvo
+  const [sortMode, setSortMode] = useState(() => loadSortMode(boardId));
+
+  useEffect(() => {
+    saveSortMode(boardId, sortMode);
+  }, [sortMode, boardId]);
+
+  /**
+   * Filtro por categoria (também lembrado por board).
+   * As visões recebem só os ids que estão FORA do filtro: esmaecidos
+   * ou ocultos, conforme o modo — elas não precisam saber de categorias.
+   */
+  const [categoryFilter, setCategoryFilter] = useState(() => loadCategoryFilter(boardId));
+
+  useEffect(() => {
+    saveCategoryFilter(boardId, categoryFilter);
+  }, [categoryFilter, boardId]);
+
+  const { visibleTechs, dimmedIds } = useMemo(() => {
+    const outside = techs.filter((tech) => !matchesCategoryFilter(tech, categoryFilter));
+    if (outside.length === 0) return { visibleTechs: techs, dimmedIds: null };
+    const ids = new Set(outside.map((tech) => tech.id));
+    return categoryFilter.mode === "hide"
+      ? { visibleTechs: techs.filter((tech) => !ids.has(tech.id)), dimmedIds: null }
+      : { visibleTechs: techs, dimmedIds: ids };
+  }, [techs, categoryFilter]);
+
+  // Painel de detalhes: { id, tab } do card aberto (null = fechado)
+  const [detail, setDetail] = useState(null);
+  const detailTech = detail && techs.find((t) => String(t.id) === String(resolveId(detail.id)));
+
+  const openDetails = useCallback((id, tab = "progress") => setDetail({ id, tab }), []);
 
   // Ref do container principal (para medir largura, etc.)
   const containerRef = useRef(null);
@@ -183,15 +356,481 @@ function App() {
   /**
    * 🎓 MENTORIA — useEffect com array de dependências
    *
-   * Este useEffect roda toda vez que a lista `techs` muda.
+   * Este useEffect roda toda vez que a lista `techs` (ou o mapa de
+   * posições) muda.
    * → Quando o Supabase retorna novos dados, o grid é recalculado.
    * → Cards que já têm posição NÃO são movidos (preserva layout).
+   * → Se o layout vindo da nuvem não conhece algum card, ele ganha
+   *   uma posição no grid (senão ficaria empilhado em 0,0).
    */
   useEffect(() => {
     if (techs.length === 0) return; // Sem cards, nada a fazer
     const width = containerRef.current?.offsetWidth || 900;
     setPositions((prev) => calculateGridPositions(techs, prev, width));
-  }, [techs]);
+  }, [techs, positions]);
+
+  /**
+   * 🧹 Limpeza do layout: posição e tamanho de um card excluído PARA
+   * SEMPRE não servem mais. Cards na lixeira continuam no layout
+   * (restaurar devolve o card ao mesmo lugar).
+   * Lista vazia = nada carregou (erro, offline sem cache) → não
+   * arriscamos apagar o layout inteiro.
+   */
+  useEffect(() => {
+    if (loading) return;
+    const ids = [...techs, ...trash].map((t) => String(t.id));
+    if (ids.length === 0) return;
+
+    const validIds = new Set(ids);
+    setPositions((prev) => pruneEntries(prev, validIds));
+    setSizes((prev) => pruneEntries(prev, validIds));
+  }, [techs, trash, loading]);
+
+  // ═══════════════════════════════════════════════════════
+  // ↩️ AÇÕES COM HISTÓRICO (Desfazer / Refazer)
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * Escreve UMA seção do layout. Com id, altera só a entrada daquele
+   * card (value undefined = remove a entrada → o grid reposiciona).
+   * Assim, desfazer o movimento de um card não mexe nos outros.
+   */
+  const writeLayout = useCallback((section, id, value) => {
+    const setter = {
+      positions: setPositions,
+      sizes: setSizes,
+      formPos: setFormPos,
+      formSize: setFormSize,
+      logoPos: setLogoPos,
+    }[section];
+
+    if (id === undefined) {
+      setter(value);
+      return;
+    }
+    setter((prev) => {
+      const key = resolveId(id);
+      if (value !== undefined) return { ...prev, [key]: value };
+      const { [key]: _removed, ...rest } = prev;
+      return rest;
+    });
+  }, [resolveId]);
+
+  /**
+   * Aplica uma mudança de layout e registra no histórico
+   * o valor ANTERIOR (para desfazer) e o NOVO (para refazer).
+   */
+  const changeLayout = useCallback(
+    ({ section, id, value, label, mergeKey }) => {
+      const current = layoutRef.current[section];
+      const before = id === undefined ? current : current[resolveId(id)];
+
+      writeLayout(section, id, value);
+      recordHistory({
+        label,
+        mergeKey,
+        undo: () => writeLayout(section, id, before),
+        redo: () => writeLayout(section, id, value),
+      });
+    },
+    [writeLayout, resolveId, recordHistory]
+  );
+
+  /**
+   * Desfazer um "adicionar" manda o card para a lixeira; refazer o
+   * restaura. Como é soft delete, o id (e o layout) continuam os mesmos.
+   */
+  const handleAddTech = useCallback(
+    async (tech) => {
+      // Categoria automática pelo catálogo de ícones ("React" → Frontend);
+      // nome desconhecido fica sem categoria salva (null = derivar depois)
+      const suggested = suggestCategories(tech.name);
+      const id = await addTech(suggested.length > 0 ? { ...tech, categories: suggested } : tech);
+      if (!id) return false;
+
+      recordHistory({
+        label: `adicionar "${tech.name}"`,
+        undo: () => deleteTech(resolveId(id)),
+        redo: () => restoreTech(resolveId(id)),
+      });
+      return id;
+    },
+    [addTech, deleteTech, restoreTech, recordHistory, resolveId]
+  );
+
+  const handleUpdateTech = useCallback(
+    async (id, updates) => {
+      const previous = techsRef.current.find((t) => String(t.id) === String(id));
+      const success = await updateTech(id, updates);
+      if (!success || !previous) return success;
+
+      // Só os campos alterados voltam ao valor anterior
+      const before = Object.fromEntries(
+        Object.keys(updates).map((key) => [key, previous[key]])
+      );
+      recordHistory({
+        label: `editar "${previous.name}"`,
+        undo: () => updateTech(resolveId(id), before),
+        redo: () => updateTech(resolveId(id), updates),
+      });
+      return success;
+    },
+    [updateTech, recordHistory, resolveId]
+  );
+
+  /**
+   * Remover = mandar para a lixeira. Desfazer restaura o card
+   * no mesmo lugar e com o mesmo tamanho.
+   */
+  const handleDeleteTech = useCallback(
+    async (id) => {
+      const tech = techsRef.current.find((t) => String(t.id) === String(id));
+      const success = await deleteTech(id);
+      if (!success || !tech) return success;
+
+      recordHistory({
+        label: `remover "${tech.name}"`,
+        undo: () => restoreTech(resolveId(id)),
+        redo: () => deleteTech(resolveId(id)),
+      });
+      return success;
+    },
+    [deleteTech, restoreTech, recordHistory, resolveId]
+  );
+
+  /** Restaurar pela lixeira também pode ser desfeito */
+  const handleRestoreTech = useCallback(
+    async (id) => {
+      const tech = trash.find((t) => String(t.id) === String(id));
+      const success = await restoreTech(id);
+      if (!success || !tech) return success;
+
+      recordHistory({
+        label: `restaurar "${tech.name}"`,
+        undo: () => deleteTech(resolveId(id)),
+        redo: () => restoreTech(resolveId(id)),
+      });
+      return success;
+    },
+    [trash, deleteTech, restoreTech, recordHistory, resolveId]
+  );
+
+  // ═══════════════════════════════════════════════════════
+  // 📤 EXPORTAR / IMPORTAR BOARD
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * Exporta o board no formato escolhido no ExportMenu:
+   * - json: backup completo (reimportável), com layout
+   * - markdown / csv: lista ordenada por prioridade, para docs e planilhas
+   * - roadmap: página formatada para impressão
+   *
+   * Retorna uma mensagem de erro (exibida no menu) ou null.
+   */
+  const handleExport = useCallback(
+    (format) => {
+      const techList = techsRef.current;
+      const baseName = `${slugify(boardName)}-${todayStamp()}`;
+
+      if (format === "json") {
+        const doc = buildBoardExport({ boardName, priorityScale, techs: techList, layout: layoutRef.current });
+        downloadFile(`${baseName}.json`, JSON.stringify(doc, null, 2), "application/json");
+      } else if (format === "markdown") {
+        downloadFile(`${baseName}.md`, toMarkdown(techList, boardName, priorityScale), "text/markdown");
+      } else if (format === "csv") {
+        downloadFile(`${baseName}.csv`, toCsv(techList, priorityScale), "text/csv");
+      } else if (format === "roadmap" && !openPrintableRoadmap(techList, boardName, priorityScale)) {
+        return "O navegador bloqueou a nova aba. Permita pop-ups para imprimir o roadmap.";
+      }
+      return null;
+    },
+    [boardName, priorityScale]
+  );
+
+  /**
+   * 🎓 MENTORIA — Remapeamento de ids
+   * Os ids do arquivo pertencem a OUTRO banco (ou a outro board).
+   * Cada tecnologia importada é criada de novo e ganha um id novo;
+   * o mapa "id antigo → id novo" leva posição e tamanho junto.
+   *
+   * - merge:   as importadas entram à direita dos cards atuais
+   * - replace: as atuais vão para a lixeira e o layout do arquivo
+   *            (widgets e câmera) é aplicado por inteiro
+   *
+   * As prioridades do arquivo são convertidas da escala dele (a padrão,
+   * em arquivos antigos) para a escala DESTE board.
+   *
+   * Retorna quantas tecnologias foram importadas.
+   */
+  const handleImportBoard = useCallback(
+    async (doc, mode) => {
+      const { positions: filePositions, sizes: fileSizes } = doc.layout;
+
+      if (mode === "replace") {
+        for (const tech of techsRef.current) {
+          await deleteTech(tech.id);
+        }
+      }
+
+      // Merge: desloca os importados para depois do card mais à direita
+      let offsetX = 0;
+      if (mode === "merge") {
+        const { positions: current, sizes: currentSizes } = layoutRef.current;
+        const rightEdge = Math.max(
+          0,
+          ...techsRef.current.map((t) => (current[t.id]?.x ?? 0) + (currentSizes[t.id]?.w ?? 280))
+        );
+        const leftmost = Math.min(...Object.values(filePositions).map((p) => p.x), Infinity);
+        offsetX = rightEdge + 40 - (Number.isFinite(leftmost) ? leftmost : 0);
+      }
+
+      const fileScale = doc.board.priority_scale ?? DEFAULT_PRIORITY_SCALE;
+
+      let imported = 0;
+      const newIds = new Map(); // id no arquivo → id novo
+      for (const { id: oldId, prerequisites: _prerequisites, ...fields } of doc.techs) {
+        const newId = await addTech({
+          ...fields,
+          priority: remapPriority(fields.priority, fileScale, priorityScale),
+        });
+        if (!newId) continue;
+        imported++;
+        newIds.set(String(oldId), newId);
+
+        const position = filePositions[oldId];
+        if (position) writeLayout("positions", newId, { x: position.x + offsetX, y: position.y });
+        if (fileSizes[oldId]) writeLayout("sizes", newId, fileSizes[oldId]);
+      }
+
+      /**
+       * Pré-requisitos apontam para ids DO ARQUIVO: só dá para gravá-los
+       * depois que todos foram inseridos e ganharam ids novos. Num import
+       * offline eles ainda são temporários: a edição vai para a fila e o
+       * outbox troca cada id temporário pelo definitivo no sync
+       * (ver remapOutboxId).
+       */
+      for (const { id: oldId, prerequisites } of doc.techs) {
+        const newId = newIds.get(String(oldId));
+        if (!newId || !prerequisites?.length) continue;
+
+        const mapped = prerequisites
+          .map((id) => newIds.get(String(id)))
+          .filter(Boolean)
+          .map((id) => String(resolveId(id)));
+        if (mapped.length > 0) await updateTech(resolveId(newId), { prerequisites: mapped });
+      }
+
+      if (mode === "replace") {
+        ["formPos", "formSize", "logoPos"].forEach((section) => {
+          if (doc.layout[section]) writeLayout(section, undefined, doc.layout[section]);
+        });
+        if (doc.layout.viewState) setViewState(doc.layout.viewState);
+      }
+
+      return imported;
+    },
+    [addTech, deleteTech, updateTech, writeLayout, resolveId, priorityScale]
+  );
+
+  /**
+   * Reposiciona os cards em colunas, uma por etapa da trilha de
+   * aprendizado (pré-requisitos à esquerda). Um único passo no histórico.
+   */
+  const handleArrangeByPath = useCallback(() => {
+    changeLayout({
+      section: "positions",
+      value: { ...layoutRef.current.positions, ...layeredPositions(techsRef.current) },
+      label: "organizar pela trilha",
+    });
+  }, [changeLayout]);
+
+  /**
+   * 🎓 MENTORIA — Trocar a escala sem "perder" prioridades
+   * A coluna priority guarda só um número. Se o board passa de 5 níveis
+   * para 3, um card com prioridade 5 ficaria fora da escala — e o
+   * order("priority") do fetch misturaria valores das duas escalas.
+   * Por isso cada tecnologia (inclusive as da lixeira) é convertida
+   * para ela: pelo mapa do editor (cada card fica no rótulo que o
+   * usuário manteve) ou, sem mapa, proporcionalmente.
+   *
+   * A ORDEM importa: primeiro as tecnologias, a escala por último. Se
+   * alguma conversão falhar, as que já foram convertidas voltam ao valor
+   * antigo e a escala não é salva — o board nunca fica com a escala nova
+   * e parte dos cards na antiga.
+   *
+   * Configuração do board, não edição de card: fica fora do histórico.
+   */
+  const handleChangePriorityScale = useCallback(
+    async (scale, mapping = null) => {
+      const changes = [...techsRef.current, ...trash]
+        .map((tech) => ({
+          id: tech.id,
+          before: tech.priority,
+          after: remapPriority(tech.priority, priorityScale, scale, mapping),
+        }))
+        .filter((change) => change.after !== change.before);
+
+      const converted = [];
+      const rollback = async () => {
+        for (const change of converted) await updateTech(change.id, { priority: change.before });
+      };
+
+      for (const change of changes) {
+        if (!(await updateTech(change.id, { priority: change.after }))) {
+          await rollback();
+          return false;
+        }
+        converted.push(change);
+      }
+
+      const success = await onPriorityScaleChange(boardId, scale);
+      if (!success) await rollback();
+      return success;
+    },
+    [onPriorityScaleChange, boardId, trash, priorityScale, updateTech]
+  );
+
+  // ═══════════════════════════════════════════════════════
+  // 🎯 CÂMERA — Centralizar um ponto do canvas
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * Move a câmera (mantendo o zoom) para que o ponto do MUNDO fique no
+   * centro da tela. Usado pelo "Ver card" e pelo minimapa.
+   */
+  const centerCamera = useCallback((point) => {
+    const width = containerRef.current?.offsetWidth || 900;
+    const height = containerRef.current?.offsetHeight || 600;
+    setViewState((prev) => ({
+      ...prev,
+      x: width / 2 - point.x * prev.scale,
+      y: height / 2 - point.y * prev.scale,
+    }));
+  }, []);
+
+  /**
+   * Widgets do canvas para o minimapa. O formulário tem altura "auto" e o
+   * logo não tem tamanho salvo — usamos o tamanho aproximado deles.
+   */
+  const minimapWidgets = useMemo(
+    () => [
+      { id: "form", ...formPos, w: formSize.w, h: typeof formSize.h === "number" ? formSize.h : 420 },
+      { id: "logo", ...logoPos, w: 320, h: 110 },
+    ],
+    [formPos, formSize, logoPos]
+  );
+
+  // ═══════════════════════════════════════════════════════
+  // 🔁 TECNOLOGIAS REPETIDAS
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * "Ver card" do aviso de repetida: no canvas, a câmera centraliza o
+   * card (mantendo o zoom); em qualquer visão, o painel de detalhes abre.
+   */
+  const handleJumpToTech = useCallback(
+    (id) => {
+      const position = layoutRef.current.positions[id];
+      if (viewMode === "canvas" && position) {
+        const size = layoutRef.current.sizes[id] ?? { w: 280, h: 72 };
+        centerCamera({ x: position.x + size.w / 2, y: position.y + size.h / 2 });
+      }
+      openDetails(id);
+    },
+    [viewMode, openDetails, centerCamera]
+  );
+
+  /** "Subir prioridade" do aviso: uma edição comum do card (vai para o histórico) */
+  const handleBumpPriority = useCallback(
+    (id, priority) => handleUpdateTech(id, { priority }),
+    [handleUpdateTech]
+  );
+
+  /**
+   * 🎓 MENTORIA — Mesclagem como UM passo do histórico
+   * Cada grupo mexe em vários cards: o que fica recebe os campos
+   * mesclados, as repetidas vão para a lixeira e quem dependia delas
+   * passa a depender do que ficou. As mudanças são calculadas numa
+   * cópia da lista ANTES de aplicar — assim dá para guardar o valor
+   * anterior de cada campo e desfazer tudo de uma vez.
+   *
+   * Ligações que fechariam um ciclo na trilha são descartadas (ver
+   * mergeGroup) e devolvidas para o painel avisar o usuário.
+   *
+   * @param {Array} merges - [{ keeperId, otherIds }]
+   * @returns {Promise<Array<{ tech: string, prerequisite: string }>>} Ligações descartadas
+   */
+  const handleMergeDuplicates = useCallback(
+    async (merges) => {
+      const working = new Map(techsRef.current.map((t) => [String(t.id), t]));
+      const changes = new Map(); // id → { id, before, after }
+      const removedIds = [];
+      const dropped = [];
+
+      const change = (tech, updates) => {
+        const key = String(tech.id);
+        const entry = changes.get(key) ?? { id: tech.id, before: {}, after: {} };
+        Object.keys(updates).forEach((field) => {
+          if (!(field in entry.before)) entry.before[field] = tech[field];
+        });
+        entry.after = { ...entry.after, ...updates };
+        changes.set(key, entry);
+        working.set(key, { ...tech, ...updates });
+      };
+
+      for (const { keeperId, otherIds } of merges) {
+        const keeper = working.get(String(keeperId));
+        const others = otherIds.map((id) => working.get(String(id))).filter(Boolean);
+        if (!keeper || others.length === 0) continue;
+
+        const merged = mergeGroup([...working.values()], keeper, others);
+        merged.dropped.forEach(({ techId, prerequisiteId }) =>
+          dropped.push({
+            tech: working.get(techId)?.name ?? "?",
+            prerequisite: working.get(prerequisiteId)?.name ?? "?",
+          })
+        );
+        change(keeper, merged.fields);
+        others.forEach((tech) => {
+          working.delete(String(tech.id));
+          removedIds.push(tech.id);
+        });
+        merged.redirects.forEach(({ id, prerequisites }) => change(working.get(String(id)), { prerequisites }));
+      }
+      if (removedIds.length === 0) return dropped;
+
+      // Cada passo devolve true/false; o histórico só anda se TODOS derem certo
+      const apply = async (side) => {
+        let ok = true;
+        for (const entry of changes.values()) {
+          ok = (await updateTech(resolveId(entry.id), entry[side])) && ok;
+        }
+        return ok;
+      };
+      const eachRemoved = async (action) => {
+        let ok = true;
+        for (const id of removedIds) ok = (await action(resolveId(id))) && ok;
+        return ok;
+      };
+
+      await apply("after");
+      for (const id of removedIds) await deleteTech(id);
+
+      recordHistory({
+        label: `mesclar ${removedIds.length === 1 ? "1 repetida" : `${removedIds.length} repetidas`}`,
+        undo: async () => {
+          const restored = await eachRemoved(restoreTech);
+          return (await apply("before")) && restored;
+        },
+        redo: async () => {
+          const applied = await apply("after");
+          return (await eachRemoved(deleteTech)) && applied;
+        },
+      });
+      return dropped;
+    },
+    [updateTech, deleteTech, restoreTech, recordHistory, resolveId]
+  );
 
   // ═══════════════════════════════════════════════════════
   // 🖱️ HANDLE DRAG END — Salva posição após arrastar
@@ -224,48 +863,58 @@ function App() {
       x: delta.x / scale,
       y: delta.y / scale,
     };
+    const moveBy = (current) => ({
+      x: current.x + adjustedDelta.x,
+      y: current.y + adjustedDelta.y,
+    });
 
     // Identifica QUEM foi arrastado pelo active.id
     if (active.id === "tech-form-widget") {
       // Widget do formulário
-      setFormPos((prev) => ({
-        x: prev.x + adjustedDelta.x,
-        y: prev.y + adjustedDelta.y,
-      }));
+      changeLayout({
+        section: "formPos",
+        value: moveBy(layoutRef.current.formPos),
+        label: "mover formulário",
+      });
     } else if (active.id === "brand-logo-widget") {
       // Widget do logo
-      setLogoPos((prev) => ({
-        x: prev.x + adjustedDelta.x,
-        y: prev.y + adjustedDelta.y,
-      }));
+      changeLayout({
+        section: "logoPos",
+        value: moveBy(layoutRef.current.logoPos),
+        label: "mover logo",
+      });
     } else {
       // Card de tecnologia (id dinâmico vindo do Supabase)
-      setPositions((prev) => {
-        const current = prev[active.id] || { x: 0, y: 0 };
-        return {
-          ...prev,
-          [active.id]: {
-            x: current.x + adjustedDelta.x,
-            y: current.y + adjustedDelta.y,
-          },
-        };
+      const current = layoutRef.current.positions[active.id] || { x: 0, y: 0 };
+      changeLayout({
+        section: "positions",
+        id: active.id,
+        value: moveBy(current),
+        label: "mover card",
       });
     }
-  }, [viewState.scale]);
+  }, [viewState.scale, changeLayout]);
 
   // ═══════════════════════════════════════════════════════
   // 🔍 ZOOM HELPERS — Botões de Zoom (+, -, Reset)
   // ═══════════════════════════════════════════════════════
 
-  /** Zoom In: incrementa 10% (máximo 500%) */
-  const handleZoomIn = useCallback(() => {
-    setViewState((prev) => ({ ...prev, scale: Math.min(prev.scale + 0.1, 5) }));
+  /** Centro da tela — a âncora dos botões de zoom */
+  const viewportCenter = useCallback(() => {
+    const width = containerRef.current?.offsetWidth || 900;
+    const height = containerRef.current?.offsetHeight || 600;
+    return { x: width / 2, y: height / 2 };
   }, []);
 
-  /** Zoom Out: decrementa 10% (mínimo 10%) */
+  /** Zoom In: incrementa 10% (máximo 500%), ancorado no centro da tela */
+  const handleZoomIn = useCallback(() => {
+    setViewState((prev) => zoomAround(prev, prev.scale + 0.1, viewportCenter()));
+  }, [viewportCenter]);
+
+  /** Zoom Out: decrementa 10% (mínimo 10%), ancorado no centro da tela */
   const handleZoomOut = useCallback(() => {
-    setViewState((prev) => ({ ...prev, scale: Math.max(prev.scale - 0.1, 0.1) }));
-  }, []);
+    setViewState((prev) => zoomAround(prev, prev.scale - 0.1, viewportCenter()));
+  }, [viewportCenter]);
 
   /** Reset: volta para zoom 100% e posição (0, 0) */
   const handleReset = useCallback(() => {
@@ -433,37 +1082,119 @@ function App() {
    * 🎓 MENTORIA — Zoom via Scroll (Ctrl/Meta + Wheel)
    *
    * Padrão usado por Google Maps, Figma, etc:
-   * - Ctrl + Scroll → Zoom In/Out
+   * - Ctrl + Scroll → Zoom In/Out, ancorado no cursor (ver zoomAround)
    * - Scroll sem Ctrl → Pan (mover o canvas)
    *
    * deltaY: positivo = scroll para baixo, negativo = scroll para cima
    * deltaX: scroll horizontal (trackpad)
    *
+   * A pinça do TRACKPAD chega como wheel com ctrlKey — então ela também
+   * dá zoom no ponto entre os dedos.
+   *
    * e.preventDefault() impede o zoom nativo do browser (Ctrl+Scroll
    * normalmente dá zoom na página inteira — não queremos isso).
+   * Por isso o listener é NATIVO com { passive: false }: o onWheel do
+   * React é passivo e ignoraria o preventDefault.
    */
-  const handleWheel = useCallback(
-    (e) => {
-      if (e.ctrlKey || e.metaKey) {
-        e.preventDefault(); // Impede zoom nativo do browser
-        const zoomSensitivity = 0.001;
-        const delta = -e.deltaY * zoomSensitivity; // Inverte: scroll up = zoom in
-        const newScale = Math.min(
-          Math.max(0.1, viewState.scale + delta), // Mínimo: 10%
-          5                                        // Máximo: 500%
-        );
-        setViewState((prev) => ({ ...prev, scale: newScale }));
-      } else {
-        // Pan: mover o canvas na direção oposta ao scroll
-        setViewState((prev) => ({
-          ...prev,
-          x: prev.x - e.deltaX, // Scroll esquerda → pan direita
-          y: prev.y - e.deltaY, // Scroll para cima → pan para baixo
-        }));
-      }
-    },
-    [viewState.scale]
-  );
+  const handleWheel = useCallback((e) => {
+    if (e.ctrlKey || e.metaKey) {
+      e.preventDefault(); // Impede zoom nativo do browser
+      const zoomSensitivity = 0.001;
+      const delta = -e.deltaY * zoomSensitivity; // Inverte: scroll up = zoom in
+      const box = containerRef.current.getBoundingClientRect();
+      const cursor = { x: e.clientX - box.left, y: e.clientY - box.top };
+      setViewState((prev) => zoomAround(prev, prev.scale + delta, cursor));
+    } else {
+      // Pan: mover o canvas na direção oposta ao scroll
+      setViewState((prev) => ({
+        ...prev,
+        x: prev.x - e.deltaX, // Scroll esquerda → pan direita
+        y: prev.y - e.deltaY, // Scroll para cima → pan para baixo
+      }));
+    }
+  }, []);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (viewMode !== "canvas" || !container) return;
+    container.addEventListener("wheel", handleWheel, { passive: false });
+    return () => container.removeEventListener("wheel", handleWheel);
+  }, [viewMode, handleWheel]);
+
+  // ═══════════════════════════════════════════════════════
+  // 🤏 TOUCH — Pinça e Pan com Dois Dedos
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * 🎓 MENTORIA — Gestos com Dois Dedos
+   *
+   * O touchAction "none" do container desliga os gestos NATIVOS do
+   * browser (senão a pinça daria zoom na página inteira). Aqui fazemos
+   * os nossos, comparando cada touchmove com o anterior:
+   *
+   * - Distância entre os dedos mudou → zoom (proporcional), ancorado
+   *   no ponto médio entre eles
+   * - Ponto médio andou → pan (os dois dedos arrastam o canvas)
+   *
+   * Um dedo só continua sendo do dnd-kit (segurar e arrastar um card).
+   */
+  const pinchRef = useRef(null); // { distance, midpoint } do último touchmove
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (viewMode !== "canvas" || !container) return;
+
+    const measure = (touches) => {
+      const box = container.getBoundingClientRect();
+      const [a, b] = touches;
+      return {
+        distance: Math.hypot(b.clientX - a.clientX, b.clientY - a.clientY),
+        midpoint: {
+          x: (a.clientX + b.clientX) / 2 - box.left,
+          y: (a.clientY + b.clientY) / 2 - box.top,
+        },
+      };
+    };
+
+    const onTouchStart = (e) => {
+      pinchRef.current = e.touches.length === 2 ? measure(e.touches) : null;
+    };
+
+    const onTouchMove = (e) => {
+      const last = pinchRef.current;
+      if (!last || e.touches.length !== 2) return;
+      e.preventDefault();
+
+      const current = measure(e.touches);
+      pinchRef.current = current;
+      const ratio = last.distance > 0 ? current.distance / last.distance : 1;
+
+      setViewState((prev) => {
+        const zoomed = zoomAround(prev, prev.scale * ratio, current.midpoint);
+        return {
+          ...zoomed,
+          x: zoomed.x + current.midpoint.x - last.midpoint.x,
+          y: zoomed.y + current.midpoint.y - last.midpoint.y,
+        };
+      });
+    };
+
+    // Tirou um dedo: acaba o gesto (colocar de novo começa outro)
+    const onTouchEnd = (e) => {
+      pinchRef.current = e.touches.length === 2 ? measure(e.touches) : null;
+    };
+
+    container.addEventListener("touchstart", onTouchStart, { passive: true });
+    container.addEventListener("touchmove", onTouchMove, { passive: false });
+    container.addEventListener("touchend", onTouchEnd);
+    container.addEventListener("touchcancel", onTouchEnd);
+    return () => {
+      container.removeEventListener("touchstart", onTouchStart);
+      container.removeEventListener("touchmove", onTouchMove);
+      container.removeEventListener("touchend", onTouchEnd);
+      container.removeEventListener("touchcancel", onTouchEnd);
+    };
+  }, [viewMode]);
 
   // ═══════════════════════════════════════════════════════
   // ✋ BACKGROUND PAN — Click + Drag no fundo
@@ -558,15 +1289,29 @@ function App() {
   // 📏 RESIZE HELPERS
   // ═══════════════════════════════════════════════════════
 
-  /** Atualiza o tamanho de um card específico (por id) */
+  /**
+   * Atualiza o tamanho de um card específico (por id).
+   * mergeKey: o gesto inteiro de resize vira UMA entrada no histórico.
+   */
   const handleResizeCard = useCallback((id, newSize) => {
-    setSizes((prev) => ({ ...prev, [id]: newSize }));
-  }, []);
+    changeLayout({
+      section: "sizes",
+      id,
+      value: newSize,
+      label: "redimensionar card",
+      mergeKey: `sizes:${id}`,
+    });
+  }, [changeLayout]);
 
   /** Atualiza o tamanho do widget de formulário */
   const handleResizeForm = useCallback((newSize) => {
-    setFormSize(newSize);
-  }, []);
+    changeLayout({
+      section: "formSize",
+      value: newSize,
+      label: "redimensionar formulário",
+      mergeKey: "formSize",
+    });
+  }, [changeLayout]);
 
   // ═══════════════════════════════════════════════════════
   // 💾 PERSISTÊNCIA — localStorage
@@ -575,41 +1320,48 @@ function App() {
   /**
    * 🎓 MENTORIA — Salvamento Automático
    *
-   * Cada useEffect abaixo "observa" um pedaço do estado.
-   * Quando esse estado muda, serializa em JSON e salva no localStorage.
-   *
-   * localStorage.setItem("chave", JSON.stringify(valor))
-   * → Salva como string (o browser só aceita strings)
-   *
-   * Na inicialização (useState com lazy init), fazemos o inverso:
-   * localStorage.getItem("chave") → JSON.parse(string) → objeto
+   * O layout inteiro vira UM objeto (useMemo: só é recriado quando
+   * alguma seção muda de verdade) e UM efeito o entrega ao
+   * layoutStore. A gravação tem debounce: arrastar um card gera
+   * dezenas de mudanças, mas só a última chega ao localStorage.
    *
    * Isso cria um ciclo completo de persistência:
-   *   Estado muda → salva no localStorage → F5 → carrega do localStorage
+   *   Estado muda → saveLayout → F5 → loadLayout
    */
+  const layout = useMemo(
+    () => ({ positions, sizes, formPos, formSize, logoPos, viewState }),
+    [positions, sizes, formPos, formSize, logoPos, viewState]
+  );
   useEffect(() => {
-    localStorage.setItem("tech_layout_positions", JSON.stringify(positions));
-  }, [positions]);
-
-  useEffect(() => {
-    localStorage.setItem("tech_layout_sizes", JSON.stringify(sizes));
-  }, [sizes]);
-
-  useEffect(() => {
-    localStorage.setItem("tech_layout_form_pos", JSON.stringify(formPos));
-  }, [formPos]);
+    layoutRef.current = layout;
+    saveLayout(boardId, layout);
+  }, [layout, boardId]);
 
-  useEffect(() => {
-    localStorage.setItem("tech_layout_form_size", JSON.stringify(formSize));
-  }, [formSize]);
+  // Ao trocar de board (ou sair), grava o que ainda estiver pendente
+  useEffect(() => () => flushLayout(boardId), [boardId]);
 
-  useEffect(() => {
-    localStorage.setItem("tech_layout_logo_pos", JSON.stringify(logoPos));
-  }, [logoPos]);
+  /**
+   * 🎓 MENTORIA — Layout na Nuvem
+   *
+   * O localStorage acima é o "cache rápido" (carrega instantâneo no F5).
+   * O useLayoutSync envia o mesmo layout ao Supabase e traz as seções
+   * alteradas em outros dispositivos (a alteração mais recente vence).
+   */
+  const layoutSetters = useMemo(
+    () => ({
+      positions: setPositions,
+      sizes: setSizes,
+      formPos: setFormPos,
+      formSize: setFormSize,
+      logoPos: setLogoPos,
+      viewState: setViewState,
+    }),
+    []
+  );
+  useLayoutSync(layout, layoutSetters, { layoutKey: boardId });
 
-  useEffect(() => {
-    localStorage.setItem("tech_layout_view", JSON.stringify(viewState));
-  }, [viewState]);
+  // Outras abas abertas no mesmo board recebem as mudanças na hora
+  useCrossTabLayout(layout, layoutSetters, { boardId });
 
   // ═══════════════════════════════════════════════════════
   // 🎨 RENDER — Montagem da Interface
@@ -625,6 +1377,7 @@ function App() {
    * │   ├── BrandLogoWidget (logo arrastável)
    * │   ├── TechFormWidget (formulário arrastável)
    * │   └── TechCard × N (cards de tecnologia)
+   * ├── CanvasMinimap (mapa em miniatura, clique/arraste move a câmera)
    * ├── ZoomControls (botões fixos +/-/Reset)
    * └── footer (créditos, fixo no bottom)
    *
@@ -632,54 +1385,158 @@ function App() {
    */
   return (
     <div
-      className={`app-container ${isPanning ? "cursor-grabbing" : "cursor-grab"}`}
+      className={`app-container ${viewMode === "canvas" ? (isPanning ? "cursor-grabbing" : "cursor-grab") : ""}`}
       ref={containerRef}
-      onWheel={handleWheel}
-      onMouseDown={handleMouseDown}
-      style={{ touchAction: "none" }} // Desativa gestos nativos de touch
+      // Pan e zoom só existem no canvas; no Kanban a rolagem é a normal
+      // (wheel e gestos de toque são listeners nativos — ver handleWheel)
+      onMouseDown={viewMode === "canvas" ? handleMouseDown : undefined}
+      style={{ touchAction: viewMode === "canvas" ? "none" : "auto" }} // Desativa gestos nativos de touch no canvas
     >
       {/* Efeitos decorativos de fundo (blur colorido) */}
       <div className="glow glow-1" />
       <div className="glow glow-2" />
 
-      {/* Banner de erro — só aparece se error !== null */}
-      {error && <ErrorBanner message={error} onDismiss={clearError} />}
-
-      {/* 
-        TechList encapsula o DndContext (drag-and-drop) e o canvas transformado.
-        O viewState controla a transformação CSS (translate + scale).
-        Children (BrandLogoWidget, TechFormWidget) são renderizados DENTRO do canvas.
-      */}
-      <TechList
-        techs={techs}
-        positions={positions}
-        sizes={sizes}
-        onUpdate={updateTech}
-        onDelete={deleteTech}
-        onDragStart={handleGlobalDragStart}
-        onDragEnd={handleGlobalDragEnd}
-        onResize={handleResizeCard}
-        loading={loading}
-        viewState={viewState}
-      >
-        {/* Widgets renderizados dentro do DndContext via children pattern */}
-        <BrandLogoWidget position={logoPos} />
-        <TechFormWidget
-          onAdd={addTech}
-          position={formPos}
-          size={formSize}
-          onResize={handleResizeForm}
-          techCount={techs.length}
+      {/* Banner de erro — só aparece se houver erro (dos dados ou do desfazer/refazer) */}
+      {(error || historyError) && (
+        <ErrorBanner
+          message={error ?? historyError}
+          onClose={() => {
+            clearError();
+            clearHistoryError();
+          }}
         />
-      </TechList>
-
-      {/* Controles de Zoom — fixos no canto inferior direito (z-index alto) */}
-      <ZoomControls
-        scale={viewState.scale}
-        onZoomIn={handleZoomIn}
-        onZoomOut={handleZoomOut}
-        onReset={handleReset}
-      />
+      )}
+
+      {/* Usuário logado + botão Sair (só existe com Supabase Auth) */}
+      {user && <UserMenu email={user.email} onSignOut={onSignOut} />}
+
+      {/* Estado da fila offline — só aparece sem conexão ou com pendências */}
+      <SyncIndicator online={online} pendingCount={pendingCount} onSync={syncNow} />
+
+      {viewMode === "kanban" ? (
+        /* Kanban: mesmas tecnologias, agrupadas por status (arrastar = mudar status) */
+        <KanbanBoard
+          techs={visibleTechs}
+          onUpdate={handleUpdateTech}
+          onOpenDetails={openDetails}
+          dimmedIds={dimmedIds}
+          priorityScale={priorityScale}
+          sortMode={sortMode}
+          onSortChange={setSortMode}
+          loading={loading}
+        >
+          <TechForm
+            onAdd={handleAddTech}
+            priorityScale={priorityScale}
+            techs={techs}
+            onJumpTo={handleJumpToTech}
+            onBumpPriority={handleBumpPriority}
+          />
+        </KanbanBoard>
+      ) : viewMode === "calendar" ? (
+        /* Calendário: tecnologias no dia da data-alvo (arrastar = reagendar) */
+        <CalendarBoard
+          techs={visibleTechs}
+          onUpdate={handleUpdateTech}
+          onOpenDetails={openDetails}
+          dimmedIds={dimmedIds}
+          loading={loading}
+        />
+      ) : (
+        /*
+          TechList encapsula o DndContext (drag-and-drop) e o canvas transformado.
+          O viewState controla a transformação CSS (translate + scale).
+          Children (BrandLogoWidget, TechFormWidget) são renderizados DENTRO do canvas.
+        */
+        <TechList
+          techs={visibleTechs}
+          positions={positions}
+          sizes={sizes}
+          onUpdate={handleUpdateTech}
+          onDelete={handleDeleteTech}
+          onDragStart={handleGlobalDragStart}
+          onDragEnd={handleGlobalDragEnd}
+          onResize={handleResizeCard}
+          syncStatus={syncStatus}
+          onOpenDetails={openDetails}
+          dimmedIds={dimmedIds}
+          priorityScale={priorityScale}
+          hiddenCount={techs.length - visibleTechs.length}
+          loading={loading}
+          viewState={viewState}
+        >
+          {/* Widgets renderizados dentro do DndContext via children pattern */}
+          <BrandLogoWidget position={logoPos} />
+          <TechFormWidget
+            onAdd={handleAddTech}
+            priorityScale={priorityScale}
+            techs={techs}
+            onJumpTo={handleJumpToTech}
+            onBumpPriority={handleBumpPriority}
+            position={formPos}
+            size={formSize}
+            onResize={handleResizeForm}
+            techCount={techs.length}
+          />
+        </TechList>
+      )}
+
+      {/* Painel de detalhes — some sozinho se o card for removido */}
+      {detailTech && (
+        <TechDetailPanel
+          key={detailTech.id}
+          tech={detailTech}
+          techs={techs}
+          tab={detail.tab}
+          onTabChange={(tab) => setDetail((current) => ({ ...current, tab }))}
+          onUpdate={handleUpdateTech}
+          onClose={() => setDetail(null)}
+        />
+      )}
+
+      {/* Visão, Filtro, Prioridades, Repetidas, Trilha, Desfazer / Refazer, Lixeira e Exportar — fixos no canto inferior esquerdo */}
+      <div className="fixed bottom-6 left-6 flex gap-2 z-50">
+        <ViewModeToggle mode={viewMode} onChange={setViewMode} />
+        <CategoryFilter techs={techs} filter={categoryFilter} onChange={setCategoryFilter} />
+        <PrioritySettings scale={priorityScale} onSave={handleChangePriorityScale} />
+        <DuplicateMergePanel techs={techs} onMerge={handleMergeDuplicates} />
+        <LearningPathPanel
+          techs={techs}
+          onOpenDetails={openDetails}
+          onArrange={viewMode === "canvas" ? handleArrangeByPath : undefined}
+        />
+        <HistoryControls
+          canUndo={canUndo}
+          canRedo={canRedo}
+          undoLabel={undoLabel}
+          redoLabel={redoLabel}
+          onUndo={undo}
+          onRedo={redo}
+        />
+        <TrashPanel items={trash} onRestore={handleRestoreTech} onPurge={purgeTech} />
+        <ExportMenu onExport={handleExport} onImport={handleImportBoard} />
+      </div>
+
+      {/* Controles de Zoom e minimapa — fixos no canto inferior direito (só no canvas) */}
+      {viewMode === "canvas" && (
+        <>
+          <CanvasMinimap
+            techs={visibleTechs}
+            positions={positions}
+            sizes={sizes}
+            widgets={minimapWidgets}
+            dimmedIds={dimmedIds}
+            viewState={viewState}
+            onNavigate={centerCamera}
+          />
+          <ZoomControls
+            scale={viewState.scale}
+            onZoomIn={handleZoomIn}
+            onZoomOut={handleZoomOut}
+            onReset={handleReset}
+          />
+        </>
+      )}
 
       {/* Footer — pointer-events-none impede que capture cliques de pan */}
       <footer className="app-footer pointer-events-none fixed bottom-4 left-1/2 -translate-x-1/2">
@@ -692,4 +1549,133 @@ function App() {
   );
 }
 
+Dashboard.propTypes = {
+  user: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    email: PropTypes.string,
+  }),
+  boardId: PropTypes.string.isRequired,
+  boardName: PropTypes.string.isRequired,
+  priorityScale: PropTypes.object.isRequired,
+  onPriorityScaleChange: PropTypes.func.isRequired,
+  onSignOut: PropTypes.func,
+};
+
+/**
+ * Workspace — Os boards de um usuário + o canvas do board ativo.
+ *
+ * key={board.id} no Dashboard: trocar de board DESMONTA o canvas
+ * anterior e monta um novo, que relê o layout e as tecnologias
+ * do board escolhido (os lazy initial states rodam de novo).
+ */
+function Workspace({ user, onSignOut }) {
+  const {
+    boards,
+    activeBoard,
+    loading,
+    error,
+    selectBoard,
+    createBoard,
+    renameBoard,
+    changePriorityScale,
+    deleteBoard,
+    clearError,
+  } = useBoards(user?.id);
+
+  if (loading || !activeBoard) {
+    return (
+      <div className="app-container flex items-center justify-center">
+        {error ? (
+          <ErrorBanner message={error} onClose={clearError} />
+        ) : (
+          <Loader2 size={24} className="animate-spin text-violet-400" />
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <Dashboard
+        key={activeBoard.id}
+        user={user}
+        boardId={activeBoard.id}
+        boardName={activeBoard.name}
+        priorityScale={boardPriorityScale(activeBoard)}
+        onPriorityScaleChange={changePriorityScale}
+        onSignOut={onSignOut}
+      />
+      <BoardSwitcher
+        boards={boards}
+        activeBoardId={activeBoard.id}
+        onSelect={selectBoard}
+        onCreate={createBoard}
+        onRename={renameBoard}
+        onDelete={deleteBoard}
+        error={error}
+        onDismissError={clearError}
+      />
+    </>
+  );
+}
+
+Workspace.propTypes = {
+  user: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    email: PropTypes.string,
+  }),
+  onSignOut: PropTypes.func,
+};
+
+/**
+ * App — Porta de entrada: decide O QUE mostrar conforme a sessão.
+ *
+ * ╔══════════════════════════════════════════════════════════════════╗
+ * ║  🎓 MENTORIA — "AUTH GATE" (PORTEIRO)                          ║
+ * ║                                                                ║
+ * ║  - Modo Offline (sem Supabase) → Workspace direto, sem contas  ║
+ * ║  - Verificando sessão          → tela de carregamento          ║
+ * ║  - Deslogado                   → AuthScreen (login)            ║
+ * ║  - Logado                      → Workspace do usuário          ║
+ * ║                                                                ║
+ * ║  key={user.id}: se outra conta entrar, o React DESMONTA o      ║
+ * ║  Workspace antigo e monta um novo — nenhum estado vaza entre   ║
+ * ║  contas diferentes.                                            ║
+ * ╚══════════════════════════════════════════════════════════════════╝
+ */
+function App() {
+  const {
+    user,
+    loading,
+    error,
+    signInWithEmail,
+    signInWithProvider,
+    signOut,
+    clearError,
+  } = useAuth();
+
+  if (!supabase) return <Workspace user={null} />;
+
+  if (loading) {
+    return (
+      <div className="app-container flex items-center justify-center">
+        <Loader2 size={24} className="animate-spin text-violet-400" />
+      </div>
+    );
+  }
+
+  if (!user) {
+    return (
+      <AuthScreen
+        onEmailSignIn={signInWithEmail}
+        onProviderSignIn={signInWithProvider}
+        error={error}
+        onDismissError={clearError}
+      />
+    );
+  }
+
+  return <Workspace key={user.id} user={user} onSignOut={signOut} />;
+}
+
 export default App;
@@ -0,0 +1,120 @@
+/**
+ * AuthScreen — Tela exibida quando não há usuário logado.
+ *
+ * Duas formas de entrar (ambas do Supabase Auth):
+ * - Magic link por e-mail (sem senha)
+ * - OAuth (GitHub / Google)
+ *
+ * Cada conta vê apenas a PRÓPRIA wishlist (RLS no banco).
+ */
+import { useState } from "react";
+import PropTypes from "prop-types";
+import { Mail, Github, Chrome, CheckCircle2 } from "lucide-react";
+import BrandLogo from "./BrandLogo";
+import ErrorBanner from "./ErrorBanner";
+
+/** Provedores OAuth exibidos (precisam estar habilitados no painel do Supabase) */
+const OAUTH_PROVIDERS = [
+    { id: "github", label: "GitHub", Icon: Github },
+    { id: "google", label: "Google", Icon: Chrome },
+];
+
+function AuthScreen({ onEmailSignIn, onProviderSignIn, error, onDismissError }) {
+    const [email, setEmail] = useState("");
+    const [sending, setSending] = useState(false);
+    const [sent, setSent] = useState(false);
+
+    async function handleSubmit(e) {
+        e.preventDefault();
+        const trimmed = email.trim();
+        if (!trimmed) return;
+
+        setSending(true);
+        const success = await onEmailSignIn(trimmed);
+        setSending(false);
+        setSent(success);
+    }
+
+    return (
+        <div className="app-container flex items-center justify-center">
+            <div className="glow glow-1" />
+            <div className="glow glow-2" />
+
+            <div className="w-full max-w-sm px-4 z-10">
+                <BrandLogo className="mb-4" />
+
+                {error && <ErrorBanner message={error} onClose={onDismissError} />}
+
+                <div className="glass-card rounded-2xl p-6">
+                    <h2 className="text-white font-semibold text-lg mb-1">Entrar</h2>
+                    <p className="text-white/50 text-sm mb-5">
+                        Sua wishlist fica salva na sua conta e só você pode vê-la.
+                    </p>
+
+                    {sent ? (
+                        <div className="flex items-start gap-3 text-sm text-emerald-300">
+                            <CheckCircle2 size={18} className="flex-shrink-0 mt-0.5" />
+                            <p>
+                                Enviamos um link para <strong>{email}</strong>. Abra o e-mail
+                                neste navegador para entrar.
+                            </p>
+                        </div>
+                    ) : (
+                        <form onSubmit={handleSubmit}>
+                            <label htmlFor="auth-email" className="block text-white/60 text-xs font-medium mb-1.5 uppercase tracking-wider">
+                                E-mail
+                            </label>
+                            <input
+                                id="auth-email"
+                                type="email"
+                                placeholder="voce@exemplo.com"
+                                value={email}
+                                onChange={(e) => setEmail(e.target.value)}
+                                className="input-field"
+                                autoComplete="email"
+                            />
+                            <button
+                                type="submit"
+                                disabled={sending || !email.trim()}
+                                className="btn-primary w-full mt-3"
+                            >
+                                <span className="flex items-center justify-center gap-2">
+                                    {sending ? <span className="loading-spinner" /> : <Mail size={16} />}
+                                    Enviar link mágico
+                                </span>
+                            </button>
+                        </form>
+                    )}
+
+                    <div className="flex items-center gap-3 my-5 text-white/30 text-xs uppercase tracking-wider">
+                        <span className="flex-1 h-px bg-white/10" />
+                        ou
+                        <span className="flex-1 h-px bg-white/10" />
+                    </div>
+
+                    <div className="flex flex-col gap-2">
+                        {OAUTH_PROVIDERS.map((provider) => (
+                            <button
+                                key={provider.id}
+                                type="button"
+                                onClick={() => onProviderSignIn(provider.id)}
+                                className="btn-cancel-sm justify-center py-2.5 text-sm"
+                            >
+                                <provider.Icon size={16} /> Continuar com {provider.label}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+AuthScreen.propTypes = {
+    onEmailSignIn: PropTypes.func.isRequired,
+    onProviderSignIn: PropTypes.func.isRequired,
+    error: PropTypes.string,
+    onDismissError: PropTypes.func.isRequired,
+};
+
+export default AuthScreen;
@@ -0,0 +1,175 @@
+/**
+ * BoardSwitcher — Seletor de boards (quadros) no topo da tela.
+ *
+ * Mostra o board ativo e, ao clicar, abre um menu para:
+ * - trocar de board
+ * - renomear (edição inline, igual ao TechCard)
+ * - excluir (com confirmação — leva junto as tecnologias do board)
+ * - criar um board novo
+ *
+ * Componente "presentational": quem persiste é o hook useBoards.
+ */
+import { useState } from "react";
+import PropTypes from "prop-types";
+import { LayoutGrid, ChevronDown, Pencil, Trash2, Plus, Check, X } from "lucide-react";
+
+function BoardSwitcher({ boards, activeBoardId, onSelect, onCreate, onRename, onDelete, error, onDismissError }) {
+    const [open, setOpen] = useState(false);
+    const [newName, setNewName] = useState("");
+    const [editingId, setEditingId] = useState(null);
+    const [editName, setEditName] = useState("");
+
+    const activeBoard = boards.find((b) => b.id === activeBoardId);
+
+    function handleSelect(id) {
+        onSelect(id);
+        setOpen(false);
+    }
+
+    async function handleCreate(e) {
+        e.preventDefault();
+        const trimmed = newName.trim();
+        if (!trimmed) return;
+
+        const success = await onCreate(trimmed);
+        if (success) {
+            setNewName("");
+            setOpen(false);
+        }
+    }
+
+    function startEditing(board) {
+        setEditingId(board.id);
+        setEditName(board.name);
+    }
+
+    function handleRename(e) {
+        e.preventDefault();
+        const trimmed = editName.trim();
+        if (trimmed) onRename(editingId, trimmed);
+        setEditingId(null);
+    }
+
+    function handleDelete(board) {
+        const confirmed = window.confirm(
+            `Excluir o board "${board.name}" e todas as suas tecnologias? Esta ação não pode ser desfeita.`
+        );
+        if (confirmed) onDelete(board.id);
+    }
+
+    return (
+        <div className="fixed top-4 left-1/2 -translate-x-1/2 z-50">
+            <button
+                onClick={() => setOpen((prev) => !prev)}
+                className="board-switcher flex items-center gap-2 hover:text-white transition-colors"
+                title="Trocar de board"
+            >
+                <LayoutGrid size={14} className="text-violet-300" />
+                <span className="truncate max-w-[200px]">{activeBoard?.name ?? "Board"}</span>
+                <ChevronDown size={14} className={`transition-transform ${open ? "rotate-180" : ""}`} />
+            </button>
+
+            {open && (
+                <div className="board-menu absolute left-1/2 -translate-x-1/2 mt-2 w-72 animate-fade-in">
+                    {error && (
+                        <div className="flex items-start gap-2 text-xs text-red-300 mb-2">
+                            <p className="flex-1">{error}</p>
+                            <button onClick={onDismissError} className="action-btn" title="Fechar">
+                                <X size={12} />
+                            </button>
+                        </div>
+                    )}
+
+                    <ul className="flex flex-col gap-1 mb-2">
+                        {boards.map((board) =>
+                            editingId === board.id ? (
+                                <li key={board.id}>
+                                    <form onSubmit={handleRename} className="flex items-center gap-1">
+                                        <input
+                                            type="text"
+                                            value={editName}
+                                            onChange={(e) => setEditName(e.target.value)}
+                                            className="tech-card-input flex-1"
+                                            autoFocus
+                                        />
+                                        <button type="submit" className="action-btn hover:text-emerald-400" title="Salvar">
+                                            <Check size={14} />
+                                        </button>
+                                        <button
+                                            type="button"
+                                            onClick={() => setEditingId(null)}
+                                            className="action-btn"
+                                            title="Cancelar"
+                                        >
+                                            <X size={14} />
+                                        </button>
+                                    </form>
+                                </li>
+                            ) : (
+                                <li
+                                    key={board.id}
+                                    className={`board-menu-item ${board.id === activeBoardId ? "board-menu-item-active" : ""}`}
+                                >
+                                    <button onClick={() => handleSelect(board.id)} className="flex-1 text-left truncate">
+                                        {board.name}
+                                    </button>
+                                    <button
+                                        onClick={() => startEditing(board)}
+                                        className="action-btn hover:text-violet-300"
+                                        title="Renomear"
+                                    >
+                                        <Pencil size={12} />
+                                    </button>
+                                    <button
+                                        onClick={() => handleDelete(board)}
+                                        disabled={boards.length <= 1}
+                                        className="action-btn hover:text-red-400 disabled:opacity-30"
+                                        title={boards.length <= 1 ? "O último board não pode ser excluído" : "Excluir"}
+                                    >
+                                        <Trash2 size={12} />
+                                    </button>
+                                </li>
+                            )
+                        )}
+                    </ul>
+
+                    <form onSubmit={handleCreate} className="flex items-center gap-1 pt-2 border-t border-white/10">
+                        <input
+                            type="text"
+                            placeholder="Novo board..."
+                            value={newName}
+                            onChange={(e) => setNewName(e.target.value)}
+                            className="tech-card-input flex-1"
+                        />
+                        <button
+                            type="submit"
+                            disabled={!newName.trim()}
+                            className="action-btn hover:text-violet-300 disabled:opacity-30"
+                            title="Criar board"
+                        >
+                            <Plus size={14} />
+                        </button>
+                    </form>
+                </div>
+            )}
+        </div>
+    );
+}
+
+BoardSwitcher.propTypes = {
+    boards: PropTypes.arrayOf(
+        PropTypes.shape({
+            id: PropTypes.string.isRequired,
+            name: PropTypes.string.isRequired,
+        })
+    ).isRequired,
+    activeBoardId: PropTypes.string,
+    onSelect: PropTypes.func.isRequired,
+    onCreate: PropTypes.func.isRequired,
+    onRename: PropTypes.func.isRequired,
+    onDelete: PropTypes.func.isRequired,
+    error: PropTypes.string,
+    onDismissError: PropTypes.func.isRequired,
+};
+
+export default BoardSwitcher;
@@ -0,0 +1,195 @@
+/**
+ * CalendarBoard — Visão de calendário: as tecnologias no dia da data-alvo.
+ *
+ * ╔══════════════════════════════════════════════════════════════════╗
+ * ║  🎓 MENTORIA — MESMO DnD, OUTRO SIGNIFICADO                    ║
+ * ║                                                                ║
+ * ║  No canvas, arrastar muda a POSIÇÃO; no Kanban, o STATUS; aqui ║
+ * ║  muda a DATA-ALVO. É o mesmo dnd-kit: o que muda é o que o     ║
+ * ║  onDragEnd faz com o destino (over). Soltar na bandeja "Sem    ║
+ * ║  data" remove a meta.                                          ║
+ * ╚══════════════════════════════════════════════════════════════════╝
+ *
+ * Hierarquia:
+ *   <DndContext>
+ *     <UnscheduledTray />        ← useDroppable (date = null)
+ *     <CalendarDay /> × 28..42   ← useDroppable (date = "2026-10-19")
+ *       <CalendarChip /> × N     ← useDraggable (id = tech.id)
+ *     <DragOverlay />
+ *   </DndContext>
+ */
+import { useState, useMemo } from "react";
+import PropTypes from "prop-types";
+import {
+    DndContext,
+    DragOverlay,
+    PointerSensor,
+    TouchSensor,
+    useDroppable,
+    useSensor,
+    useSensors,
+} from "@dnd-kit/core";
+import { ChevronLeft, ChevronRight, Loader2, CalendarOff } from "lucide-react";
+import CalendarDay from "./CalendarDay";
+import CalendarChip from "./CalendarChip";
+import { todayISODate } from "../services/progress";
+import {
+    WEEKDAY_LABELS,
+    compareByDueDate,
+    formatMonth,
+    monthGrid,
+    monthOf,
+    shiftMonth,
+    techTargetDate,
+} from "../services/dueDates";
+
+/** Bandeja das tecnologias sem data (arrastar daqui = agendar) */
+function UnscheduledTray({ techs, onOpenDetails, dimmedIds }) {
+    const { setNodeRef, isOver } = useDroppable({ id: "unscheduled", data: { date: null } });
+
+    return (
+        <aside ref={setNodeRef} className={`calendar-tray ${isOver ? "calendar-day-over" : ""}`}>
+            <header className="kanban-column-header text-white/60">
+                <CalendarOff size={14} />
+                <h2>Sem data</h2>
+                <span className="ml-auto text-white/40">{techs.length}</span>
+            </header>
+            <div className="flex flex-col gap-1 overflow-y-auto">
+                {techs.map((tech) => (
+                    <CalendarChip
+                        key={tech.id}
+                        tech={tech}
+                        onOpenDetails={onOpenDetails}
+                        dimmed={dimmedIds?.has(tech.id) ?? false}
+                    />
+                ))}
+                {techs.length === 0 && (
+                    <p className="text-white/25 text-xs text-center py-6">Todas têm data-alvo</p>
+                )}
+            </div>
+        </aside>
+    );
+}
+
+UnscheduledTray.propTypes = {
+    techs: PropTypes.arrayOf(PropTypes.object).isRequired,
+    onOpenDetails: PropTypes.func,
+    dimmedIds: PropTypes.instanceOf(Set),
+};
+
+function CalendarBoard({ techs, onUpdate, onOpenDetails, dimmedIds, loading }) {
+    const today = todayISODate();
+    const [month, setMonth] = useState(() => monthOf(today));
+    const [activeId, setActiveId] = useState(null);
+
+    const sensors = useSensors(
+        useSensor(PointerSensor, { activationConstraint: { distance: 8 } }),
+        useSensor(TouchSensor, { activationConstraint: { delay: 200, tolerance: 5 } })
+    );
+
+    const weeks = useMemo(() => monthGrid(month), [month]);
+
+    // { "2026-10-19": [...], ... } + as sem data (por prioridade)
+    const { byDate, unscheduled } = useMemo(() => {
+        const grouped = {};
+        const withoutDate = [];
+        [...techs].sort(compareByDueDate).forEach((tech) => {
+            const date = techTargetDate(tech);
+            if (!date) withoutDate.push(tech);
+            else (grouped[date] ??= []).push(tech);
+        });
+        return { byDate: grouped, unscheduled: withoutDate };
+    }, [techs]);
+
+    const activeTech = techs.find((t) => String(t.id) === String(activeId));
+
+    function handleDragEnd({ active, over }) {
+        setActiveId(null);
+        const date = over?.data.current?.date;
+        if (date === undefined) return; // Soltou fora dos dias e da bandeja
+
+        const tech = techs.find((t) => String(t.id) === String(active.id));
+        if (tech && techTargetDate(tech) !== date) {
+            onUpdate(tech.id, { target_date: date });
+        }
+    }
+
+    if (loading) {
+        return (
+            <div className="dashboard-loading">
+                <Loader2 size={24} className="animate-spin text-violet-400" />
+                <span className="text-white/50">Carregando tecnologias...</span>
+            </div>
+        );
+    }
+
+    return (
+        <div className="calendar-container">
+            <DndContext
+                sensors={sensors}
+                onDragStart={({ active }) => setActiveId(active.id)}
+                onDragEnd={handleDragEnd}
+                onDragCancel={() => setActiveId(null)}
+            >
+                <UnscheduledTray techs={unscheduled} onOpenDetails={onOpenDetails} dimmedIds={dimmedIds} />
+
+                <section className="calendar-month">
+                    {/* Navegação entre meses */}
+                    <header className="flex items-center gap-2 mb-2">
+                        <button onClick={() => setMonth((m) => shiftMonth(m, -1))} className="action-btn" title="Mês anterior">
+                            <ChevronLeft size={18} />
+                        </button>
+                        <h2 className="text-white font-semibold capitalize w-44 text-center">{formatMonth(month)}</h2>
+                        <button onClick={() => setMonth((m) => shiftMonth(m, 1))} className="action-btn" title="Próximo mês">
+                            <ChevronRight size={18} />
+                        </button>
+                        <button onClick={() => setMonth(monthOf(today))} className="btn-cancel-sm ml-2">
+                            Hoje
+                        </button>
+                    </header>
+
+                    <div className="calendar-grid calendar-weekdays">
+                        {WEEKDAY_LABELS.map((label) => (
+                            <span key={label}>{label}</span>
+                        ))}
+                    </div>
+
+                    <div className="calendar-grid calendar-days" style={{ gridTemplateRows: `repeat(${weeks.length}, 1fr)` }}>
+                        {weeks.flat().map((day) => (
+                            <CalendarDay
+                                key={day.date}
+                                date={day.date}
+                                inMonth={day.inMonth}
+                                isToday={day.date === today}
+                                techs={byDate[day.date] ?? []}
+                                onOpenDetails={onOpenDetails}
+                                dimmedIds={dimmedIds}
+                            />
+                        ))}
+                    </div>
+                </section>
+
+                <DragOverlay>
+                    {activeTech ? <CalendarChip tech={activeTech} overlay /> : null}
+                </DragOverlay>
+            </DndContext>
+        </div>
+    );
+}
+
+CalendarBoard.propTypes = {
+    techs: PropTypes.arrayOf(
+        PropTypes.shape({
+            id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+            name: PropTypes.string.isRequired,
+            priority: PropTypes.number.isRequired,
+            target_date: PropTypes.string,
+        })
+    ).isRequired,
+    onUpdate: PropTypes.func.isRequired,
+    onOpenDetails: PropTypes.func,
+    dimmedIds: PropTypes.instanceOf(Set),
+    loading: PropTypes.bool,
+};
+
+export default CalendarBoard;
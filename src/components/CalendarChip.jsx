@@ -0,0 +1,75 @@
+/**
+ * CalendarChip — Tecnologia no calendário (em um dia ou na bandeja "Sem data").
+ *
+ * O chip inteiro é arrastável: soltar em outro dia muda a data-alvo.
+ * Um clique simples (sem arrastar 8px) abre o painel de detalhes.
+ *
+ * `overlay`: a cópia que segue o mouse (DragOverlay), como no KanbanCard.
+ */
+import PropTypes from "prop-types";
+import { useDraggable } from "@dnd-kit/core";
+import TechIcon from "./TechIcon";
+import { dueState, dueLabel } from "../services/dueDates";
+
+function ChipBody({ tech }) {
+    return (
+        <>
+            <TechIcon name={tech.name} size={14} />
+            <span className="truncate">{tech.name}</span>
+        </>
+    );
+}
+
+ChipBody.propTypes = {
+    tech: PropTypes.object.isRequired,
+};
+
+function DraggableChip({ tech, onOpenDetails, dimmed }) {
+    const { attributes, listeners, setNodeRef, isDragging } = useDraggable({ id: tech.id });
+    const state = dueState(tech);
+
+    return (
+        <button
+            ref={setNodeRef}
+            type="button"
+            onClick={() => onOpenDetails?.(tech.id)}
+            className={`calendar-chip ${state ? `calendar-chip-${state}` : ""}`}
+            style={{ opacity: isDragging ? 0.4 : dimmed ? 0.25 : 1 }}
+            title={dueLabel(tech) || tech.name}
+            {...attributes}
+            {...listeners}
+        >
+            <ChipBody tech={tech} />
+        </button>
+    );
+}
+
+DraggableChip.propTypes = {
+    tech: PropTypes.object.isRequired,
+    onOpenDetails: PropTypes.func,
+    dimmed: PropTypes.bool,
+};
+
+function CalendarChip({ tech, overlay = false, onOpenDetails, dimmed = false }) {
+    if (overlay) {
+        return (
+            <div className="calendar-chip calendar-chip-overlay">
+                <ChipBody tech={tech} />
+            </div>
+        );
+    }
+    return <DraggableChip tech={tech} onOpenDetails={onOpenDetails} dimmed={dimmed} />;
+}
+
+CalendarChip.propTypes = {
+    tech: PropTypes.shape({
+        id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+        name: PropTypes.string.isRequired,
+        target_date: PropTypes.string,
+    }).isRequired,
+    overlay: PropTypes.bool,
+    onOpenDetails: PropTypes.func,
+    dimmed: PropTypes.bool,
+};
+
+export default CalendarChip;
@@ -0,0 +1,49 @@
+/**
+ * CalendarDay — Um dia do calendário: área onde se solta chips (useDroppable).
+ *
+ * O dia vai no `data` do droppable: no onDragEnd, over.data.current.date
+ * diz a nova data-alvo — sem precisar decodificar o id.
+ */
+import PropTypes from "prop-types";
+import { useDroppable } from "@dnd-kit/core";
+import CalendarChip from "./CalendarChip";
+
+function CalendarDay({ date, inMonth, isToday, techs, onOpenDetails, dimmedIds }) {
+    const { setNodeRef, isOver } = useDroppable({ id: `day:${date}`, data: { date } });
+    const dayOfMonth = Number(date.slice(-2));
+
+    return (
+        <div
+            ref={setNodeRef}
+            className={[
+                "calendar-day",
+                inMonth ? "" : "calendar-day-outside",
+                isToday ? "calendar-day-today" : "",
+                isOver ? "calendar-day-over" : "",
+            ].join(" ")}
+        >
+            <span className="calendar-day-number">{dayOfMonth}</span>
+            <div className="flex flex-col gap-1 min-h-0 overflow-y-auto">
+                {techs.map((tech) => (
+                    <CalendarChip
+                        key={tech.id}
+                        tech={tech}
+                        onOpenDetails={onOpenDetails}
+                        dimmed={dimmedIds?.has(tech.id) ?? false}
+                    />
+                ))}
+            </div>
+        </div>
+    );
+}
+
+CalendarDay.propTypes = {
+    date: PropTypes.string.isRequired,
+    inMonth: PropTypes.bool.isRequired,
+    isToday: PropTypes.bool.isRequired,
+    techs: PropTypes.arrayOf(PropTypes.object).isRequired,
+    onOpenDetails: PropTypes.func,
+    dimmedIds: PropTypes.instanceOf(Set),
+};
+
+export default CalendarDay;
@@ -0,0 +1,200 @@
+/**
+ * CanvasMinimap — Mapa em miniatura do canvas, ao lado do ZoomControls.
+ *
+ * Mostra todos os cards e widgets (formulário, logo) reduzidos e um
+ * retângulo com a área que a tela mostra agora. Clicar ou arrastar no
+ * mapa move a câmera para lá.
+ *
+ * ╔══════════════════════════════════════════════════════════════════╗
+ * ║  🎓 MENTORIA — TRÊS SISTEMAS DE COORDENADAS                    ║
+ * ║                                                                ║
+ * ║  1. MUNDO: onde os cards estão (positions, formPos...)         ║
+ * ║  2. TELA: o que aparece na janela. A câmera (viewState) faz    ║
+ * ║     tela = mundo × scale + (x, y)                              ║
+ * ║     → mundo = (tela − (x, y)) / scale                          ║
+ * ║  3. MAPA: o mundo inteiro encolhido para caber no minimapa     ║
+ * ║     mapa = (mundo − origem) × fator                            ║
+ * ║                                                                ║
+ * ║  O retângulo da tela é a janela (0, 0, largura, altura)        ║
+ * ║  convertida para o MUNDO. Um clique no mapa é convertido       ║
+ * ║  para o MUNDO e o App centraliza a câmera nesse ponto.         ║
+ * ╚══════════════════════════════════════════════════════════════════╝
+ *
+ * Props:
+ * @param {Array} techs - Tecnologias visíveis no canvas
+ * @param {Object} positions - { [id]: { x, y } }
+ * @param {Object} sizes - { [id]: { w, h } }
+ * @param {Array} widgets - Widgets do canvas [{ id, x, y, w, h }]
+ * @param {Set|null} dimmedIds - Cards esmaecidos pelo filtro de categoria
+ * @param {Object} viewState - Câmera { x, y, scale }
+ * @param {Function} onNavigate - ({ x, y }) ponto do mundo → centraliza a câmera
+ */
+import { useState, useEffect, useRef } from "react";
+import PropTypes from "prop-types";
+
+// Mesmo tamanho padrão do TechCard
+const DEFAULT_SIZE = { w: 280, h: 72 };
+
+// Tamanho máximo do minimapa (px) e margem em volta do conteúdo (mundo)
+const MAP_WIDTH = 200;
+const MAP_HEIGHT = 140;
+const PADDING = 200;
+
+/** Tamanho da janela — o app-container ocupa a tela inteira */
+function useWindowSize() {
+    const [size, setSize] = useState(() => ({ width: window.innerWidth, height: window.innerHeight }));
+
+    useEffect(() => {
+        const onResize = () => setSize({ width: window.innerWidth, height: window.innerHeight });
+        window.addEventListener("resize", onResize);
+        return () => window.removeEventListener("resize", onResize);
+    }, []);
+
+    return size;
+}
+
+/** Menor retângulo que contém todos (com margem) */
+function boundsOf(rects) {
+    const minX = Math.min(...rects.map((r) => r.x)) - PADDING;
+    const minY = Math.min(...rects.map((r) => r.y)) - PADDING;
+    const maxX = Math.max(...rects.map((r) => r.x + r.w)) + PADDING;
+    const maxY = Math.max(...rects.map((r) => r.y + r.h)) + PADDING;
+    return { x: minX, y: minY, w: maxX - minX, h: maxY - minY };
+}
+
+function CanvasMinimap({ techs, positions, sizes, widgets, dimmedIds, viewState, onNavigate }) {
+    const { width, height } = useWindowSize();
+    const svgRef = useRef(null);
+
+    // Arraste em andamento: limites congelados + distância do clique ao centro da tela
+    const [drag, setDrag] = useState(null);
+
+    const cards = techs
+        .filter((tech) => positions[tech.id])
+        .map((tech) => ({ id: tech.id, ...positions[tech.id], ...(sizes[tech.id] ?? DEFAULT_SIZE) }));
+
+    // A tela atual, em coordenadas do MUNDO
+    const viewport = {
+        x: -viewState.x / viewState.scale,
+        y: -viewState.y / viewState.scale,
+        w: width / viewState.scale,
+        h: height / viewState.scale,
+    };
+
+    /**
+     * O mapa cobre o conteúdo E a tela — a tela pode estar longe de
+     * tudo. Durante o arraste os limites ficam congelados: senão o mapa
+     * "fugiria" do cursor a cada movimento da câmera.
+     */
+    const bounds = drag?.bounds ?? boundsOf([...cards, ...widgets, viewport]);
+    const factor = drag?.factor ?? Math.min(MAP_WIDTH / bounds.w, MAP_HEIGHT / bounds.h);
+    const mapWidth = bounds.w * factor;
+    const mapHeight = bounds.h * factor;
+
+    const toMap = (rect) => ({
+        x: (rect.x - bounds.x) * factor,
+        y: (rect.y - bounds.y) * factor,
+        width: Math.max(2, rect.w * factor),
+        height: Math.max(2, rect.h * factor),
+    });
+
+    /** Ponto do cursor (tela) → ponto do MUNDO, usando limites e fator dados */
+    function worldPoint(e, frozenBounds, frozenFactor) {
+        const box = svgRef.current.getBoundingClientRect();
+        return {
+            x: frozenBounds.x + (e.clientX - box.left) / frozenFactor,
+            y: frozenBounds.y + (e.clientY - box.top) / frozenFactor,
+        };
+    }
+
+    function handlePointerDown(e) {
+        if (e.button !== 0) return;
+        e.preventDefault();
+        e.currentTarget.setPointerCapture(e.pointerId);
+
+        const point = worldPoint(e, bounds, factor);
+        const insideViewport =
+            point.x >= viewport.x &&
+            point.x <= viewport.x + viewport.w &&
+            point.y >= viewport.y &&
+            point.y <= viewport.y + viewport.h;
+
+        // Pegou o retângulo: arrasta "segurando" onde clicou; fora dele: pula para lá
+        const offset = insideViewport
+            ? { x: viewport.x + viewport.w / 2 - point.x, y: viewport.y + viewport.h / 2 - point.y }
+            : { x: 0, y: 0 };
+
+        setDrag({ bounds, factor, offset });
+        onNavigate({ x: point.x + offset.x, y: point.y + offset.y });
+    }
+
+    function handlePointerMove(e) {
+        if (!drag) return;
+        const point = worldPoint(e, drag.bounds, drag.factor);
+        onNavigate({ x: point.x + drag.offset.x, y: point.y + drag.offset.y });
+    }
+
+    function handlePointerUp() {
+        setDrag(null);
+    }
+
+    const view = toMap(viewport);
+
+    return (
+        <div
+            className="fixed bottom-6 right-[4.5rem] z-50 minimap"
+            // O fundo do App faria pan com este clique — o mapa cuida sozinho
+            onMouseDown={(e) => e.stopPropagation()}
+        >
+            <svg
+                ref={svgRef}
+                width={mapWidth}
+                height={mapHeight}
+                className="block cursor-pointer touch-none"
+                onPointerDown={handlePointerDown}
+                onPointerMove={handlePointerMove}
+                onPointerUp={handlePointerUp}
+                onPointerCancel={handlePointerUp}
+                role="img"
+                aria-label="Minimapa do canvas"
+            >
+                {widgets.map((widget) => (
+                    <rect key={widget.id} {...toMap(widget)} rx={2} className="minimap-widget" />
+                ))}
+                {cards.map((card) => (
+                    <rect
+                        key={card.id}
+                        {...toMap(card)}
+                        rx={1}
+                        className={`minimap-card ${dimmedIds?.has(card.id) ? "opacity-30" : ""}`}
+                    />
+                ))}
+                <rect {...view} rx={2} className="minimap-viewport" />
+            </svg>
+        </div>
+    );
+}
+
+CanvasMinimap.propTypes = {
+    techs: PropTypes.arrayOf(PropTypes.object).isRequired,
+    positions: PropTypes.object.isRequired,
+    sizes: PropTypes.object.isRequired,
+    widgets: PropTypes.arrayOf(
+        PropTypes.shape({
+            id: PropTypes.string.isRequired,
+            x: PropTypes.number.isRequired,
+            y: PropTypes.number.isRequired,
+            w: PropTypes.number.isRequired,
+            h: PropTypes.number.isRequired,
+        })
+    ).isRequired,
+    dimmedIds: PropTypes.instanceOf(Set),
+    viewState: PropTypes.shape({
+        x: PropTypes.number.isRequired,
+        y: PropTypes.number.isRequired,
+        scale: PropTypes.number.isRequired,
+    }).isRequired,
+    onNavigate: PropTypes.func.isRequired,
+};
+
+export default CanvasMinimap;
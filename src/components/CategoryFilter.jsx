@@ -0,0 +1,120 @@
+/**
+ * CategoryFilter — Filtra os cards por categoria (Linguagens, Frontend...).
+ *
+ * Fora das categorias escolhidas, os cards podem ser:
+ *   Esmaecer → continuam no lugar, mas apagados (o layout não "pula")
+ *   Ocultar  → somem da tela (no canvas e no Kanban)
+ *
+ * O App guarda o filtro (por board) e decide quem aparece; aqui só
+ * ficam a interação e a contagem de cada categoria.
+ */
+import { useState, useMemo } from "react";
+import PropTypes from "prop-types";
+import { Filter, X } from "lucide-react";
+import { CATEGORIES, CATEGORY_LABELS, techCategories } from "../data/categories";
+
+const BUTTON_CLASS =
+    "p-2 bg-white/10 hover:bg-white/20 backdrop-blur-md border border-white/10 rounded-lg text-white transition-all shadow-lg active:scale-95";
+
+const MODE_OPTIONS = [
+    { mode: "dim", label: "Esmaecer" },
+    { mode: "hide", label: "Ocultar" },
+];
+
+function CategoryFilter({ techs, filter, onChange }) {
+    const [open, setOpen] = useState(false);
+    const active = filter.selected.length > 0;
+
+    // Quantas tecnologias há em cada categoria
+    const counts = useMemo(() => {
+        const result = Object.fromEntries(CATEGORIES.map((category) => [category, 0]));
+        techs.forEach((tech) => techCategories(tech).forEach((category) => result[category]++));
+        return result;
+    }, [techs]);
+
+    function toggle(category) {
+        const selected = filter.selected.includes(category)
+            ? filter.selected.filter((item) => item !== category)
+            : [...filter.selected, category];
+        onChange({ ...filter, selected });
+    }
+
+    return (
+        <div className="relative">
+            <button
+                onClick={() => setOpen((prev) => !prev)}
+                className={`${BUTTON_CLASS} relative ${active ? "ring-1 ring-violet-400" : ""}`}
+                title="Filtrar por categoria"
+                aria-pressed={active}
+            >
+                <Filter size={20} />
+                {active && <span className="trash-count filter-count">{filter.selected.length}</span>}
+            </button>
+
+            {open && (
+                <div className="trash-panel absolute bottom-full left-0 mb-2 w-64 animate-fade-in">
+                    <div className="flex items-center justify-between mb-2">
+                        <h3 className="text-white/80 text-sm font-semibold">Categorias</h3>
+                        <button onClick={() => setOpen(false)} className="action-btn" title="Fechar">
+                            <X size={14} />
+                        </button>
+                    </div>
+
+                    <ul className="flex flex-col gap-0.5">
+                        {CATEGORIES.map((category) => (
+                            <li key={category}>
+                                <label className="board-menu-item w-full cursor-pointer">
+                                    <input
+                                        type="checkbox"
+                                        checked={filter.selected.includes(category)}
+                                        onChange={() => toggle(category)}
+                                        className="accent-violet-500"
+                                    />
+                                    <span className="flex-1">{CATEGORY_LABELS[category]}</span>
+                                    <span className="text-white/30 text-xs">{counts[category]}</span>
+                                </label>
+                            </li>
+                        ))}
+                    </ul>
+
+                    <div className="flex items-center gap-2 mt-2 pt-2 border-t border-white/10">
+                        <div className="flex flex-1 rounded-md overflow-hidden border border-white/10">
+                            {MODE_OPTIONS.map((option) => (
+                                <button
+                                    key={option.mode}
+                                    onClick={() => onChange({ ...filter, mode: option.mode })}
+                                    className={`flex-1 py-1 text-xs transition-all ${
+                                        filter.mode === option.mode
+                                            ? "bg-violet-500/40 text-white"
+                                            : "text-white/50 hover:bg-white/10"
+                                    }`}
+                                    aria-pressed={filter.mode === option.mode}
+                                >
+                                    {option.label}
+                                </button>
+                            ))}
+                        </div>
+                        <button
+                            onClick={() => onChange({ ...filter, selected: [] })}
+                            disabled={!active}
+                            className="btn-cancel-sm disabled:opacity-40"
+                        >
+                            Limpar
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
+
+CategoryFilter.propTypes = {
+    techs: PropTypes.arrayOf(PropTypes.object).isRequired,
+    filter: PropTypes.shape({
+        selected: PropTypes.arrayOf(PropTypes.string).isRequired,
+        mode: PropTypes.oneOf(["dim", "hide"]).isRequired,
+    }).isRequired,
+    onChange: PropTypes.func.isRequired,
+};
+
+export default CategoryFilter;
@@ -0,0 +1,132 @@
+/**
+ * ChecklistEditor — Edita a lista de sub-metas no modo edição do TechCard.
+ *
+ * Componente CONTROLADO: quem guarda a lista é o TechCard (rascunho da
+ * edição). Nada é salvo até o "Salvar" do card — "Cancelar" descarta
+ * tudo, inclusive itens marcados aqui.
+ *
+ * Props:
+ * @param {Array} items - [{ id, text, done }]
+ * @param {Function} onChange - (novaLista) → atualiza o rascunho
+ * @param {boolean} drivesProgress - O checklist define o progresso do card?
+ * @param {Function} onDrivesProgressChange - (boolean) → alterna
+ */
+import { useState } from "react";
+import PropTypes from "prop-types";
+import { Plus, Trash2, ChevronUp, ChevronDown } from "lucide-react";
+import { createChecklistItem, checklistCounts, moveItem } from "../services/checklist";
+
+function ChecklistEditor({ items, onChange, drivesProgress, onDrivesProgressChange }) {
+    const [text, setText] = useState("");
+    const { done, total } = checklistCounts(items);
+
+    function updateItem(id, changes) {
+        onChange(items.map((item) => (item.id === id ? { ...item, ...changes } : item)));
+    }
+
+    function handleAdd() {
+        if (!text.trim()) return;
+        onChange([...items, createChecklistItem(text)]);
+        setText("");
+    }
+
+    return (
+        <div className="mt-2">
+            <div className="flex items-center justify-between mb-1">
+                <span className="detail-section-title">Checklist</span>
+                {total > 0 && <span className="text-white/40 text-xs">{done}/{total}</span>}
+            </div>
+
+            <ul className="flex flex-col gap-1 max-h-48 overflow-y-auto">
+                {items.map((item, index) => (
+                    <li key={item.id} className="flex items-center gap-1">
+                        <input
+                            type="checkbox"
+                            checked={item.done}
+                            onChange={(e) => updateItem(item.id, { done: e.target.checked })}
+                            className="accent-violet-500"
+                            aria-label={`Concluir "${item.text}"`}
+                        />
+                        <input
+                            type="text"
+                            value={item.text}
+                            onChange={(e) => updateItem(item.id, { text: e.target.value })}
+                            className={`checklist-input ${item.done ? "line-through text-white/40" : ""}`}
+                        />
+                        <button
+                            type="button"
+                            onClick={() => onChange(moveItem(items, index, -1))}
+                            disabled={index === 0}
+                            className="action-btn disabled:opacity-20"
+                            title="Subir"
+                        >
+                            <ChevronUp size={12} />
+                        </button>
+                        <button
+                            type="button"
+                            onClick={() => onChange(moveItem(items, index, 1))}
+                            disabled={index === items.length - 1}
+                            className="action-btn disabled:opacity-20"
+                            title="Descer"
+                        >
+                            <ChevronDown size={12} />
+                        </button>
+                        <button
+                            type="button"
+                            onClick={() => onChange(items.filter((other) => other.id !== item.id))}
+                            className="action-btn hover:text-red-400"
+                            title="Remover item"
+                        >
+                            <Trash2 size={12} />
+                        </button>
+                    </li>
+                ))}
+            </ul>
+
+            {/* Novo item — Enter adiciona (sem enviar o card) */}
+            <div className="flex gap-1 mt-1">
+                <input
+                    type="text"
+                    value={text}
+                    onChange={(e) => setText(e.target.value)}
+                    onKeyDown={(e) => {
+                        if (e.key === "Enter") {
+                            e.preventDefault();
+                            handleAdd();
+                        }
+                    }}
+                    placeholder="Nova etapa (ex: Docker Compose)"
+                    className="checklist-input flex-1"
+                />
+                <button type="button" onClick={handleAdd} disabled={!text.trim()} className="btn-save-sm disabled:opacity-40">
+                    <Plus size={12} />
+                </button>
+            </div>
+
+            <label className="flex items-center gap-2 mt-2 text-white/50 text-xs cursor-pointer">
+                <input
+                    type="checkbox"
+                    checked={drivesProgress}
+                    onChange={(e) => onDrivesProgressChange(e.target.checked)}
+                    className="accent-violet-500"
+                />
+                Usar o checklist como progresso do card
+            </label>
+        </div>
+    );
+}
+
+ChecklistEditor.propTypes = {
+    items: PropTypes.arrayOf(
+        PropTypes.shape({
+            id: PropTypes.string.isRequired,
+            text: PropTypes.string.isRequired,
+            done: PropTypes.bool.isRequired,
+        })
+    ).isRequired,
+    onChange: PropTypes.func.isRequired,
+    drivesProgress: PropTypes.bool.isRequired,
+    onDrivesProgressChange: PropTypes.func.isRequired,
+};
+
+export default ChecklistEditor;
@@ -0,0 +1,108 @@
+/**
+ * ConnectorLayer — Setas de pré-requisito entre os cards do canvas.
+ *
+ * ╔══════════════════════════════════════════════════════════════════╗
+ * ║  🎓 MENTORIA — SVG DENTRO DO CANVAS TRANSFORMADO               ║
+ * ║                                                                ║
+ * ║  O <svg> fica DENTRO do .dashboard-canvas (o mesmo elemento    ║
+ * ║  que recebe translate + scale). Assim as setas usam as mesmas  ║
+ * ║  coordenadas dos cards e acompanham pan e zoom de graça.       ║
+ * ║                                                                ║
+ * ║  Durante um arraste, a posição salva do card só muda no        ║
+ * ║  onDragEnd. Para a seta não ficar "para trás", escutamos o     ║
+ * ║  dnd-kit com useDndMonitor e somamos o delta do card ativo.    ║
+ * ╚══════════════════════════════════════════════════════════════════╝
+ *
+ * Precisa estar dentro do <DndContext> (ver TechList).
+ */
+import { useState, useMemo } from "react";
+import PropTypes from "prop-types";
+import { useDndMonitor } from "@dnd-kit/core";
+import { buildEdges, cyclicIds } from "../services/prerequisites";
+
+// Mesmo tamanho padrão do TechCard
+const DEFAULT_SIZE = { w: 280, h: 72 };
+
+/**
+ * Ponto onde a reta entre os centros cruza a borda do retângulo —
+ * a seta começa/termina na borda do card, não no meio dele.
+ */
+function borderPoint(rect, toward) {
+    const cx = rect.x + rect.w / 2;
+    const cy = rect.y + rect.h / 2;
+    const dx = toward.x - cx;
+    const dy = toward.y - cy;
+    if (dx === 0 && dy === 0) return { x: cx, y: cy };
+
+    const scale = Math.min(
+        dx === 0 ? Infinity : rect.w / 2 / Math.abs(dx),
+        dy === 0 ? Infinity : rect.h / 2 / Math.abs(dy)
+    );
+    return { x: cx + dx * scale, y: cy + dy * scale };
+}
+
+function ConnectorLayer({ techs, positions, sizes }) {
+    // Card sendo arrastado agora e quanto ele já andou
+    const [drag, setDrag] = useState(null);
+
+    useDndMonitor({
+        onDragMove: ({ active, delta }) => setDrag({ id: String(active.id), delta }),
+        onDragEnd: () => setDrag(null),
+        onDragCancel: () => setDrag(null),
+    });
+
+    const edges = useMemo(() => buildEdges(techs), [techs]);
+    const inCycle = useMemo(() => cyclicIds(techs), [techs]);
+
+    if (edges.length === 0) return null;
+
+    function rectOf(id) {
+        const position = positions[id] ?? { x: 0, y: 0 };
+        const size = sizes[id] ?? DEFAULT_SIZE;
+        const offset = drag?.id === id ? drag.delta : { x: 0, y: 0 };
+        return { x: position.x + offset.x, y: position.y + offset.y, w: size.w, h: size.h };
+    }
+
+    const center = (rect) => ({ x: rect.x + rect.w / 2, y: rect.y + rect.h / 2 });
+
+    return (
+        <svg className="connector-layer" aria-hidden="true">
+            <defs>
+                <marker id="connector-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse">
+                    <path d="M 0 0 L 10 5 L 0 10 z" className="connector-arrow-head" />
+                </marker>
+                <marker id="connector-arrow-cycle" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse">
+                    <path d="M 0 0 L 10 5 L 0 10 z" className="connector-arrow-head-cycle" />
+                </marker>
+            </defs>
+
+            {edges.map(({ from, to }) => {
+                const fromRect = rectOf(from);
+                const toRect = rectOf(to);
+                const start = borderPoint(fromRect, center(toRect));
+                const end = borderPoint(toRect, center(fromRect));
+                const cyclic = inCycle.has(from) && inCycle.has(to);
+
+                return (
+                    <line
+                        key={`${from}->${to}`}
+                        x1={start.x}
+                        y1={start.y}
+                        x2={end.x}
+                        y2={end.y}
+                        className={cyclic ? "connector connector-cycle" : "connector"}
+                        markerEnd={`url(#${cyclic ? "connector-arrow-cycle" : "connector-arrow"})`}
+                    />
+                );
+            })}
+        </svg>
+    );
+}
+
+ConnectorLayer.propTypes = {
+    techs: PropTypes.arrayOf(PropTypes.object).isRequired,
+    positions: PropTypes.object.isRequired,
+    sizes: PropTypes.object.isRequired,
+};
+
+export default ConnectorLayer;
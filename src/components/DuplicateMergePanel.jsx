@@ -0,0 +1,154 @@
+/**
+ * DuplicateMergePanel — Encontra e mescla tecnologias repetidas no board.
+ *
+ * Boards antigos (de antes do aviso no formulário) ou imports podem ter
+ * "react", "React" e "ReactJS" como três cards. Aqui cada grupo aparece
+ * com o card sugerido para ficar já marcado — dá para escolher outro.
+ *
+ * Quem faz a mesclagem é o App (ver handleMergeDuplicates): as repetidas
+ * vão para a lixeira e tudo vira UM passo no histórico (desfazer volta).
+ * Pré-requisitos que criariam um ciclo na trilha não são mantidos — o
+ * painel lista quais foram descartados.
+ *
+ * Props:
+ * @param {Array} techs - Tecnologias ativas do board
+ * @param {Function} onMerge - async ([{ keeperId, otherIds }]) → ligações descartadas
+ */
+import { useState, useMemo } from "react";
+import PropTypes from "prop-types";
+import { Combine, X } from "lucide-react";
+import TechIcon from "./TechIcon";
+import { STATUS_LABELS, techStatus } from "../data/statuses";
+import { canonicalTechName, findDuplicateGroups, techKey } from "../services/duplicates";
+
+const BUTTON_CLASS =
+    "p-2 bg-white/10 hover:bg-white/20 backdrop-blur-md border border-white/10 rounded-lg text-white transition-all shadow-lg active:scale-95";
+
+function DuplicateMergePanel({ techs, onMerge }) {
+    const [open, setOpen] = useState(false);
+    const [keepers, setKeepers] = useState({}); // { [chave do grupo]: id escolhido }
+    const [dropped, setDropped] = useState([]); // Ligações descartadas na última mesclagem
+
+    const groups = useMemo(() => findDuplicateGroups(techs), [techs]);
+
+    // Escolha do usuário, se ainda estiver no grupo; senão a sugestão (primeiro)
+    function keeperOf(group) {
+        const chosen = keepers[techKey(group[0].name)];
+        return group.find((tech) => String(tech.id) === chosen) ?? group[0];
+    }
+
+    async function merge(merges) {
+        setDropped(await onMerge(merges));
+    }
+
+    function mergeOf(group) {
+        const keeper = keeperOf(group);
+        return { keeperId: keeper.id, otherIds: group.filter((tech) => tech !== keeper).map((tech) => tech.id) };
+    }
+
+    return (
+        <div className="relative">
+            <button
+                onClick={() => {
+                    setOpen((prev) => !prev);
+                    setDropped([]);
+                }}
+                className={`${BUTTON_CLASS} relative`}
+                title="Tecnologias repetidas"
+            >
+                <Combine size={20} />
+                {groups.length > 0 && <span className="trash-count filter-count">{groups.length}</span>}
+            </button>
+
+            {open && (
+                <div className="trash-panel absolute bottom-full left-0 mb-2 w-80 max-h-[60vh] flex flex-col animate-fade-in">
+                    <div className="flex items-center justify-between mb-2">
+                        <h3 className="text-white/80 text-sm font-semibold">Tecnologias repetidas</h3>
+                        <button onClick={() => setOpen(false)} className="action-btn" title="Fechar">
+                            <X size={14} />
+                        </button>
+                    </div>
+
+                    {dropped.length > 0 && (
+                        <div className="mb-2 text-amber-200 text-xs" role="status">
+                            <p>Pré-requisitos descartados para não criar um ciclo na trilha:</p>
+                            <ul className="mt-1 list-disc list-inside text-white/50">
+                                {dropped.map(({ tech, prerequisite }) => (
+                                    <li key={`${tech}→${prerequisite}`}>
+                                        {tech} exigiria {prerequisite}
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
+
+                    {groups.length === 0 ? (
+                        <p className="text-white/30 text-xs text-center py-4">Nenhuma tecnologia repetida.</p>
+                    ) : (
+                        <>
+                            <p className="text-white/40 text-xs mb-2">
+                                Marque o card que fica. Os outros vão para a lixeira e o que tinham (sessões,
+                                notas, links, checklist...) passa para ele.
+                            </p>
+
+                            <div className="flex-1 min-h-0 overflow-y-auto flex flex-col gap-3">
+                                {groups.map((group) => {
+                                    const groupKey = techKey(group[0].name);
+                                    const keeper = keeperOf(group);
+                                    return (
+                                        <section key={groupKey}>
+                                            <ul className="flex flex-col gap-0.5">
+                                                {group.map((tech) => (
+                                                    <li key={tech.id}>
+                                                        <label className="board-menu-item w-full cursor-pointer">
+                                                            <input
+                                                                type="radio"
+                                                                name={`keeper-${groupKey}`}
+                                                                checked={tech === keeper}
+                                                                onChange={() =>
+                                                                    setKeepers((prev) => ({ ...prev, [groupKey]: String(tech.id) }))
+                                                                }
+                                                                className="accent-violet-500"
+                                                            />
+                                                            <TechIcon name={tech.name} size={16} />
+                                                            <span className="flex-1 truncate">{tech.name}</span>
+                                                            <span className="text-white/30 text-xs">
+                                                                {STATUS_LABELS[techStatus(tech)]}
+                                                            </span>
+                                                        </label>
+                                                    </li>
+                                                ))}
+                                            </ul>
+                                            <button
+                                                onClick={() => merge([mergeOf(group)])}
+                                                className="btn-save-sm w-full justify-center mt-1"
+                                            >
+                                                <Combine size={12} /> Mesclar em {canonicalTechName(keeper.name)}
+                                            </button>
+                                        </section>
+                                    );
+                                })}
+                            </div>
+
+                            {groups.length > 1 && (
+                                <button
+                                    onClick={() => merge(groups.map(mergeOf))}
+                                    className="board-menu-item w-full mt-2 pt-2 border-t border-white/10"
+                                >
+                                    <Combine size={14} /> Mesclar todos os grupos ({groups.length})
+                                </button>
+                            )}
+                        </>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
+
+DuplicateMergePanel.propTypes = {
+    techs: PropTypes.arrayOf(PropTypes.object).isRequired,
+    onMerge: PropTypes.func.isRequired,
+};
+
+export default DuplicateMergePanel;
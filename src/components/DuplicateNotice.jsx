@@ -0,0 +1,67 @@
+/**
+ * DuplicateNotice — Aviso do formulário quando a tecnologia já está no board.
+ *
+ * Em vez de criar um segundo card "React", oferece:
+ * - Ver card: leva até o card que já existe
+ * - Subir prioridade: aumenta a prioridade do card existente
+ *
+ * Props:
+ * @param {Object} tech - Card que já existe
+ * @param {Object} priorityScale - Escala de prioridades do board
+ * @param {number} requestedPriority - Prioridade escolhida no formulário
+ * @param {Function} onJump - () → mostra o card existente
+ * @param {Function} onBump - (prioridade) → sobe a prioridade do existente
+ * @param {Function} onDismiss - () → fecha o aviso
+ */
+import PropTypes from "prop-types";
+import { AlertTriangle, Crosshair, ArrowUp, X } from "lucide-react";
+import { clampPriority, priorityLabel } from "../data/priorities";
+
+function DuplicateNotice({ tech, priorityScale, requestedPriority, onJump, onBump, onDismiss }) {
+    const current = clampPriority(priorityScale, tech.priority);
+    // A escolhida no formulário, ou um nível acima do atual — nunca abaixo
+    const target = clampPriority(priorityScale, Math.max(requestedPriority, current + 1));
+    const canBump = target > current;
+
+    return (
+        <div className="mt-3 p-2 rounded-lg border border-amber-400/30 bg-amber-500/10 text-xs" role="alert">
+            <div className="flex items-start gap-2 text-amber-200">
+                <AlertTriangle size={14} className="mt-0.5 flex-shrink-0" />
+                <p className="flex-1">
+                    <strong>{tech.name}</strong> já está no board (prioridade{" "}
+                    {priorityLabel(priorityScale, current)}).
+                </p>
+                <button type="button" onClick={onDismiss} className="action-btn" title="Fechar">
+                    <X size={12} />
+                </button>
+            </div>
+            <div className="flex gap-2 mt-2">
+                <button type="button" onClick={onJump} className="btn-cancel-sm">
+                    <Crosshair size={12} /> Ver card
+                </button>
+                {canBump ? (
+                    <button type="button" onClick={() => onBump(target)} className="btn-save-sm">
+                        <ArrowUp size={12} /> Subir para {priorityLabel(priorityScale, target)}
+                    </button>
+                ) : (
+                    <span className="self-center text-white/40">Já está na prioridade máxima.</span>
+                )}
+            </div>
+        </div>
+    );
+}
+
+DuplicateNotice.propTypes = {
+    tech: PropTypes.shape({
+        id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+        name: PropTypes.string.isRequired,
+        priority: PropTypes.number.isRequired,
+    }).isRequired,
+    priorityScale: PropTypes.object.isRequired,
+    requestedPriority: PropTypes.number.isRequired,
+    onJump: PropTypes.func.isRequired,
+    onBump: PropTypes.func.isRequired,
+    onDismiss: PropTypes.func.isRequired,
+};
+
+export default DuplicateNotice;
@@ -5,9 +5,32 @@
  * → Mantém o código organizado e o componente reutilizável.
  * → Facilita trocar o visual sem mexer na lógica da lista.
  */
-import { Rocket } from "lucide-react";
+import PropTypes from "prop-types";
+import { Rocket, Filter } from "lucide-react";
+
+/**
+ * @param {boolean} filtered - Há tecnologias, mas o filtro de categorias
+ *                             ocultou todas (mensagem diferente)
+ */
+function EmptyState({ filtered = false }) {
+    if (filtered) {
+        return (
+            <div className="w-full max-w-lg mt-6">
+                <div className="glass-card p-8 rounded-2xl text-center">
+                    <div className="inline-flex items-center justify-center w-16 h-16 rounded-full bg-violet-500/10 mb-4">
+                        <Filter size={28} className="text-violet-400" />
+                    </div>
+                    <h3 className="text-white font-semibold text-lg mb-2">
+                        Nada nas categorias escolhidas
+                    </h3>
+                    <p className="text-white/50 text-sm leading-relaxed">
+                        Mude o filtro de categorias para ver as outras tecnologias.
+                    </p>
+                </div>
+            </div>
+        );
+    }
 
-function EmptyState() {
     return (
         <div className="w-full max-w-lg mt-6">
             <div className="glass-card p-8 rounded-2xl text-center">
@@ -29,4 +52,8 @@ function EmptyState() {
     );
 }
 
+EmptyState.propTypes = {
+    filtered: PropTypes.bool,
+};
+
 export default EmptyState;
@@ -0,0 +1,167 @@
+/**
+ * ExportMenu — Menu de exportação / importação do board.
+ *
+ * - Exportar: JSON (backup completo), Markdown, CSV ou roadmap para impressão
+ * - Importar: lê um JSON exportado, valida e pergunta o modo:
+ *     Mesclar    → adiciona as tecnologias ao board atual
+ *     Substituir → manda as atuais para a lixeira e aplica o layout do arquivo
+ *
+ * A validação do arquivo fica no serviço boardTransfer; aqui só
+ * cuidamos da interação (escolher arquivo, confirmar, mostrar resultado).
+ */
+import { useState, useRef } from "react";
+import PropTypes from "prop-types";
+import { ArrowDownUp, Download, FileText, Sheet, Printer, Upload, X } from "lucide-react";
+import { parseBoardExport } from "../services/boardTransfer";
+
+/** Formatos de exportação (o App decide como gerar cada um) */
+const EXPORT_OPTIONS = [
+    { format: "json", label: "Backup do board (JSON)", Icon: Download },
+    { format: "markdown", label: "Checklist (Markdown)", Icon: FileText },
+    { format: "csv", label: "Planilha (CSV)", Icon: Sheet },
+    { format: "roadmap", label: "Roadmap para impressão", Icon: Printer },
+];
+
+const BUTTON_CLASS =
+    "p-2 bg-white/10 hover:bg-white/20 backdrop-blur-md border border-white/10 rounded-lg text-white transition-all shadow-lg active:scale-95";
+
+function ExportMenu({ onExport, onImport }) {
+    const [open, setOpen] = useState(false);
+    const [pendingImport, setPendingImport] = useState(null);
+    const [importing, setImporting] = useState(false);
+    const [message, setMessage] = useState(null);
+    const fileInputRef = useRef(null);
+
+    function close() {
+        setOpen(false);
+        setPendingImport(null);
+        setMessage(null);
+    }
+
+    async function handleFileChange(e) {
+        const file = e.target.files?.[0];
+        e.target.value = ""; // Permite escolher o mesmo arquivo de novo
+        if (!file) return;
+
+        try {
+            setPendingImport(parseBoardExport(await file.text()));
+            setMessage(null);
+        } catch (err) {
+            setPendingImport(null);
+            setMessage({ type: "error", text: err.message });
+        }
+    }
+
+    function handleExport(format) {
+        const exportError = onExport(format);
+        setMessage(exportError ? { type: "error", text: exportError } : null);
+    }
+
+    async function handleImport(mode) {
+        if (mode === "replace") {
+            const confirmed = window.confirm(
+                "Substituir o board atual? As tecnologias atuais irão para a lixeira."
+            );
+            if (!confirmed) return;
+        }
+
+        setImporting(true);
+        const count = await onImport(pendingImport, mode);
+        setImporting(false);
+        setPendingImport(null);
+        setMessage({
+            type: "success",
+            text: `${count} ${count === 1 ? "tecnologia importada" : "tecnologias importadas"}.`,
+        });
+    }
+
+    return (
+        <div className="relative">
+            <button
+                onClick={() => (open ? close() : setOpen(true))}
+                className={BUTTON_CLASS}
+                title="Exportar / Importar"
+            >
+                <ArrowDownUp size={20} />
+            </button>
+
+            {open && (
+                <div className="trash-panel absolute bottom-full left-0 mb-2 w-72 animate-fade-in">
+                    <div className="flex items-center justify-between mb-2">
+                        <h3 className="text-white/80 text-sm font-semibold">Exportar / Importar</h3>
+                        <button onClick={close} className="action-btn" title="Fechar">
+                            <X size={14} />
+                        </button>
+                    </div>
+
+                    <ul className="flex flex-col gap-1">
+                        {EXPORT_OPTIONS.map((option) => (
+                            <li key={option.format}>
+                                <button onClick={() => handleExport(option.format)} className="board-menu-item w-full">
+                                    <option.Icon size={14} /> {option.label}
+                                </button>
+                            </li>
+                        ))}
+                        <li className="pt-1 mt-1 border-t border-white/10">
+                            <button
+                                onClick={() => fileInputRef.current?.click()}
+                                disabled={importing}
+                                className="board-menu-item w-full disabled:opacity-40"
+                            >
+                                <Upload size={14} /> Importar board (JSON)...
+                            </button>
+                        </li>
+                    </ul>
+
+                    <input
+                        ref={fileInputRef}
+                        type="file"
+                        accept="application/json,.json"
+                        onChange={handleFileChange}
+                        className="hidden"
+                    />
+
+                    {pendingImport && (
+                        <div className="mt-2 pt-2 border-t border-white/10 text-xs text-white/60">
+                            <p className="mb-2">
+                                {pendingImport.board.name ? `"${pendingImport.board.name}" — ` : ""}
+                                {pendingImport.techs.length} tecnologias. Como importar?
+                            </p>
+                            <div className="flex gap-2">
+                                <button
+                                    onClick={() => handleImport("merge")}
+                                    disabled={importing}
+                                    className="btn-cancel-sm flex-1 justify-center"
+                                >
+                                    Mesclar
+                                </button>
+                                <button
+                                    onClick={() => handleImport("replace")}
+                                    disabled={importing}
+                                    className="btn-cancel-sm flex-1 justify-center hover:text-red-300"
+                                >
+                                    Substituir
+                                </button>
+                            </div>
+                        </div>
+                    )}
+
+                    {importing && <p className="mt-2 text-xs text-white/50">Importando...</p>}
+
+                    {message && (
+                        <p className={`mt-2 text-xs ${message.type === "error" ? "text-red-300" : "text-emerald-300"}`}>
+                            {message.text}
+                        </p>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
+
+ExportMenu.propTypes = {
+    onExport: PropTypes.func.isRequired,
+    onImport: PropTypes.func.isRequired,
+};
+
+export default ExportMenu;
@@ -0,0 +1,52 @@
+/**
+ * HistoryControls — Botões flutuantes de Desfazer / Refazer.
+ *
+ * Componente presentational, no mesmo estilo do ZoomControls:
+ * só chama os callbacks. Fica na barra do canto inferior esquerdo (App).
+ *
+ * O title mostra O QUE será desfeito (ex: "Desfazer: mover card").
+ *
+ * Props:
+ * @param {boolean} canUndo / canRedo - Habilitam os botões
+ * @param {string} undoLabel / redoLabel - Descrição da próxima ação
+ * @param {Function} onUndo / onRedo - Callbacks dos botões
+ */
+import { Undo2, Redo2 } from "lucide-react";
+import PropTypes from "prop-types";
+
+const BUTTON_CLASS =
+    "p-2 bg-white/10 hover:bg-white/20 backdrop-blur-md border border-white/10 rounded-lg text-white transition-all shadow-lg active:scale-95 disabled:opacity-30 disabled:pointer-events-none";
+
+function HistoryControls({ canUndo, canRedo, undoLabel, redoLabel, onUndo, onRedo }) {
+    return (
+        <div className="flex gap-2">
+            <button
+                onClick={onUndo}
+                disabled={!canUndo}
+                className={BUTTON_CLASS}
+                title={undoLabel ? `Desfazer: ${undoLabel} (Ctrl+Z)` : "Desfazer (Ctrl+Z)"}
+            >
+                <Undo2 size={20} />
+            </button>
+            <button
+                onClick={onRedo}
+                disabled={!canRedo}
+                className={BUTTON_CLASS}
+                title={redoLabel ? `Refazer: ${redoLabel} (Ctrl+Shift+Z)` : "Refazer (Ctrl+Shift+Z)"}
+            >
+                <Redo2 size={20} />
+            </button>
+        </div>
+    );
+}
+
+HistoryControls.propTypes = {
+    canUndo: PropTypes.bool.isRequired,
+    canRedo: PropTypes.bool.isRequired,
+    undoLabel: PropTypes.string,
+    redoLabel: PropTypes.string,
+    onUndo: PropTypes.func.isRequired,
+    onRedo: PropTypes.func.isRequired,
+};
+
+export default HistoryControls;
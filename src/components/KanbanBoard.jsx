@@ -0,0 +1,157 @@
+/**
+ * KanbanBoard — Visão alternativa ao canvas: colunas por status.
+ *
+ * ╔══════════════════════════════════════════════════════════════════╗
+ * ║  🎓 MENTORIA — MESMOS DADOS, OUTRA VISÃO                       ║
+ * ║                                                                ║
+ * ║  O canvas organiza os cards por POSIÇÃO (x, y); o Kanban, por  ║
+ * ║  STATUS. Nenhum dos dois tem cópia própria das tecnologias:    ║
+ * ║  ambos recebem a mesma lista do useTechs. Mover um card de     ║
+ * ║  coluna é só um onUpdate(id, { status }) — o layout do canvas  ║
+ * ║  não muda.                                                     ║
+ * ╚══════════════════════════════════════════════════════════════════╝
+ *
+ * Hierarquia:
+ *   <DndContext>
+ *     <KanbanColumn /> × 4   ← useDroppable (id = status)
+ *       <KanbanCard /> × N   ← useDraggable (id = tech.id)
+ *     <DragOverlay />        ← cópia do card que segue o mouse
+ *   </DndContext>
+ */
+import { useState, useMemo } from "react";
+import PropTypes from "prop-types";
+import {
+    DndContext,
+    DragOverlay,
+    PointerSensor,
+    TouchSensor,
+    useSensor,
+    useSensors,
+} from "@dnd-kit/core";
+import { Loader2, ArrowDownWideNarrow } from "lucide-react";
+import KanbanColumn from "./KanbanColumn";
+import KanbanCard from "./KanbanCard";
+import { STATUSES, techStatus } from "../data/statuses";
+import { compareByDueDate } from "../services/dueDates";
+
+const SORT_OPTIONS = [
+    { mode: "priority", label: "Prioridade" },
+    { mode: "due", label: "Data-alvo" },
+];
+
+function KanbanBoard({ techs, onUpdate, onOpenDetails, dimmedIds, priorityScale, sortMode = "priority", onSortChange, loading, children }) {
+    const [activeId, setActiveId] = useState(null);
+
+    // Mesmos sensores do canvas (ver TechList)
+    const sensors = useSensors(
+        useSensor(PointerSensor, { activationConstraint: { distance: 8 } }),
+        useSensor(TouchSensor, { activationConstraint: { delay: 200, tolerance: 5 } })
+    );
+
+    // { wishlist: [...], learning: [...], ... } — a lista já vem por prioridade
+    const columns = useMemo(() => {
+        const grouped = Object.fromEntries(STATUSES.map((status) => [status, []]));
+        const sorted = sortMode === "due" ? [...techs].sort(compareByDueDate) : techs;
+        sorted.forEach((tech) => grouped[techStatus(tech)].push(tech));
+        return grouped;
+    }, [techs, sortMode]);
+
+    const activeTech = techs.find((t) => String(t.id) === String(activeId));
+
+    function handleDragEnd({ active, over }) {
+        setActiveId(null);
+        if (!over) return; // Soltou fora das colunas
+
+        const tech = techs.find((t) => String(t.id) === String(active.id));
+        if (tech && techStatus(tech) !== over.id) {
+            onUpdate(tech.id, { status: over.id });
+        }
+    }
+
+    if (loading) {
+        return (
+            <div className="dashboard-loading">
+                <Loader2 size={24} className="animate-spin text-violet-400" />
+                <span className="text-white/50">Carregando tecnologias...</span>
+            </div>
+        );
+    }
+
+    return (
+        <div className="kanban-container">
+            <div className="kanban-sidebar">
+                {/* Formulário de adicionar (passado pelo App) */}
+                {children}
+
+                {/* Ordem dos cards dentro das colunas */}
+                {onSortChange && (
+                    <div className="flex items-center gap-2 text-white/50 text-xs">
+                        <ArrowDownWideNarrow size={14} />
+                        <span>Ordenar por</span>
+                        <div className="flex flex-1 rounded-md overflow-hidden border border-white/10">
+                            {SORT_OPTIONS.map((option) => (
+                                <button
+                                    key={option.mode}
+                                    onClick={() => onSortChange(option.mode)}
+                                    className={`flex-1 py-1 transition-all ${
+                                        sortMode === option.mode
+                                            ? "bg-violet-500/40 text-white"
+                                            : "hover:bg-white/10"
+                                    }`}
+                                    aria-pressed={sortMode === option.mode}
+                                >
+                                    {option.label}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                )}
+            </div>
+
+            <DndContext
+                sensors={sensors}
+                onDragStart={({ active }) => setActiveId(active.id)}
+                onDragEnd={handleDragEnd}
+                onDragCancel={() => setActiveId(null)}
+            >
+                <div className="kanban-board">
+                    {STATUSES.map((status) => (
+                        <KanbanColumn
+                            key={status}
+                            status={status}
+                            techs={columns[status]}
+                            onOpenDetails={onOpenDetails}
+                            dimmedIds={dimmedIds}
+                            priorityScale={priorityScale}
+                        />
+                    ))}
+                </div>
+
+                <DragOverlay>
+                    {activeTech ? <KanbanCard tech={activeTech} priorityScale={priorityScale} overlay /> : null}
+                </DragOverlay>
+            </DndContext>
+        </div>
+    );
+}
+
+KanbanBoard.propTypes = {
+    techs: PropTypes.arrayOf(
+        PropTypes.shape({
+            id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+            name: PropTypes.string.isRequired,
+            priority: PropTypes.number.isRequired,
+            status: PropTypes.string,
+        })
+    ).isRequired,
+    onUpdate: PropTypes.func.isRequired,
+    onOpenDetails: PropTypes.func,
+    dimmedIds: PropTypes.instanceOf(Set),
+    priorityScale: PropTypes.object.isRequired,
+    sortMode: PropTypes.oneOf(["priority", "due"]),
+    onSortChange: PropTypes.func,
+    loading: PropTypes.bool,
+    children: PropTypes.node,
+};
+
+export default KanbanBoard;
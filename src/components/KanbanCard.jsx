@@ -0,0 +1,144 @@
+/**
+ * KanbanCard — Versão compacta do card para as colunas do Kanban.
+ *
+ * Sem posição nem resize: no Kanban a ORDEM vem da prioridade e a
+ * COLUNA vem do status. Arrastar para outra coluna muda o status.
+ *
+ * `overlay`: a cópia que segue o mouse durante o drag (DragOverlay).
+ * Ela não registra um draggable — só desenha o card.
+ */
+import PropTypes from "prop-types";
+import { useDraggable } from "@dnd-kit/core";
+import { GripVertical, StickyNote, Link2, CalendarClock, ListChecks } from "lucide-react";
+import TechIcon from "./TechIcon";
+import { priorityColor, priorityLabel } from "../data/priorities";
+import { techNotes, techLinks } from "../services/resources";
+import { dueState, dueLabel } from "../services/dueDates";
+import { techChecklist, checklistCounts } from "../services/checklist";
+
+function KanbanCardBody({ tech, priorityScale, handleProps, onOpenDetails }) {
+    const hasNotes = techNotes(tech).trim() !== "";
+    const linkCount = techLinks(tech).length;
+    const due = dueState(tech);
+    const checklist = checklistCounts(techChecklist(tech));
+
+    return (
+        <>
+            <button className="drag-handle" {...handleProps} aria-label="Arrastar card">
+                <GripVertical size={16} />
+            </button>
+            <TechIcon name={tech.name} size={24} />
+            <div className="flex-1 min-w-0">
+                {/* Clicar no nome abre o painel de detalhes */}
+                <button
+                    type="button"
+                    onClick={() => onOpenDetails?.(tech.id)}
+                    className="block max-w-full text-white text-sm font-medium truncate hover:text-violet-300"
+                >
+                    {tech.name}
+                </button>
+                <div className="flex items-center gap-1.5">
+                    <span className={`priority-dot bg-gradient-to-r ${priorityColor(priorityScale, tech.priority)}`} />
+                    <span className="text-white/40 text-xs">{priorityLabel(priorityScale, tech.priority)}</span>
+                    {due && (
+                        <span className={`due-badge due-badge-${due} text-xs`}>
+                            <CalendarClock size={12} />
+                            {dueLabel(tech)}
+                        </span>
+                    )}
+                    {checklist.total > 0 && (
+                        <span
+                            className={`resource-badge text-xs ${checklist.done === checklist.total ? "resource-badge-complete" : ""}`}
+                        >
+                            <ListChecks size={12} />
+                            {checklist.done}/{checklist.total}
+                        </span>
+                    )}
+                    {(hasNotes || linkCount > 0) && (
+                        <button
+                            type="button"
+                            onClick={() => onOpenDetails?.(tech.id, hasNotes ? "notes" : "links")}
+                            className="resource-badge text-xs"
+                        >
+                            {hasNotes && <StickyNote size={12} />}
+                            {linkCount > 0 && (
+                                <>
+                                    <Link2 size={12} />
+                                    {linkCount}
+                                </>
+                            )}
+                        </button>
+                    )}
+                </div>
+            </div>
+        </>
+    );
+}
+
+KanbanCardBody.propTypes = {
+    tech: PropTypes.object.isRequired,
+    priorityScale: PropTypes.object.isRequired,
+    handleProps: PropTypes.object,
+    onOpenDetails: PropTypes.func,
+};
+
+function DraggableKanbanCard({ tech, priorityScale, onOpenDetails, dimmed }) {
+    /**
+     * 🎓 MENTORIA — useDraggable sem transform
+     * O card original fica parado (meio transparente) e quem anda é a
+     * cópia do DragOverlay. Assim ele não é "cortado" pelo scroll da
+     * coluna enquanto atravessa para outra.
+     */
+    const { attributes, listeners, setNodeRef, isDragging } = useDraggable({ id: tech.id });
+
+    return (
+        <div
+            ref={setNodeRef}
+            className="kanban-card"
+            style={{ opacity: isDragging ? 0.4 : dimmed ? 0.25 : 1 }}
+            {...attributes}
+        >
+            <KanbanCardBody
+                tech={tech}
+                priorityScale={priorityScale}
+                handleProps={listeners}
+                onOpenDetails={onOpenDetails}
+            />
+        </div>
+    );
+}
+
+DraggableKanbanCard.propTypes = {
+    tech: PropTypes.object.isRequired,
+    priorityScale: PropTypes.object.isRequired,
+    onOpenDetails: PropTypes.func,
+    dimmed: PropTypes.bool,
+};
+
+function KanbanCard({ tech, priorityScale, overlay = false, onOpenDetails, dimmed = false }) {
+    // A cópia do overlay NÃO registra um draggable (o id já está em uso)
+    if (overlay) {
+        return (
+            <div className="kanban-card kanban-card-overlay">
+                <KanbanCardBody tech={tech} priorityScale={priorityScale} />
+            </div>
+        );
+    }
+    return (
+        <DraggableKanbanCard tech={tech} priorityScale={priorityScale} onOpenDetails={onOpenDetails} dimmed={dimmed} />
+    );
+}
+
+KanbanCard.propTypes = {
+    tech: PropTypes.shape({
+        id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+        name: PropTypes.string.isRequired,
+        priority: PropTypes.number.isRequired,
+    }).isRequired,
+    priorityScale: PropTypes.object.isRequired,
+    overlay: PropTypes.bool,
+    onOpenDetails: PropTypes.func,
+    dimmed: PropTypes.bool,
+};
+
+export default KanbanCard;
@@ -0,0 +1,55 @@
+/**
+ * KanbanColumn — Uma coluna (status) do Kanban: área onde se solta cards.
+ *
+ * 🎓 MENTORIA — useDroppable (dnd-kit)
+ * O "par" do useDraggable: marca um elemento como destino de drop.
+ * isOver fica true enquanto um card está sobre a coluna (destaque
+ * visual). No onDragEnd, event.over.id diz em QUAL coluna o card caiu.
+ */
+import PropTypes from "prop-types";
+import { useDroppable } from "@dnd-kit/core";
+import KanbanCard from "./KanbanCard";
+import { STATUS_ICONS, STATUS_LABELS } from "../data/statuses";
+
+function KanbanColumn({ status, techs, onOpenDetails, dimmedIds, priorityScale }) {
+    const { setNodeRef, isOver } = useDroppable({ id: status });
+    const Icon = STATUS_ICONS[status];
+
+    return (
+        <section
+            ref={setNodeRef}
+            className={`kanban-column ${isOver ? "kanban-column-over" : ""}`}
+        >
+            <header className={`kanban-column-header status-${status}`}>
+                <Icon size={14} />
+                <h2>{STATUS_LABELS[status]}</h2>
+                <span className="ml-auto text-white/40">{techs.length}</span>
+            </header>
+
+            <div className="flex flex-col gap-2 overflow-y-auto">
+                {techs.map((tech) => (
+                    <KanbanCard
+                        key={tech.id}
+                        tech={tech}
+                        onOpenDetails={onOpenDetails}
+                        dimmed={dimmedIds?.has(tech.id) ?? false}
+                        priorityScale={priorityScale}
+                    />
+                ))}
+                {techs.length === 0 && (
+                    <p className="text-white/25 text-xs text-center py-6">Arraste um card para cá</p>
+                )}
+            </div>
+        </section>
+    );
+}
+
+KanbanColumn.propTypes = {
+    status: PropTypes.string.isRequired,
+    techs: PropTypes.arrayOf(PropTypes.object).isRequired,
+    onOpenDetails: PropTypes.func,
+    dimmedIds: PropTypes.instanceOf(Set),
+    priorityScale: PropTypes.object.isRequired,
+};
+
+export default KanbanColumn;
@@ -0,0 +1,110 @@
+/**
+ * LearningPathPanel — Trilha de aprendizado calculada dos pré-requisitos.
+ *
+ * Mostra as tecnologias em ETAPAS: a etapa 1 não depende de nada; a
+ * etapa 2 depende só da 1; e assim por diante. Dentro de uma etapa,
+ * a maior prioridade vem primeiro (ver learningPath).
+ *
+ * "Organizar canvas" posiciona os cards em colunas, uma por etapa —
+ * as setas passam a correr da esquerda para a direita.
+ */
+import { useState, useMemo } from "react";
+import PropTypes from "prop-types";
+import { Route, X, AlertTriangle, Columns3 } from "lucide-react";
+import TechIcon from "./TechIcon";
+import { learningPath } from "../services/prerequisites";
+
+const BUTTON_CLASS =
+    "p-2 bg-white/10 hover:bg-white/20 backdrop-blur-md border border-white/10 rounded-lg text-white transition-all shadow-lg active:scale-95";
+
+function LearningPathPanel({ techs, onOpenDetails, onArrange }) {
+    const [open, setOpen] = useState(false);
+
+    // [[etapa 0], [etapa 1], ...] + tecnologias presas em ciclos
+    const { stages, cyclic } = useMemo(() => {
+        if (!open) return { stages: [], cyclic: [] };
+        const result = learningPath(techs);
+        const grouped = [];
+        result.path.forEach(({ tech, depth }) => (grouped[depth] ??= []).push(tech));
+        return { stages: grouped, cyclic: result.cyclic };
+    }, [techs, open]);
+
+    return (
+        <div className="relative">
+            <button onClick={() => setOpen((prev) => !prev)} className={BUTTON_CLASS} title="Trilha de aprendizado">
+                <Route size={20} />
+            </button>
+
+            {open && (
+                <div className="trash-panel absolute bottom-full left-0 mb-2 w-72 max-h-[60vh] flex flex-col animate-fade-in">
+                    <div className="flex items-center justify-between mb-2">
+                        <h3 className="text-white/80 text-sm font-semibold">Trilha de aprendizado</h3>
+                        <button onClick={() => setOpen(false)} className="action-btn" title="Fechar">
+                            <X size={14} />
+                        </button>
+                    </div>
+
+                    <div className="flex-1 min-h-0 overflow-y-auto">
+                        {techs.length === 0 && (
+                            <p className="text-white/30 text-xs text-center py-4">Nenhuma tecnologia no board.</p>
+                        )}
+
+                        {stages.map((stage, index) => (
+                            <section key={index} className="mb-2">
+                                <h4 className="detail-section-title mb-1">Etapa {index + 1}</h4>
+                                <ul className="flex flex-col gap-0.5">
+                                    {stage.map((tech) => (
+                                        <li key={tech.id}>
+                                            <button
+                                                onClick={() => onOpenDetails(tech.id, "path")}
+                                                className="board-menu-item w-full"
+                                            >
+                                                <TechIcon name={tech.name} size={16} />
+                                                <span className="truncate">{tech.name}</span>
+                                            </button>
+                                        </li>
+                                    ))}
+                                </ul>
+                            </section>
+                        ))}
+
+                        {cyclic.length > 0 && (
+                            <section className="mt-2 pt-2 border-t border-white/10">
+                                <p className="flex items-center gap-1 text-red-300 text-xs mb-1">
+                                    <AlertTriangle size={12} /> Ciclo de pré-requisitos — revise:
+                                </p>
+                                <ul className="flex flex-col gap-0.5">
+                                    {cyclic.map((tech) => (
+                                        <li key={tech.id}>
+                                            <button
+                                                onClick={() => onOpenDetails(tech.id, "path")}
+                                                className="board-menu-item w-full"
+                                            >
+                                                <TechIcon name={tech.name} size={16} />
+                                                <span className="truncate text-red-200">{tech.name}</span>
+                                            </button>
+                                        </li>
+                                    ))}
+                                </ul>
+                            </section>
+                        )}
+                    </div>
+
+                    {onArrange && techs.length > 0 && (
+                        <button onClick={onArrange} className="board-menu-item w-full mt-2 pt-2 border-t border-white/10">
+                            <Columns3 size={14} /> Organizar canvas pela trilha
+                        </button>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
+
+LearningPathPanel.propTypes = {
+    techs: PropTypes.arrayOf(PropTypes.object).isRequired,
+    onOpenDetails: PropTypes.func.isRequired,
+    onArrange: PropTypes.func,
+};
+
+export default LearningPathPanel;
@@ -0,0 +1,69 @@
+/**
+ * MarkdownView — Renderiza a árvore do parser de Markdown (services/markdown).
+ *
+ * Todo texto vira filho de um elemento React (nunca HTML cru), então
+ * o conteúdo das notas é sempre escapado. Links abrem em outra aba.
+ */
+import { useMemo } from "react";
+import PropTypes from "prop-types";
+import { parseMarkdown } from "../services/markdown";
+
+function renderInline(nodes) {
+    return nodes.map((node, index) => {
+        switch (node.type) {
+            case "strong":
+                return <strong key={index}>{renderInline(node.children)}</strong>;
+            case "em":
+                return <em key={index}>{renderInline(node.children)}</em>;
+            case "code":
+                return <code key={index}>{node.value}</code>;
+            case "link":
+                return (
+                    <a key={index} href={node.href} target="_blank" rel="noopener noreferrer">
+                        {renderInline(node.children)}
+                    </a>
+                );
+            default:
+                return node.value;
+        }
+    });
+}
+
+function renderBlock(block, index) {
+    switch (block.type) {
+        case "heading": {
+            const Heading = `h${block.level + 2}`; // # → h3 (o painel já tem h2)
+            return <Heading key={index}>{renderInline(block.children)}</Heading>;
+        }
+        case "list": {
+            const List = block.ordered ? "ol" : "ul";
+            return (
+                <List key={index}>
+                    {block.items.map((item, i) => (
+                        <li key={i}>{renderInline(item)}</li>
+                    ))}
+                </List>
+            );
+        }
+        case "codeblock":
+            return (
+                <pre key={index}>
+                    <code>{block.value}</code>
+                </pre>
+            );
+        default:
+            return <p key={index}>{renderInline(block.children)}</p>;
+    }
+}
+
+function MarkdownView({ text }) {
+    // Só reprocessa quando o texto muda
+    const blocks = useMemo(() => parseMarkdown(text), [text]);
+    return <div className="markdown-view">{blocks.map(renderBlock)}</div>;
+}
+
+MarkdownView.propTypes = {
+    text: PropTypes.string.isRequired,
+};
+
+export default MarkdownView;
@@ -0,0 +1,57 @@
+/**
+ * PriorityPicker — Botões numerados da escala de prioridades do board.
+ *
+ * Usado no TechForm, no TechFormWidget e no modo edição do TechCard:
+ * a quantidade de botões e o rótulo ao lado vêm da escala (5 níveis,
+ * MoSCoW...), nunca de uma lista fixa.
+ *
+ * Props:
+ * @param {Object} scale - Escala do board ({ levels, defaultLevel })
+ * @param {number} value - Prioridade escolhida
+ * @param {Function} onChange - (prioridade) → atualiza
+ * @param {boolean} compact - Botões pequenos (edição inline do card)
+ */
+import PropTypes from "prop-types";
+import { clampPriority, priorityLabel, priorityValues } from "../data/priorities";
+
+function PriorityPicker({ scale, value, onChange, compact = false }) {
+    // Um valor de outra escala aparece selecionado no nível mais próximo
+    const selected = clampPriority(scale, value);
+
+    return (
+        <div className={`flex items-center ${compact ? "gap-1.5" : "gap-2"}`} role="group" aria-label="Prioridade">
+            {priorityValues(scale).map((p) => (
+                <button
+                    key={p}
+                    type="button"
+                    onClick={() => onChange(p)}
+                    className={`${compact ? "priority-btn-sm" : "priority-btn"} ${selected === p ? "priority-btn-active" : ""}`}
+                    title={priorityLabel(scale, p)}
+                    aria-pressed={selected === p}
+                >
+                    {p}
+                </button>
+            ))}
+            <span className={`text-white/40 text-xs truncate ${compact ? "" : "min-w-[4rem]"}`}>
+                {priorityLabel(scale, selected)}
+            </span>
+        </div>
+    );
+}
+
+PriorityPicker.propTypes = {
+    scale: PropTypes.shape({
+        levels: PropTypes.arrayOf(
+            PropTypes.shape({
+                label: PropTypes.string.isRequired,
+                color: PropTypes.string.isRequired,
+            })
+        ).isRequired,
+        defaultLevel: PropTypes.number.isRequired,
+    }).isRequired,
+    value: PropTypes.number.isRequired,
+    onChange: PropTypes.func.isRequired,
+    compact: PropTypes.bool,
+};
+
+export default PriorityPicker;
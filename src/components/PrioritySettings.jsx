@@ -0,0 +1,240 @@
+/**
+ * PrioritySettings — Configura a escala de prioridades do board.
+ *
+ * Quantos níveis, o rótulo e a cor de cada um e qual nível as
+ * tecnologias novas recebem. Começa de uma escala pronta (Padrão,
+ * MoSCoW) ou é montada à mão.
+ *
+ * A edição é um RASCUNHO: nada muda até "Salvar". Cada nível do
+ * rascunho lembra de qual nível da escala atual veio (`source`); ao
+ * salvar, isso vira o mapa nível antigo → novo (ver buildLevelMapping).
+ * Assim, remover o nível 2 de 5 mantém os cards do nível 4 em "Alta".
+ *
+ * Props:
+ * @param {Object} scale - Escala atual do board
+ * @param {Function} onSave - async (escala, mapa | null) → true se salvou
+ */
+import { useState } from "react";
+import PropTypes from "prop-types";
+import { SlidersHorizontal, X, Plus, Trash2 } from "lucide-react";
+import {
+    PRIORITY_PALETTE,
+    PRIORITY_COLOR_NAMES,
+    PRIORITY_COLOR_LABELS,
+    PRIORITY_PRESETS,
+    MIN_PRIORITY_LEVELS,
+    MAX_PRIORITY_LEVELS,
+    MAX_PRIORITY_LABEL,
+    isValidPriorityScale,
+    buildLevelMapping,
+} from "../data/priorities";
+
+/** Rascunho a partir de uma escala: cada nível lembra sua origem */
+function draftFrom(scale, withSources) {
+    return {
+        ...scale,
+        levels: scale.levels.map((level, index) => ({ ...level, source: withSources ? index + 1 : null })),
+    };
+}
+
+/** Rascunho com os rótulos aparados e sem a origem (o que de fato é salvo) */
+function cleanScale(draft) {
+    return {
+        defaultLevel: draft.defaultLevel,
+        levels: draft.levels.map(({ label, color }) => ({ label: label.trim(), color })),
+    };
+}
+
+const BUTTON_CLASS =
+    "p-2 bg-white/10 hover:bg-white/20 backdrop-blur-md border border-white/10 rounded-lg text-white transition-all shadow-lg active:scale-95";
+
+function PrioritySettings({ scale, onSave }) {
+    const [draft, setDraft] = useState(null); // null = fechado
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+
+    function toggle() {
+        setDraft((current) => (current ? null : draftFrom(scale, true)));
+        setError(null);
+    }
+
+    function updateLevel(index, changes) {
+        setDraft((current) => ({
+            ...current,
+            levels: current.levels.map((level, i) => (i === index ? { ...level, ...changes } : level)),
+        }));
+    }
+
+    /** Novo nível entra no TOPO (a maior prioridade) */
+    function addLevel() {
+        setDraft((current) => ({
+            ...current,
+            levels: [
+                ...current.levels,
+                { label: `Nível ${current.levels.length + 1}`, color: "violet", source: null },
+            ],
+        }));
+    }
+
+    function removeLevel(index) {
+        setDraft((current) => {
+            const levels = current.levels.filter((_, i) => i !== index);
+            // O padrão acompanha: segue o mesmo nível ou cai para o de baixo
+            const defaultLevel =
+                current.defaultLevel > index + 1 ? current.defaultLevel - 1 : current.defaultLevel;
+            return { levels, defaultLevel: Math.min(Math.max(1, defaultLevel), levels.length) };
+        });
+    }
+
+    async function handleSave(e) {
+        e.preventDefault();
+        const cleaned = cleanScale(draft);
+        if (!isValidPriorityScale(cleaned)) return;
+
+        setSaving(true);
+        const mapping = buildLevelMapping(
+            draft.levels.map((level) => level.source),
+            scale.levels.length
+        );
+        const success = await onSave(cleaned, mapping);
+        setSaving(false);
+        if (success) setDraft(null);
+        else setError("Não foi possível salvar a escala. Tente novamente.");
+    }
+
+    const valid = draft !== null && isValidPriorityScale(cleanScale(draft));
+    // Algum nível atual vai mudar de número? (removido, ou trocou de preset)
+    const levelsMoved =
+        draft !== null &&
+        (draft.levels.length !== scale.levels.length ||
+            draft.levels.some((level, index) => level.source !== index + 1));
+
+    return (
+        <div className="relative">
+            <button onClick={toggle} className={BUTTON_CLASS} title="Escala de prioridades">
+                <SlidersHorizontal size={20} />
+            </button>
+
+            {draft && (
+                <form
+                    onSubmit={handleSave}
+                    className="trash-panel absolute bottom-full left-0 mb-2 w-80 max-h-[70vh] flex flex-col animate-fade-in"
+                >
+                    <div className="flex items-center justify-between mb-2">
+                        <h3 className="text-white/80 text-sm font-semibold">Escala de prioridades</h3>
+                        <button type="button" onClick={toggle} className="action-btn" title="Fechar">
+                            <X size={14} />
+                        </button>
+                    </div>
+
+                    {/* Escalas prontas */}
+                    <div className="flex gap-1 mb-2">
+                        {PRIORITY_PRESETS.map((preset) => (
+                            <button
+                                key={preset.id}
+                                type="button"
+                                onClick={() => setDraft(draftFrom(preset.scale, false))}
+                                className="btn-cancel-sm flex-1 justify-center"
+                            >
+                                {preset.name}
+                            </button>
+                        ))}
+                    </div>
+
+                    {/* Níveis, do mais alto para o mais baixo (como aparecem na ordenação) */}
+                    <ul className="flex-1 min-h-0 overflow-y-auto flex flex-col gap-1">
+                        {draft.levels
+                            .map((level, index) => ({ level, index }))
+                            .reverse()
+                            .map(({ level, index }) => (
+                                <li key={index} className="flex items-center gap-1.5">
+                                    <span
+                                        className={`priority-badge-mini bg-gradient-to-r ${PRIORITY_PALETTE[level.color]}`}
+                                    >
+                                        {index + 1}
+                                    </span>
+                                    <input
+                                        type="text"
+                                        value={level.label}
+                                        onChange={(e) => updateLevel(index, { label: e.target.value })}
+                                        maxLength={MAX_PRIORITY_LABEL}
+                                        className="checklist-input flex-1 min-w-0"
+                                        aria-label={`Rótulo do nível ${index + 1}`}
+                                    />
+                                    <select
+                                        value={level.color}
+                                        onChange={(e) => updateLevel(index, { color: e.target.value })}
+                                        className="checklist-input priority-color-select"
+                                        aria-label={`Cor do nível ${index + 1}`}
+                                    >
+                                        {PRIORITY_COLOR_NAMES.map((color) => (
+                                            <option key={color} value={color}>
+                                                {PRIORITY_COLOR_LABELS[color]}
+                                            </option>
+                                        ))}
+                                    </select>
+                                    <input
+                                        type="radio"
+                                        name="default-priority"
+                                        checked={draft.defaultLevel === index + 1}
+                                        onChange={() => setDraft((current) => ({ ...current, defaultLevel: index + 1 }))}
+                                        className="accent-violet-500"
+                                        title="Nível padrão das tecnologias novas"
+                                        aria-label={`Nível ${index + 1} como padrão`}
+                                    />
+                                    <button
+                                        type="button"
+                                        onClick={() => removeLevel(index)}
+                                        disabled={draft.levels.length <= MIN_PRIORITY_LEVELS}
+                                        className="action-btn hover:text-red-400 disabled:opacity-20"
+                                        title="Remover nível"
+                                    >
+                                        <Trash2 size={12} />
+                                    </button>
+                                </li>
+                            ))}
+                    </ul>
+
+                    <button
+                        type="button"
+                        onClick={addLevel}
+                        disabled={draft.levels.length >= MAX_PRIORITY_LEVELS}
+                        className="board-menu-item w-full mt-1 disabled:opacity-40"
+                    >
+                        <Plus size={14} /> Adicionar nível
+                    </button>
+
+                    <p className="text-white/30 text-xs mt-2">
+                        O nível marcado (○) é o que as tecnologias novas recebem.
+                        {levelsMoved && " As prioridades atuais serão convertidas para a nova escala."}
+                    </p>
+                    {error && <p className="text-red-300 text-xs mt-1">{error}</p>}
+
+                    <div className="flex justify-end gap-2 mt-2 pt-2 border-t border-white/10">
+                        <button type="button" onClick={toggle} className="btn-cancel-sm">
+                            Cancelar
+                        </button>
+                        <button type="submit" disabled={!valid || saving} className="btn-save-sm disabled:opacity-40">
+                            {saving ? "Salvando..." : "Salvar"}
+                        </button>
+                    </div>
+                </form>
+            )}
+        </div>
+    );
+}
+
+PrioritySettings.propTypes = {
+    scale: PropTypes.shape({
+        levels: PropTypes.arrayOf(
+            PropTypes.shape({
+                label: PropTypes.string.isRequired,
+                color: PropTypes.string.isRequired,
+            })
+        ).isRequired,
+        defaultLevel: PropTypes.number.isRequired,
+    }).isRequired,
+    onSave: PropTypes.func.isRequired,
+};
+
+export default PrioritySettings;
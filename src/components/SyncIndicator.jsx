@@ -0,0 +1,39 @@
+/**
+ * SyncIndicator — Selo flutuante com o estado da sincronização.
+ *
+ * Aparece apenas quando há algo a dizer:
+ * - sem conexão com o Supabase, e/ou
+ * - alterações na fila offline esperando para serem enviadas.
+ *
+ * Componente "presentational": a lógica da fila fica no useTechs.
+ */
+import PropTypes from "prop-types";
+import { CloudOff, RefreshCw } from "lucide-react";
+
+function SyncIndicator({ online, pendingCount, onSync }) {
+    if (online && pendingCount === 0) return null;
+
+    return (
+        <div className="sync-indicator fixed top-4 right-4 z-50 flex items-center gap-2">
+            <CloudOff size={14} className={online ? "text-amber-300" : "text-red-300"} />
+            <span>
+                {online ? "Sincronizando" : "Offline"}
+                {pendingCount > 0 &&
+                    ` · ${pendingCount} ${pendingCount === 1 ? "alteração pendente" : "alterações pendentes"}`}
+            </span>
+            {pendingCount > 0 && (
+                <button onClick={onSync} className="action-btn hover:text-violet-300" title="Tentar sincronizar agora">
+                    <RefreshCw size={14} />
+                </button>
+            )}
+        </div>
+    );
+}
+
+SyncIndicator.propTypes = {
+    online: PropTypes.bool.isRequired,
+    pendingCount: PropTypes.number.isRequired,
+    onSync: PropTypes.func.isRequired,
+};
+
+export default SyncIndicator;
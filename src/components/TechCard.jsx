@@ -19,28 +19,28 @@
 import { useState, useCallback, useEffect, useRef } from "react";
 import PropTypes from "prop-types";
 import { useDraggable } from "@dnd-kit/core";
-import { Pencil, Trash2, Check, X, GripVertical, Star } from "lucide-react";
+import { Pencil, Trash2, Check, X, GripVertical, Star, CloudOff, Loader2, AlertCircle, PanelRightOpen, StickyNote, Link2, CalendarClock, ListChecks } from "lucide-react";
 import TechIcon from "./TechIcon";
+import ChecklistEditor from "./ChecklistEditor";
+import PriorityPicker from "./PriorityPicker";
+import { clampPriority, priorityColor, priorityLabel } from "../data/priorities";
+import { STATUS_ICONS, STATUS_LABELS, STATUS_TRANSITIONS, techStatus } from "../data/statuses";
+import { techProgress, formatSessionDate } from "../services/progress";
+import { techNotes, techLinks, hasResources } from "../services/resources";
+import { CATEGORIES, CATEGORY_LABELS, techCategories } from "../data/categories";
+import { techTargetDate, dueState, dueLabel } from "../services/dueDates";
+import { techChecklist, checklistCounts } from "../services/checklist";
 
 /**
- * Mapa de cores por prioridade (Tailwind gradient classes).
- * Cada prioridade tem um gradiente visual distinto.
+ * Selos de sincronização exibidos ao lado da prioridade.
+ * - pending: alteração na fila offline, esperando a conexão voltar
+ * - saving: enviada ao servidor, aguardando confirmação (Optimistic UI)
+ * - failed: o servidor recusou e a alteração foi desfeita (rollback)
  */
-const PRIORITY_COLORS = {
-    1: "from-gray-500 to-gray-600",    // Baixa
-    2: "from-blue-500 to-blue-600",    // Normal
-    3: "from-amber-500 to-amber-600",  // Média
-    4: "from-orange-500 to-orange-600", // Alta
-    5: "from-red-500 to-red-600",      // Urgente
-};
-
-/** Labels de prioridade para exibição ao usuário */
-const PRIORITY_LABELS = {
-    1: "Baixa",
-    2: "Normal",
-    3: "Média",
-    4: "Alta",
-    5: "Urgente",
+const SYNC_BADGES = {
+    pending: { Icon: CloudOff, label: "Pendente", title: "Alteração salva neste navegador; será enviada ao reconectar" },
+    saving: { Icon: Loader2, label: "Salvando...", title: "Aguardando confirmação do servidor" },
+    failed: { Icon: AlertCircle, label: "Falhou", title: "O servidor recusou a alteração; ela foi desfeita" },
 };
 
 /**
@@ -54,19 +54,26 @@ const MAX_W = 600;  // Largura máxima do card
 const MAX_H = 400;  // Altura máxima do card
 
 /**
- * @param {Object} tech - Dados da tecnologia { id, name, priority }
+ * @param {Object} tech - Dados da tecnologia { id, name, priority, status, target_date }
  * @param {Object} position - Coordenadas no canvas { x, y }
  * @param {Object} size - Dimensões { w, h } (opcional, tem defaults)
  * @param {Function} onUpdate - Callback para salvar edições
- * @param {Function} onDelete - Callback para remover a tecnologia
+ * @param {Function} onDelete - Callback para remover a tecnologia (vai para a lixeira)
  * @param {Function} onResize - Callback para salvar novo tamanho
+ * @param {string} syncStatus - "pending" | "saving" | "failed" (ver SYNC_BADGES)
+ * @param {Function} onOpenDetails - (id, aba?) → abre o painel de detalhes
+ * @param {boolean} dimmed - Fora do filtro de categorias (esmaecido)
+ * @param {Object} priorityScale - Escala de prioridades do board (ver data/priorities)
  */
-function TechCard({ tech, position, size, onUpdate, onDelete, onResize }) {
+function TechCard({ tech, position, size, onUpdate, onDelete, onResize, syncStatus, onOpenDetails, dimmed = false, priorityScale }) {
     // ─── Estado local para edição inline ───
     const [editing, setEditing] = useState(false);
     const [editName, setEditName] = useState(tech.name);
     const [editPriority, setEditPriority] = useState(tech.priority);
-    const [saving, setSaving] = useState(false);
+    const [editCategories, setEditCategories] = useState([]);
+    const [editTargetDate, setEditTargetDate] = useState("");
+    const [editChecklist, setEditChecklist] = useState([]);
+    const [editChecklistProgress, setEditChecklistProgress] = useState(false);
     const [deleting, setDeleting] = useState(false);
     const [confirmDelete, setConfirmDelete] = useState(false);
 
@@ -192,6 +199,34 @@ function TechCard({ tech, position, size, onUpdate, onDelete, onResize }) {
     const titleSize = Math.min(32, Math.max(14, cardH * 0.25));
     // Metadados (prioridade): cresce menos, limitado 10-14px
     const metaSize = Math.min(14, Math.max(10, cardH * 0.15));
+    // Barra de progresso: mais grossa em cards maiores, limitada 3-8px
+    const progressHeight = Math.min(8, Math.max(3, cardH * 0.05));
+
+    // Selo de sincronização atual (undefined = nada a mostrar)
+    const badge = SYNC_BADGES[syncStatus];
+
+    // Status de estudo (wishlist → learning → learned / dropped)
+    const status = techStatus(tech);
+    const StatusIcon = STATUS_ICONS[status];
+
+    // Barra só aparece quando há algo a mostrar (0% na wishlist é ruído)
+    const progress = techProgress(tech);
+    const showProgress = progress > 0 || status === "learning";
+
+    // Indicador de anotações e links de estudo
+    const hasNotes = techNotes(tech).trim() !== "";
+    const linkCount = techLinks(tech).length;
+
+    // Categorias (salvas ou sugeridas pelo catálogo de ícones)
+    const categories = techCategories(tech);
+
+    // Data-alvo: "upcoming" / "overdue" mudam a borda e o selo do card
+    const targetDate = techTargetDate(tech);
+    const due = dueState(tech);
+
+    // Checklist de sub-metas: "3/12" no card
+    const checklist = techChecklist(tech);
+    const checklistCount = checklistCounts(checklist);
 
     /**
      * 🎓 MENTORIA — Style Object (Inline Styles Dinâmicos)
@@ -215,7 +250,7 @@ function TechCard({ tech, position, size, onUpdate, onDelete, onResize }) {
         transform: transform
             ? `translate(${transform.x}px, ${transform.y}px)`
             : undefined,
-        opacity: isDragging ? 0.6 : 1,        // Semi-transparente durante drag
+        opacity: isDragging ? 0.6 : dimmed ? 0.25 : 1, // Semi-transparente durante drag / fora do filtro
         zIndex: isDragging ? 100 : isResizing ? 99 : 1,
         transition: isDragging || isResizing ? "none" : "box-shadow 0.2s ease",
     };
@@ -224,23 +259,61 @@ function TechCard({ tech, position, size, onUpdate, onDelete, onResize }) {
     // 💾 CRUD HANDLERS — Edição e Exclusão
     // ═══════════════════════════════════════════════════════
 
+    /** Entra no modo edição partindo dos valores ATUAIS do card */
+    function startEditing() {
+        setEditName(tech.name);
+        setEditPriority(clampPriority(priorityScale, tech.priority));
+        setEditCategories(categories);
+        setEditTargetDate(targetDate ?? "");
+        setEditChecklist(checklist);
+        setEditChecklistProgress(tech.checklist_progress === true);
+        setEditing(true);
+    }
+
+    /** Liga/desliga uma categoria na edição */
+    function toggleEditCategory(category) {
+        setEditCategories((prev) =>
+            prev.includes(category) ? prev.filter((item) => item !== category) : [...prev, category]
+        );
+    }
+
     /**
-     * Salva as alterações de edição (nome + prioridade).
-     * async/await porque onUpdate faz chamada ao Supabase.
+     * Salva as alterações de edição (nome, prioridade, categorias, data-alvo e checklist).
+     *
+     * 🎓 Optimistic UI: fechamos o modo edição NA HORA. O useTechs já
+     * aplicou a mudança na lista; o selo "Salvando..." indica que o
+     * servidor ainda vai confirmar (e, se recusar, o valor volta sozinho).
      */
-    async function handleSave() {
+    function handleSave() {
         const trimmed = editName.trim();
         if (!trimmed) return; // Não salva nome vazio
-        setSaving(true);
-        await onUpdate(tech.id, { name: trimmed, priority: editPriority });
-        setSaving(false);
         setEditing(false);
+
+        const updates = { name: trimmed, priority: editPriority };
+        // Categorias só vão junto se mudaram (senão a sugestão do catálogo continua valendo)
+        const sameCategories =
+            editCategories.length === categories.length &&
+            editCategories.every((category) => categories.includes(category));
+        if (!sameCategories) {
+            updates.categories = CATEGORIES.filter((category) => editCategories.includes(category));
+        }
+        if ((editTargetDate || null) !== targetDate) updates.target_date = editTargetDate || null;
+
+        // Itens sem texto são descartados ao salvar
+        const cleanChecklist = editChecklist
+            .map((item) => ({ ...item, text: item.text.trim() }))
+            .filter((item) => item.text);
+        if (JSON.stringify(cleanChecklist) !== JSON.stringify(checklist)) updates.checklist = cleanChecklist;
+        if (editChecklistProgress !== (tech.checklist_progress === true)) {
+            updates.checklist_progress = editChecklistProgress;
+        }
+        onUpdate(tech.id, updates);
     }
 
     /** Cancela edição: restaura valores originais */
     function handleCancel() {
         setEditName(tech.name);
-        setEditPriority(tech.priority);
+        setEditPriority(clampPriority(priorityScale, tech.priority));
         setEditing(false);
     }
 
@@ -287,22 +360,49 @@ function TechCard({ tech, position, size, onUpdate, onDelete, onResize }) {
                     className="tech-card-input"
                     autoFocus
                 />
-                {/* Seletor de prioridade: 5 botões numerados */}
-                <div className="flex gap-1.5 mt-2">
-                    {[1, 2, 3, 4, 5].map((p) => (
+                {/* Seletor de prioridade: um botão por nível da escala do board */}
+                <div className="mt-2">
+                    <PriorityPicker scale={priorityScale} value={editPriority} onChange={setEditPriority} compact />
+                </div>
+                {/* Categorias: chips liga/desliga */}
+                <div className="flex flex-wrap gap-1 mt-2">
+                    {CATEGORIES.map((category) => (
                         <button
-                            key={p}
+                            key={category}
                             type="button"
-                            onClick={() => setEditPriority(p)}
-                            className={`priority-btn-sm ${editPriority === p ? "priority-btn-active" : ""}`}
+                            onClick={() => toggleEditCategory(category)}
+                            className={`category-chip ${editCategories.includes(category) ? "category-chip-active" : ""}`}
+                            aria-pressed={editCategories.includes(category)}
                         >
-                            {p}
+                            {CATEGORY_LABELS[category]}
                         </button>
                     ))}
                 </div>
+                {/* Data-alvo (opcional) */}
+                <label className="flex items-center gap-2 mt-2 text-white/50 text-xs">
+                    <CalendarClock size={14} />
+                    <input
+                        type="date"
+                        value={editTargetDate}
+                        onChange={(e) => setEditTargetDate(e.target.value)}
+                        className="input-field flex-1 text-xs py-1"
+                        aria-label="Data-alvo"
+                    />
+                    {editTargetDate && (
+                        <button type="button" onClick={() => setEditTargetDate("")} className="action-btn" title="Remover data-alvo">
+                            <X size={12} />
+                        </button>
+                    )}
+                </label>
+                <ChecklistEditor
+                    items={editChecklist}
+                    onChange={setEditChecklist}
+                    drivesProgress={editChecklistProgress}
+                    onDrivesProgressChange={setEditChecklistProgress}
+                />
                 <div className="flex gap-2 mt-3">
-                    <button onClick={handleSave} disabled={saving} className="btn-save-sm">
-                        <Check size={14} /> {saving ? "..." : "Salvar"}
+                    <button onClick={handleSave} className="btn-save-sm">
+                        <Check size={14} /> Salvar
                     </button>
                     <button onClick={handleCancel} className="btn-cancel-sm">
                         <X size={14} /> Cancelar
@@ -333,7 +433,7 @@ function TechCard({ tech, position, size, onUpdate, onDelete, onResize }) {
 
     // ─── Modo Normal (Card Arrastável + Scalable) ───
     return (
-        <div ref={setNodeRef} style={style} className="tech-card group flex flex-row items-center gap-3" {...attributes}>
+        <div ref={setNodeRef} style={style} className={`tech-card group flex flex-row items-center gap-3 ${due ? `tech-card-${due}` : ""}`} {...attributes}>
             {/* 
               Grip Handle — Área onde o usuário "segura" para arrastar.
               {...listeners} aplica os event handlers de drag do dnd-kit.
@@ -363,20 +463,102 @@ function TechCard({ tech, position, size, onUpdate, onDelete, onResize }) {
 
                 <div className="flex items-center gap-1.5 mt-0.5">
                     {/* Dot colorido de prioridade */}
-                    <span className={`priority-dot bg-gradient-to-r ${PRIORITY_COLORS[tech.priority]}`} />
+                    <span className={`priority-dot bg-gradient-to-r ${priorityColor(priorityScale, tech.priority)}`} />
                     <span
                         className="text-white/40 transition-all duration-75"
                         style={{ fontSize: metaSize }}
                     >
-                        {PRIORITY_LABELS[tech.priority]}
+                        {priorityLabel(priorityScale, tech.priority)}
+                    </span>
+                    {/* Selo de status de estudo */}
+                    <span className={`status-badge status-${status}`} style={{ fontSize: metaSize }}>
+                        <StatusIcon size={metaSize} />
+                        {STATUS_LABELS[status]}
                     </span>
+                    {/* Selo da data-alvo ("Em 3 dias", "Atrasada há 2 dias") */}
+                    {due && (
+                        <span
+                            className={`due-badge due-badge-${due}`}
+                            style={{ fontSize: metaSize }}
+                            title={`Data-alvo: ${formatSessionDate(targetDate)}`}
+                        >
+                            <CalendarClock size={metaSize} />
+                            {dueLabel(tech)}
+                        </span>
+                    )}
+                    {/* Checklist: itens concluídos / total — clique abre a edição */}
+                    {checklistCount.total > 0 && (
+                        <button
+                            onClick={startEditing}
+                            className={`resource-badge ${checklistCount.done === checklistCount.total ? "resource-badge-complete" : ""}`}
+                            style={{ fontSize: metaSize }}
+                            title="Checklist (clique para editar)"
+                        >
+                            <ListChecks size={metaSize} />
+                            {checklistCount.done}/{checklistCount.total}
+                        </button>
+                    )}
+                    {/* Indicador de notas / links — abre direto na aba correspondente */}
+                    {onOpenDetails && hasResources(tech) && (
+                        <button
+                            onClick={() => onOpenDetails(tech.id, hasNotes ? "notes" : "links")}
+                            className="resource-badge"
+                            style={{ fontSize: metaSize }}
+                            title={[hasNotes && "Tem anotações", linkCount > 0 && `${linkCount} link(s)`].filter(Boolean).join(" · ")}
+                        >
+                            {hasNotes && <StickyNote size={metaSize} />}
+                            {linkCount > 0 && (
+                                <>
+                                    <Link2 size={metaSize} />
+                                    {linkCount}
+                                </>
+                            )}
+                        </button>
+                    )}
+                    {/* Selo de sincronização (fila offline / salvando / falhou) */}
+                    {badge && (
+                        <span
+                            className={`sync-badge sync-badge-${syncStatus}`}
+                            style={{ fontSize: metaSize }}
+                            title={badge.title}
+                        >
+                            <badge.Icon
+                                size={metaSize}
+                                className={syncStatus === "saving" ? "animate-spin" : undefined}
+                            />
+                            {badge.label}
+                        </span>
+                    )}
                 </div>
+
+                {/* Categorias */}
+                {categories.length > 0 && (
+                    <div className="flex flex-wrap gap-1 mt-1">
+                        {categories.map((category) => (
+                            <span key={category} className="category-chip" style={{ fontSize: metaSize * 0.85 }}>
+                                {CATEGORY_LABELS[category]}
+                            </span>
+                        ))}
+                    </div>
+                )}
+
+                {/* Barra de progresso — espessura e texto escalam com o card */}
+                {showProgress && (
+                    <div className="flex items-center gap-2 mt-1" title={`Progresso: ${progress}%`}>
+                        <div className="progress-track flex-1" style={{ height: progressHeight }}>
+                            <div className="progress-fill" style={{ width: `${progress}%` }} />
+                        </div>
+                        <span className="text-white/40 transition-all duration-75" style={{ fontSize: metaSize }}>
+                            {progress}%
+                        </span>
+                    </div>
+                )}
             </div>
 
             {/* Badge de prioridade — canto direito, também escala */}
-            <div className={`priority-badge-mini bg-gradient-to-r ${PRIORITY_COLORS[tech.priority]}`}>
+            <div className={`priority-badge-mini bg-gradient-to-r ${priorityColor(priorityScale, tech.priority)}`}>
                 <Star size={Math.max(8, cardH * 0.12)} />
-                <span style={{ fontSize: Math.max(10, cardH * 0.12) }}>{tech.priority}</span>
+                <span style={{ fontSize: Math.max(10, cardH * 0.12) }}>{clampPriority(priorityScale, tech.priority)}</span>
             </div>
 
             {/* 
@@ -384,10 +566,30 @@ function TechCard({ tech, position, size, onUpdate, onDelete, onResize }) {
               position: absolute + top/right para não atrapalhar o layout flexbox.
             */}
             <div className="card-actions absolute top-2 right-2 flex gap-1 bg-black/50 backdrop-blur-sm rounded-md p-1">
-                <button onClick={() => setEditing(true)} className="action-btn hover:text-emerald-400" title="Editar">
+                {/* Transições rápidas de status (ex: "Começar a estudar") */}
+                {STATUS_TRANSITIONS[status].map((transition) => (
+                    <button
+                        key={transition.to}
+                        onClick={() => onUpdate(tech.id, { status: transition.to })}
+                        className="action-btn hover:text-violet-300"
+                        title={transition.label}
+                    >
+                        <transition.Icon size={14} />
+                    </button>
+                ))}
+                {onOpenDetails && (
+                    <button
+                        onClick={() => onOpenDetails(tech.id)}
+                        className="action-btn hover:text-violet-300"
+                        title="Detalhes (progresso, notas e links)"
+                    >
+                        <PanelRightOpen size={14} />
+                    </button>
+                )}
+                <button onClick={startEditing} className="action-btn hover:text-emerald-400" title="Editar">
                     <Pencil size={14} />
                 </button>
-                <button onClick={() => setConfirmDelete(true)} className="action-btn hover:text-red-400" title="Remover">
+                <button onClick={() => setConfirmDelete(true)} className="action-btn hover:text-red-400" title="Mover para a lixeira">
                     <Trash2 size={14} />
                 </button>
             </div>
@@ -417,6 +619,14 @@ TechCard.propTypes = {
         id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
         name: PropTypes.string.isRequired,
         priority: PropTypes.number.isRequired,
+        status: PropTypes.string,
+        progress: PropTypes.number,
+        notes: PropTypes.string,
+        links: PropTypes.arrayOf(PropTypes.object),
+        categories: PropTypes.arrayOf(PropTypes.string),
+        target_date: PropTypes.string,
+        checklist: PropTypes.arrayOf(PropTypes.object),
+        checklist_progress: PropTypes.bool,
     }).isRequired,
     position: PropTypes.shape({
         x: PropTypes.number.isRequired,
@@ -429,6 +639,10 @@ TechCard.propTypes = {
     onUpdate: PropTypes.func.isRequired,
     onDelete: PropTypes.func.isRequired,
     onResize: PropTypes.func.isRequired,
+    syncStatus: PropTypes.oneOf(["pending", "saving", "failed"]),
+    onOpenDetails: PropTypes.func,
+    dimmed: PropTypes.bool,
+    priorityScale: PropTypes.object.isRequired,
 };
 
 export default TechCard;
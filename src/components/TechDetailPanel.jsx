@@ -0,0 +1,276 @@
+/**
+ * TechDetailPanel — Painel lateral com os detalhes de UMA tecnologia.
+ *
+ * Aberto pelo botão de detalhes do card (canvas ou Kanban). Fica FORA
+ * do canvas transformado: o zoom e o pan não afetam o painel.
+ *
+ * Abas:
+ * - Progresso: barra de 0 a 100% e o diário de estudo (sessões e tempo total)
+ * - Notas: anotações em Markdown
+ * - Links: cursos, documentação, repositórios...
+ * - Trilha: pré-requisitos (o que estudar antes) e o que ela libera
+ *
+ * Toda alteração passa pelo onUpdate do App (mesmo caminho da edição
+ * inline): ganha UI otimista, fila offline e desfazer.
+ *
+ * Props:
+ * @param {Object} tech - Tecnologia exibida
+ * @param {Array} techs - Tecnologias ativas do board (para os pré-requisitos)
+ * @param {string} tab - Aba aberta ("progress" | "notes" | "links" | "path")
+ * @param {Function} onTabChange - (aba) → troca de aba
+ * @param {Function} onUpdate - (id, campos) → salva
+ * @param {Function} onClose - Fecha o painel
+ */
+import { useState } from "react";
+import PropTypes from "prop-types";
+import { X, Plus, Trash2, Clock } from "lucide-react";
+import TechIcon from "./TechIcon";
+import TechNotes from "./TechNotes";
+import TechLinks from "./TechLinks";
+import TechPrerequisites from "./TechPrerequisites";
+import { STATUS_LABELS, techStatus } from "../data/statuses";
+import {
+    techProgress,
+    techSessions,
+    createSession,
+    sortSessions,
+    totalMinutes,
+    formatDuration,
+    formatSessionDate,
+    todayISODate,
+} from "../services/progress";
+import { techNotes, techLinks } from "../services/resources";
+import { isProgressFromChecklist, techChecklist, checklistCounts } from "../services/checklist";
+
+function TechDetailPanel({ tech, techs, tab, onTabChange, onUpdate, onClose }) {
+    const progress = techProgress(tech);
+    // Progresso calculado pelo checklist: o slider só mostra o valor
+    const fromChecklist = isProgressFromChecklist(tech);
+    const checklistCount = checklistCounts(techChecklist(tech));
+    const sessions = techSessions(tech);
+    const status = techStatus(tech);
+    const links = techLinks(tech);
+
+    const tabs = [
+        { id: "progress", label: "Progresso" },
+        { id: "notes", label: "Notas" },
+        { id: "links", label: links.length > 0 ? `Links (${links.length})` : "Links" },
+        { id: "path", label: "Trilha" },
+    ];
+
+    /**
+     * 🎓 MENTORIA — Rascunho local do slider
+     * O <input type="range"> dispara onChange a cada passo do arraste.
+     * Salvar em todos eles mandaria dezenas de updates ao servidor.
+     * O rascunho acompanha o arraste; só o valor FINAL é salvo.
+     */
+    const [draftProgress, setDraftProgress] = useState(null);
+    const shownProgress = draftProgress ?? progress;
+
+    function commitProgress() {
+        if (draftProgress !== null && draftProgress !== progress) {
+            onUpdate(tech.id, { progress: draftProgress });
+        }
+        setDraftProgress(null);
+    }
+
+    // ─── Nova sessão ───
+    const [date, setDate] = useState(todayISODate);
+    const [minutes, setMinutes] = useState("");
+    const [note, setNote] = useState("");
+
+    const parsedMinutes = Number(minutes);
+    const validSession = Boolean(date) && Number.isInteger(parsedMinutes) && parsedMinutes > 0;
+
+    function handleAddSession(e) {
+        e.preventDefault();
+        if (!validSession) return;
+        onUpdate(tech.id, {
+            study_sessions: [...sessions, createSession({ date, minutes: parsedMinutes, note })],
+        });
+        setMinutes("");
+        setNote("");
+    }
+
+    function handleRemoveSession(sessionId) {
+        onUpdate(tech.id, {
+            study_sessions: sessions.filter((session) => session.id !== sessionId),
+        });
+    }
+
+    return (
+        <aside className="detail-panel fixed top-16 right-4 bottom-24 w-80 z-50 flex flex-col animate-fade-in">
+            {/* Cabeçalho */}
+            <div className="flex items-center gap-2 mb-3">
+                <TechIcon name={tech.name} size={28} />
+                <div className="flex-1 min-w-0">
+                    <h2 className="text-white font-semibold truncate">{tech.name}</h2>
+                    <span className={`status-badge status-${status} text-[11px] ml-0`}>{STATUS_LABELS[status]}</span>
+                </div>
+                <button onClick={onClose} className="action-btn" title="Fechar">
+                    <X size={16} />
+                </button>
+            </div>
+
+            {/* Abas */}
+            <div className="detail-tabs mb-3" role="tablist">
+                {tabs.map((item) => (
+                    <button
+                        key={item.id}
+                        role="tab"
+                        aria-selected={tab === item.id}
+                        onClick={() => onTabChange(item.id)}
+                        className={`detail-tab ${tab === item.id ? "detail-tab-active" : ""}`}
+                    >
+                        {item.label}
+                    </button>
+                ))}
+            </div>
+
+            <div className="flex-1 min-h-0 overflow-y-auto pr-1">
+                {tab === "notes" && (
+                    <TechNotes notes={techNotes(tech)} onSave={(notes) => onUpdate(tech.id, { notes })} />
+                )}
+
+                {tab === "links" && (
+                    <TechLinks links={links} onChange={(next) => onUpdate(tech.id, { links: next })} />
+                )}
+
+                {tab === "path" && (
+                    <TechPrerequisites
+                        tech={tech}
+                        techs={techs}
+                        onChange={(prerequisites) => onUpdate(tech.id, { prerequisites })}
+                    />
+                )}
+
+                {tab === "progress" && (
+                    <>
+                        {/* Progresso */}
+                        <section className="mb-4">
+                            <div className="flex items-center justify-between mb-1">
+                                <h3 className="detail-section-title">Progresso</h3>
+                                <span className="text-white/70 text-sm font-semibold">{shownProgress}%</span>
+                            </div>
+                            <input
+                                type="range"
+                                min={0}
+                                max={100}
+                                step={5}
+                                value={shownProgress}
+                                onChange={(e) => setDraftProgress(Number(e.target.value))}
+                                onPointerUp={commitProgress}
+                                onKeyUp={commitProgress}
+                                onBlur={commitProgress}
+                                disabled={fromChecklist}
+                                className="w-full accent-violet-500 disabled:opacity-50"
+                                aria-label="Progresso"
+                            />
+                            {fromChecklist && (
+                                <p className="text-white/40 text-[11px] mt-1">
+                                    Calculado pelo checklist ({checklistCount.done}/{checklistCount.total}).
+                                    Edite o card para mudar.
+                                </p>
+                            )}
+                        </section>
+
+                        {/* Diário de estudo */}
+                        <section>
+                            <div className="flex items-center justify-between mb-2">
+                                <h3 className="detail-section-title">Diário de estudo</h3>
+                                <span className="flex items-center gap-1 text-white/50 text-xs">
+                                    <Clock size={12} /> {formatDuration(totalMinutes(sessions))}
+                                </span>
+                            </div>
+
+                            <form onSubmit={handleAddSession} className="flex flex-col gap-2 mb-3">
+                                <div className="flex gap-2">
+                                    <input
+                                        type="date"
+                                        value={date}
+                                        onChange={(e) => setDate(e.target.value)}
+                                        className="input-field flex-1 text-xs py-1.5"
+                                        aria-label="Data da sessão"
+                                    />
+                                    <input
+                                        type="number"
+                                        min={1}
+                                        value={minutes}
+                                        onChange={(e) => setMinutes(e.target.value)}
+                                        placeholder="min"
+                                        className="input-field w-20 text-xs py-1.5"
+                                        aria-label="Duração em minutos"
+                                    />
+                                </div>
+                                <div className="flex gap-2">
+                                    <input
+                                        type="text"
+                                        value={note}
+                                        onChange={(e) => setNote(e.target.value)}
+                                        placeholder="O que você estudou?"
+                                        className="input-field flex-1 text-xs py-1.5"
+                                    />
+                                    <button type="submit" disabled={!validSession} className="btn-save-sm disabled:opacity-40">
+                                        <Plus size={14} />
+                                    </button>
+                                </div>
+                            </form>
+
+                            {sessions.length === 0 ? (
+                                <p className="text-white/30 text-xs text-center py-4">Nenhuma sessão registrada ainda.</p>
+                            ) : (
+                                <ul className="flex flex-col gap-1">
+                                    {sortSessions(sessions).map((session) => (
+                                        <li key={session.id} className="board-menu-item items-start">
+                                            <div className="flex-1 min-w-0">
+                                                <p className="text-xs">
+                                                    <span className="text-white/80">{formatSessionDate(session.date)}</span>
+                                                    <span className="text-white/40"> · {formatDuration(session.minutes)}</span>
+                                                </p>
+                                                {session.note && <p className="text-white/50 text-xs break-words">{session.note}</p>}
+                                            </div>
+                                            <button
+                                                onClick={() => handleRemoveSession(session.id)}
+                                                className="action-btn hover:text-red-400"
+                                                title="Remover sessão"
+                                            >
+                                                <Trash2 size={12} />
+                                            </button>
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </section>
+                    </>
+                )}
+            </div>
+        </aside>
+    );
+}
+
+TechDetailPanel.propTypes = {
+    tech: PropTypes.shape({
+        id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+        name: PropTypes.string.isRequired,
+        status: PropTypes.string,
+        progress: PropTypes.number,
+        study_sessions: PropTypes.arrayOf(
+            PropTypes.shape({
+                id: PropTypes.string.isRequired,
+                date: PropTypes.string.isRequired,
+                minutes: PropTypes.number.isRequired,
+                note: PropTypes.string,
+            })
+        ),
+        notes: PropTypes.string,
+        links: PropTypes.arrayOf(PropTypes.object),
+        prerequisites: PropTypes.array,
+    }).isRequired,
+    techs: PropTypes.arrayOf(PropTypes.object).isRequired,
+    tab: PropTypes.oneOf(["progress", "notes", "links", "path"]).isRequired,
+    onTabChange: PropTypes.func.isRequired,
+    onUpdate: PropTypes.func.isRequired,
+    onClose: PropTypes.func.isRequired,
+};
+
+export default TechDetailPanel;
@@ -4,7 +4,7 @@
  * Novidades nesta versão:
  * - Autocomplete que sugere tecnologias conhecidas enquanto digita
  * - Preview do ícone da tecnologia em tempo real
- * - Seletor visual de prioridade com botões
+ * - Seletor visual de prioridade com botões (escala do board)
  * - Feedback de submissão (loading state)
  * - PropTypes para validação
  */
@@ -13,11 +13,16 @@ import PropTypes from "prop-types";
 import { Plus } from "lucide-react";
 import { getSuggestions, getTechIcon } from "../data/techIcons";
 import TechIcon from "./TechIcon";
+import PriorityPicker from "./PriorityPicker";
+import DuplicateNotice from "./DuplicateNotice";
+import { clampPriority } from "../data/priorities";
+import { canonicalTechName, findDuplicate } from "../services/duplicates";
 
-function TechForm({ onAdd }) {
+function TechForm({ onAdd, priorityScale, techs, onJumpTo, onBumpPriority }) {
   const [name, setName] = useState("");
-  const [priority, setPriority] = useState(3);
+  const [priority, setPriority] = useState(priorityScale.defaultLevel);
   const [submitting, setSubmitting] = useState(false);
+  const [duplicate, setDuplicate] = useState(null); // card que já tem esse nome
   const [suggestions, setSuggestions] = useState([]);
   const [showSuggestions, setShowSuggestions] = useState(false);
   const inputRef = useRef(null);
@@ -51,25 +56,56 @@ function TechForm({ onAdd }) {
     const trimmedName = name.trim();
     if (!trimmedName) return;
 
+    // "reactjs" vira "React"; se já existe no board, avisa em vez de criar outro
+    const canonical = canonicalTechName(trimmedName);
+    const existing = findDuplicate(techs, canonical);
+    if (existing) {
+      setDuplicate(existing);
+      setShowSuggestions(false);
+      return;
+    }
+
     setSubmitting(true);
-    const success = await onAdd({ name: trimmedName, priority });
+    const success = await onAdd({ name: canonical, priority: clampPriority(priorityScale, priority) });
 
     if (success) {
-      setName("");
-      setPriority(3);
-      setShowSuggestions(false);
+      resetForm();
     }
     setSubmitting(false);
   }
 
+  function resetForm() {
+    setName("");
+    setPriority(priorityScale.defaultLevel);
+    setShowSuggestions(false);
+    setDuplicate(null);
+  }
+
+  function handleJump() {
+    onJumpTo(duplicate.id);
+    resetForm();
+  }
+
+  async function handleBump(target) {
+    const success = await onBumpPriority(duplicate.id, target);
+    if (success) resetForm();
+  }
+
+  function handleNameChange(value) {
+    setName(value);
+    setDuplicate(null);
+  }
+
   function selectSuggestion(suggestion) {
-    setName(suggestion.name);
+    handleNameChange(suggestion.name);
     setShowSuggestions(false);
     inputRef.current?.focus();
   }
 
   // Preview do ícone da tecnologia atual
   const currentIcon = getTechIcon(name);
+  // Nome que será salvo ("reactjs" → "React")
+  const savedName = name.trim() ? canonicalTechName(name) : "";
 
   return (
     <form onSubmit={handleSubmit} className="w-full max-w-lg">
@@ -92,7 +128,7 @@ function TechForm({ onAdd }) {
               type="text"
               placeholder="Ex: React, Python, Docker..."
               value={name}
-              onChange={(e) => setName(e.target.value)}
+              onChange={(e) => handleNameChange(e.target.value)}
               onFocus={() => suggestions.length > 0 && setShowSuggestions(true)}
               className={`input-field w-full ${currentIcon ? "pl-10" : ""}`}
               autoComplete="off"
@@ -115,25 +151,29 @@ function TechForm({ onAdd }) {
               ))}
             </div>
           )}
+
+          {savedName && savedName !== name.trim() && (
+            <p className="text-white/40 text-xs mt-1">Será salva como {savedName}</p>
+          )}
         </div>
 
+        {duplicate && (
+          <DuplicateNotice
+            tech={duplicate}
+            priorityScale={priorityScale}
+            requestedPriority={clampPriority(priorityScale, priority)}
+            onJump={handleJump}
+            onBump={handleBump}
+            onDismiss={() => setDuplicate(null)}
+          />
+        )}
+
         {/* Seletor de prioridade */}
         <div className="mt-4">
           <label className="block text-white/60 text-xs font-medium mb-1.5 uppercase tracking-wider">
             Prioridade
           </label>
-          <div className="flex gap-2">
-            {[1, 2, 3, 4, 5].map((p) => (
-              <button
-                key={p}
-                type="button"
-                onClick={() => setPriority(p)}
-                className={`priority-btn ${priority === p ? "priority-btn-active" : ""}`}
-              >
-                {p}
-              </button>
-            ))}
-          </div>
+          <PriorityPicker scale={priorityScale} value={priority} onChange={setPriority} />
         </div>
 
         {/* Botão de submit */}
@@ -159,6 +199,10 @@ function TechForm({ onAdd }) {
 
 TechForm.propTypes = {
   onAdd: PropTypes.func.isRequired,
+  priorityScale: PropTypes.object.isRequired,
+  techs: PropTypes.arrayOf(PropTypes.object).isRequired,
+  onJumpTo: PropTypes.func.isRequired,
+  onBumpPriority: PropTypes.func.isRequired,
 };
 
 export default TechForm;
@@ -13,6 +13,10 @@ import { useDraggable } from "@dnd-kit/core";
 import { Plus, GripHorizontal } from "lucide-react";
 import { getSuggestions, getTechIcon } from "../data/techIcons";
 import TechIcon from "./TechIcon";
+import PriorityPicker from "./PriorityPicker";
+import DuplicateNotice from "./DuplicateNotice";
+import { clampPriority } from "../data/priorities";
+import { canonicalTechName, findDuplicate } from "../services/duplicates";
 
 // Tamanhos limites do widget
 const MIN_W = 320;
@@ -20,10 +24,11 @@ const MIN_H = 200; // Altura inicial compacta
 const MAX_W = 600;
 const MAX_H = 600;
 
-function TechFormWidget({ onAdd, position, size, onResize, techCount }) {
+function TechFormWidget({ onAdd, priorityScale, techs, onJumpTo, onBumpPriority, position, size, onResize, techCount }) {
     const [name, setName] = useState("");
-    const [priority, setPriority] = useState(3);
+    const [priority, setPriority] = useState(priorityScale.defaultLevel);
     const [submitting, setSubmitting] = useState(false);
+    const [duplicate, setDuplicate] = useState(null); // card que já tem esse nome
     const [suggestions, setSuggestions] = useState([]);
     const [showSuggestions, setShowSuggestions] = useState(false);
     const inputRef = useRef(null);
@@ -111,24 +116,55 @@ function TechFormWidget({ onAdd, position, size, onResize, techCount }) {
         const trimmedName = name.trim();
         if (!trimmedName) return;
 
+        // "reactjs" vira "React"; se já existe no board, avisa em vez de criar outro
+        const canonical = canonicalTechName(trimmedName);
+        const existing = findDuplicate(techs, canonical);
+        if (existing) {
+            setDuplicate(existing);
+            setShowSuggestions(false);
+            return;
+        }
+
         setSubmitting(true);
-        const success = await onAdd({ name: trimmedName, priority });
+        const success = await onAdd({ name: canonical, priority: clampPriority(priorityScale, priority) });
 
         if (success) {
-            setName("");
-            setPriority(3);
-            setShowSuggestions(false);
+            resetForm();
         }
         setSubmitting(false);
     }
 
+    function resetForm() {
+        setName("");
+        setPriority(priorityScale.defaultLevel);
+        setShowSuggestions(false);
+        setDuplicate(null);
+    }
+
+    function handleJump() {
+        onJumpTo(duplicate.id);
+        resetForm();
+    }
+
+    async function handleBump(target) {
+        const success = await onBumpPriority(duplicate.id, target);
+        if (success) resetForm();
+    }
+
+    function handleNameChange(value) {
+        setName(value);
+        setDuplicate(null);
+    }
+
     function selectSuggestion(suggestion) {
-        setName(suggestion.name);
+        handleNameChange(suggestion.name);
         setShowSuggestions(false);
         inputRef.current?.focus();
     }
 
     const currentIcon = getTechIcon(name);
+    // Nome que será salvo ("reactjs" → "React")
+    const savedName = name.trim() ? canonicalTechName(name) : "";
     const widgetW = size?.w ?? 360;
     const widgetH = size?.h ?? "auto";
 
@@ -190,7 +226,7 @@ function TechFormWidget({ onAdd, position, size, onResize, techCount }) {
                             type="text"
                             placeholder="Ex: React..."
                             value={name}
-                            onChange={(e) => setName(e.target.value)}
+                            onChange={(e) => handleNameChange(e.target.value)}
                             onFocus={() => suggestions.length > 0 && setShowSuggestions(true)}
                             className={`input-field w-full ${currentIcon ? "pl-10" : ""}`}
                             autoComplete="off"
@@ -213,6 +249,21 @@ function TechFormWidget({ onAdd, position, size, onResize, techCount }) {
                             ))}
                         </div>
                     )}
+
+                    {savedName && savedName !== name.trim() && (
+                        <p className="text-white/40 text-xs mt-1">Será salva como {savedName}</p>
+                    )}
+
+                    {duplicate && (
+                        <DuplicateNotice
+                            tech={duplicate}
+                            priorityScale={priorityScale}
+                            requestedPriority={clampPriority(priorityScale, priority)}
+                            onJump={handleJump}
+                            onBump={handleBump}
+                            onDismiss={() => setDuplicate(null)}
+                        />
+                    )}
                 </div>
 
                 {/* Prioridade */}
@@ -220,18 +271,7 @@ function TechFormWidget({ onAdd, position, size, onResize, techCount }) {
                     <label className="block text-white/60 text-xs font-medium mb-1.5 uppercase tracking-wider">
                         Prioridade
                     </label>
-                    <div className="flex gap-2">
-                        {[1, 2, 3, 4, 5].map((p) => (
-                            <button
-                                key={p}
-                                type="button"
-                                onClick={() => setPriority(p)}
-                                className={`priority-btn ${priority === p ? "priority-btn-active" : ""}`}
-                            >
-                                {p}
-                            </button>
-                        ))}
-                    </div>
+                    <PriorityPicker scale={priorityScale} value={priority} onChange={setPriority} />
                 </div>
 
                 {/* Botão (empurrado para baixo se houver espaço extra) */}
@@ -266,6 +306,10 @@ function TechFormWidget({ onAdd, position, size, onResize, techCount }) {
 
 TechFormWidget.propTypes = {
     onAdd: PropTypes.func.isRequired,
+    priorityScale: PropTypes.object.isRequired,
+    techs: PropTypes.arrayOf(PropTypes.object).isRequired,
+    onJumpTo: PropTypes.func.isRequired,
+    onBumpPriority: PropTypes.func.isRequired,
     position: PropTypes.shape({ x: PropTypes.number, y: PropTypes.number }),
     size: PropTypes.shape({ w: PropTypes.number, h: PropTypes.oneOfType([PropTypes.number, PropTypes.string]) }),
     onResize: PropTypes.func.isRequired,
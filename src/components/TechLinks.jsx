@@ -0,0 +1,107 @@
+/**
+ * TechLinks — Lista de links de estudo de uma tecnologia (aba "Links").
+ *
+ * Cada link tem título e URL. O endereço é normalizado antes de salvar
+ * ("react.dev" → "https://react.dev") e só http(s) é aceito — a lista
+ * vira <a href>, então "javascript:..." nunca pode entrar.
+ *
+ * Props:
+ * @param {Array} links - [{ id, title, url }]
+ * @param {Function} onChange - (novaLista) → salva
+ */
+import { useState } from "react";
+import PropTypes from "prop-types";
+import { Plus, Trash2, ExternalLink } from "lucide-react";
+import { normalizeUrl, createLink } from "../services/resources";
+
+function TechLinks({ links, onChange }) {
+    const [title, setTitle] = useState("");
+    const [url, setUrl] = useState("");
+
+    const normalized = normalizeUrl(url);
+    const showError = url.trim() !== "" && !normalized;
+
+    function handleAdd(e) {
+        e.preventDefault();
+        if (!normalized) return;
+        onChange([...links, createLink({ title, url: normalized })]);
+        setTitle("");
+        setUrl("");
+    }
+
+    return (
+        <section>
+            <h3 className="detail-section-title mb-2">Links de estudo</h3>
+
+            <form onSubmit={handleAdd} className="flex flex-col gap-2 mb-3">
+                <input
+                    type="text"
+                    value={title}
+                    onChange={(e) => setTitle(e.target.value)}
+                    placeholder="Título (ex: Documentação oficial)"
+                    className="input-field text-xs py-1.5"
+                />
+                <div className="flex gap-2">
+                    <input
+                        type="text"
+                        inputMode="url"
+                        value={url}
+                        onChange={(e) => setUrl(e.target.value)}
+                        placeholder="https://..."
+                        className="input-field flex-1 text-xs py-1.5"
+                        aria-label="Endereço do link"
+                        aria-invalid={showError}
+                    />
+                    <button type="submit" disabled={!normalized} className="btn-save-sm disabled:opacity-40">
+                        <Plus size={14} />
+                    </button>
+                </div>
+                {showError && <p className="text-red-400 text-[11px]">Informe um endereço http(s) válido.</p>}
+            </form>
+
+            {links.length === 0 ? (
+                <p className="text-white/30 text-xs text-center py-4">Nenhum link salvo ainda.</p>
+            ) : (
+                <ul className="flex flex-col gap-1">
+                    {links.map((link) => (
+                        <li key={link.id} className="board-menu-item items-start">
+                            <a
+                                href={link.url}
+                                target="_blank"
+                                rel="noopener noreferrer"
+                                className="flex-1 min-w-0 group"
+                                title={link.url}
+                            >
+                                <p className="text-xs text-white/80 group-hover:text-violet-300 flex items-center gap-1">
+                                    <span className="truncate">{link.title}</span>
+                                    <ExternalLink size={10} className="shrink-0" />
+                                </p>
+                                <p className="text-white/35 text-[11px] truncate">{link.url}</p>
+                            </a>
+                            <button
+                                onClick={() => onChange(links.filter((item) => item.id !== link.id))}
+                                className="action-btn hover:text-red-400"
+                                title="Remover link"
+                            >
+                                <Trash2 size={12} />
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </section>
+    );
+}
+
+TechLinks.propTypes = {
+    links: PropTypes.arrayOf(
+        PropTypes.shape({
+            id: PropTypes.string.isRequired,
+            title: PropTypes.string.isRequired,
+            url: PropTypes.string.isRequired,
+        })
+    ).isRequired,
+    onChange: PropTypes.func.isRequired,
+};
+
+export default TechLinks;
@@ -21,6 +21,7 @@
  *   <DndContext>            ← provedor de drag-and-drop
  *     <dashboard-canvas>    ← div com transform de pan/zoom
  *       <canvas-grid>       ← grid de pontos decorativo
+ *       <ConnectorLayer />  ← setas de pré-requisito (SVG)
  *       {children}          ← widgets (logo, formulário)
  *       <TechCard /> × N    ← cards de tecnologia
  *     </dashboard-canvas>
@@ -36,6 +37,7 @@ import {
 } from "@dnd-kit/core";
 import { Loader2 } from "lucide-react";
 import TechCard from "./TechCard";
+import ConnectorLayer from "./ConnectorLayer";
 import EmptyState from "./EmptyState";
 
 function TechList({
@@ -48,6 +50,11 @@ function TechList({
   onDragStart,  // Callback para Auto-Pan (sinaliza início de drag)
   onDragMove,   // Callback opcional para rastrear posição do drag
   onResize,
+  syncStatus,   // Mapa { [id]: "pending" } vindo da fila offline
+  onOpenDetails, // Abre o painel de detalhes de um card
+  dimmedIds,    // Set de ids fora do filtro de categorias (esmaecidos)
+  priorityScale, // Escala de prioridades do board (rótulos e cores dos cards)
+  hiddenCount = 0, // Quantos cards o filtro ocultou
   loading,
   viewState,    // Estado da câmera { x, y, scale }
   children,     // Widgets passados como filhos (composition pattern)
@@ -141,6 +148,9 @@ function TechList({
           {/* Grid de pontos decorativo — referência visual para o canvas */}
           <div className="canvas-grid" />
 
+          {/* Setas de pré-requisito — abaixo dos cards, no mesmo sistema de coordenadas */}
+          <ConnectorLayer techs={techs} positions={positions} sizes={sizes} />
+
           {/* 
             Widgets via Children Pattern (Composition):
             O App.jsx passa <BrandLogoWidget /> e <TechFormWidget />
@@ -152,7 +162,7 @@ function TechList({
           {/* Cards de tecnologia — ou EmptyState se não houver nenhum */}
           {techs.length === 0 ? (
             <div className="absolute inset-0 flex items-center justify-center pointer-events-none">
-              <EmptyState />
+              <EmptyState filtered={hiddenCount > 0} />
             </div>
           ) : (
             techs.map((tech) => (
@@ -164,6 +174,10 @@ function TechList({
                 onUpdate={onUpdate}
                 onDelete={onDelete}
                 onResize={onResize}
+                syncStatus={syncStatus?.[tech.id]}
+                onOpenDetails={onOpenDetails}
+                dimmed={dimmedIds?.has(tech.id) ?? false}
+                priorityScale={priorityScale}
               />
             ))
           )}
@@ -199,6 +213,11 @@ TechList.propTypes = {
   onDragStart: PropTypes.func,   // Opcional — usado pelo Auto-Pan
   onDragMove: PropTypes.func,    // Opcional — não usado ativamente
   onResize: PropTypes.func.isRequired,
+  syncStatus: PropTypes.object,
+  onOpenDetails: PropTypes.func,
+  dimmedIds: PropTypes.instanceOf(Set),
+  priorityScale: PropTypes.object.isRequired,
+  hiddenCount: PropTypes.number,
   loading: PropTypes.bool,
   viewState: PropTypes.shape({
     x: PropTypes.number,
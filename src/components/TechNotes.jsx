@@ -0,0 +1,84 @@
+/**
+ * TechNotes — Anotações em Markdown de uma tecnologia (aba "Notas").
+ *
+ * 🎓 MENTORIA — Rascunho x valor salvo
+ * Enquanto edita, o texto vive em um estado local (draft). Nada vai
+ * ao servidor a cada tecla: só ao clicar em Salvar. Fora da edição,
+ * draft é null e a visualização mostra o valor atual da tecnologia
+ * (inclusive alterações vindas de outra aba ou do Realtime).
+ *
+ * Props:
+ * @param {string} notes - Texto salvo
+ * @param {Function} onSave - (texto) → salva
+ */
+import { useState } from "react";
+import PropTypes from "prop-types";
+import { Pencil, Check, X } from "lucide-react";
+import MarkdownView from "./MarkdownView";
+
+function TechNotes({ notes, onSave }) {
+    const [draft, setDraft] = useState(null);
+    const editing = draft !== null;
+
+    function handleSave() {
+        if (draft !== notes) onSave(draft);
+        setDraft(null);
+    }
+
+    function handleKeyDown(e) {
+        if (e.key === "Escape") setDraft(null);
+        // Ctrl/Cmd + Enter salva sem tirar a mão do teclado
+        if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) handleSave();
+    }
+
+    if (editing) {
+        return (
+            <section>
+                <textarea
+                    value={draft}
+                    onChange={(e) => setDraft(e.target.value)}
+                    onKeyDown={handleKeyDown}
+                    className="input-field w-full h-56 text-xs font-mono resize-y"
+                    placeholder={"# Resumo\n- **conceito** importante\n- [documentação](https://...)"}
+                    autoFocus
+                />
+                <p className="text-white/30 text-[11px] mt-1">
+                    Markdown: # título, **negrito**, *itálico*, `código`, - lista, [link](https://...)
+                </p>
+                <div className="flex justify-end gap-1 mt-2">
+                    <button onClick={() => setDraft(null)} className="btn-cancel-sm" title="Cancelar (Esc)">
+                        <X size={14} />
+                    </button>
+                    <button onClick={handleSave} className="btn-save-sm" title="Salvar (Ctrl+Enter)">
+                        <Check size={14} />
+                    </button>
+                </div>
+            </section>
+        );
+    }
+
+    return (
+        <section>
+            <div className="flex items-center justify-between mb-2">
+                <h3 className="detail-section-title">Notas</h3>
+                <button onClick={() => setDraft(notes)} className="action-btn hover:text-emerald-400" title="Editar notas">
+                    <Pencil size={14} />
+                </button>
+            </div>
+            {notes.trim() ? (
+                <MarkdownView text={notes} />
+            ) : (
+                <p className="text-white/30 text-xs text-center py-4">
+                    Nenhuma anotação ainda. Clique no lápis para escrever.
+                </p>
+            )}
+        </section>
+    );
+}
+
+TechNotes.propTypes = {
+    notes: PropTypes.string.isRequired,
+    onSave: PropTypes.func.isRequired,
+};
+
+export default TechNotes;
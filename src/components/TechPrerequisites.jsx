@@ -0,0 +1,132 @@
+/**
+ * TechPrerequisites — Pré-requisitos de uma tecnologia (aba "Trilha").
+ *
+ * - "Estudar antes": o que vem ANTES desta tecnologia (editável)
+ * - "Libera": quem depende dela (só leitura — edite no outro card)
+ *
+ * Opções que criariam um ciclo aparecem desabilitadas: o grafo nunca
+ * chega a ter "A antes de B antes de A" por aqui.
+ *
+ * Props:
+ * @param {Object} tech - Tecnologia exibida
+ * @param {Array} techs - Todas as tecnologias ativas do board
+ * @param {Function} onChange - (novaLista de ids) → salva
+ */
+import { useState } from "react";
+import PropTypes from "prop-types";
+import { Plus, Trash2, ArrowRight } from "lucide-react";
+import TechIcon from "./TechIcon";
+import { isTempId } from "../services/outbox";
+import { techPrerequisites, wouldCreateCycle } from "../services/prerequisites";
+
+function TechPrerequisites({ tech, techs, onChange }) {
+    const [selected, setSelected] = useState("");
+
+    const id = String(tech.id);
+    const prerequisiteIds = techPrerequisites(tech);
+    const byId = new Map(techs.map((item) => [String(item.id), item]));
+
+    // Só mostra os que ainda existem (os da lixeira voltam se forem restaurados)
+    const prerequisites = prerequisiteIds.map((prerequisiteId) => byId.get(prerequisiteId)).filter(Boolean);
+    const dependents = techs.filter((item) => techPrerequisites(item).includes(id));
+    const candidates = techs
+        .filter((item) => String(item.id) !== id && !prerequisiteIds.includes(String(item.id)))
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    /**
+     * Ids temporários (card ainda não confirmado pelo servidor) mudam
+     * quando o insert termina — um vínculo com eles ficaria órfão.
+     */
+    const syncing = isTempId(tech.id);
+
+    function handleAdd(e) {
+        e.preventDefault();
+        if (!selected) return;
+        onChange([...prerequisiteIds, selected]);
+        setSelected("");
+    }
+
+    function renderTech(item) {
+        return (
+            <>
+                <TechIcon name={item.name} size={16} />
+                <span className="flex-1 truncate text-xs text-white/80">{item.name}</span>
+            </>
+        );
+    }
+
+    return (
+        <section>
+            <h3 className="detail-section-title mb-2">Estudar antes</h3>
+
+            <form onSubmit={handleAdd} className="flex gap-2 mb-3">
+                <select
+                    value={selected}
+                    onChange={(e) => setSelected(e.target.value)}
+                    disabled={syncing}
+                    className="input-field flex-1 text-xs py-1.5"
+                    aria-label="Adicionar pré-requisito"
+                >
+                    <option value="">{syncing ? "Aguardando sincronizar..." : "Escolha uma tecnologia"}</option>
+                    {candidates.map((item) => {
+                        const cycle = wouldCreateCycle(techs, id, item.id);
+                        const pending = isTempId(item.id);
+                        return (
+                            <option key={item.id} value={String(item.id)} disabled={cycle || pending}>
+                                {item.name}
+                                {cycle ? " (criaria um ciclo)" : pending ? " (sincronizando)" : ""}
+                            </option>
+                        );
+                    })}
+                </select>
+                <button type="submit" disabled={!selected} className="btn-save-sm disabled:opacity-40">
+                    <Plus size={14} />
+                </button>
+            </form>
+
+            {prerequisites.length === 0 ? (
+                <p className="text-white/30 text-xs text-center py-3">Nenhum pré-requisito.</p>
+            ) : (
+                <ul className="flex flex-col gap-1 mb-4">
+                    {prerequisites.map((item) => (
+                        <li key={item.id} className="board-menu-item">
+                            {renderTech(item)}
+                            <button
+                                onClick={() => onChange(prerequisiteIds.filter((other) => other !== String(item.id)))}
+                                className="action-btn hover:text-red-400"
+                                title="Remover pré-requisito"
+                            >
+                                <Trash2 size={12} />
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {dependents.length > 0 && (
+                <>
+                    <h3 className="detail-section-title mb-2">Libera</h3>
+                    <ul className="flex flex-col gap-1">
+                        {dependents.map((item) => (
+                            <li key={item.id} className="board-menu-item">
+                                <ArrowRight size={12} className="text-white/30" />
+                                {renderTech(item)}
+                            </li>
+                        ))}
+                    </ul>
+                </>
+            )}
+        </section>
+    );
+}
+
+TechPrerequisites.propTypes = {
+    tech: PropTypes.shape({
+        id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+        prerequisites: PropTypes.array,
+    }).isRequired,
+    techs: PropTypes.arrayOf(PropTypes.object).isRequired,
+    onChange: PropTypes.func.isRequired,
+};
+
+export default TechPrerequisites;
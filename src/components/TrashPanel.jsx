@@ -0,0 +1,106 @@
+/**
+ * TrashPanel — Lixeira com as tecnologias removidas.
+ *
+ * Um botão (com contador) abre a lista de itens removidos. Para cada um:
+ * - Restaurar → volta para o canvas no mesmo lugar
+ * - Excluir para sempre → apaga de vez (com confirmação)
+ *
+ * Cada item mostra quantos dias faltam para ser apagado automaticamente.
+ *
+ * Props:
+ * @param {Array} items - Tecnologias na lixeira (com deleted_at)
+ * @param {Function} onRestore - Restaura pelo id
+ * @param {Function} onPurge - Exclui para sempre pelo id
+ */
+import { useState } from "react";
+import PropTypes from "prop-types";
+import { Trash2, ArchiveRestore, X } from "lucide-react";
+import TechIcon from "./TechIcon";
+import { daysUntilPurge, TRASH_RETENTION_DAYS } from "../services/trash";
+
+const BUTTON_CLASS =
+    "relative p-2 bg-white/10 hover:bg-white/20 backdrop-blur-md border border-white/10 rounded-lg text-white transition-all shadow-lg active:scale-95";
+
+function TrashPanel({ items, onRestore, onPurge }) {
+    const [open, setOpen] = useState(false);
+
+    function handlePurge(tech) {
+        const confirmed = window.confirm(
+            `Excluir "${tech.name}" para sempre? Esta ação não pode ser desfeita.`
+        );
+        if (confirmed) onPurge(tech.id);
+    }
+
+    return (
+        <div className="relative">
+            <button onClick={() => setOpen((prev) => !prev)} className={BUTTON_CLASS} title="Lixeira">
+                <Trash2 size={20} />
+                {items.length > 0 && <span className="trash-count">{items.length}</span>}
+            </button>
+
+            {open && (
+                <div className="trash-panel absolute bottom-full left-0 mb-2 w-80 animate-fade-in">
+                    <div className="flex items-center justify-between mb-2">
+                        <h3 className="text-white/80 text-sm font-semibold">Lixeira</h3>
+                        <button onClick={() => setOpen(false)} className="action-btn" title="Fechar">
+                            <X size={14} />
+                        </button>
+                    </div>
+
+                    {items.length === 0 ? (
+                        <p className="text-white/40 text-xs py-4 text-center">
+                            Nada por aqui. Itens removidos ficam {TRASH_RETENTION_DAYS} dias na lixeira.
+                        </p>
+                    ) : (
+                        <ul className="flex flex-col gap-1 max-h-72 overflow-y-auto">
+                            {items.map((tech) => {
+                                const daysLeft = daysUntilPurge(tech);
+                                return (
+                                    <li key={tech.id} className="board-menu-item">
+                                        <TechIcon name={tech.name} size={20} />
+                                        <div className="flex-1 min-w-0 ml-1">
+                                            <p className="truncate">{tech.name}</p>
+                                            <p className="text-white/30 text-[11px]">
+                                                {daysLeft === 0
+                                                    ? "Será apagada hoje"
+                                                    : `Apagada em ${daysLeft} ${daysLeft === 1 ? "dia" : "dias"}`}
+                                            </p>
+                                        </div>
+                                        <button
+                                            onClick={() => onRestore(tech.id)}
+                                            className="action-btn hover:text-emerald-400"
+                                            title="Restaurar"
+                                        >
+                                            <ArchiveRestore size={14} />
+                                        </button>
+                                        <button
+                                            onClick={() => handlePurge(tech)}
+                                            className="action-btn hover:text-red-400"
+                                            title="Excluir para sempre"
+                                        >
+                                            <Trash2 size={14} />
+                                        </button>
+                                    </li>
+                                );
+                            })}
+                        </ul>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
+
+TrashPanel.propTypes = {
+    items: PropTypes.arrayOf(
+        PropTypes.shape({
+            id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+            name: PropTypes.string.isRequired,
+            deleted_at: PropTypes.string.isRequired,
+        })
+    ).isRequired,
+    onRestore: PropTypes.func.isRequired,
+    onPurge: PropTypes.func.isRequired,
+};
+
+export default TrashPanel;
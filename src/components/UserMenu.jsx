@@ -0,0 +1,26 @@
+/**
+ * UserMenu — Pílula fixa com o usuário logado e o botão "Sair".
+ *
+ * Componente presentational: quem decide o que "sair" faz é o App.
+ */
+import PropTypes from "prop-types";
+import { LogOut, UserRound } from "lucide-react";
+
+function UserMenu({ email, onSignOut }) {
+    return (
+        <div className="user-menu fixed top-4 left-4 z-50 flex items-center gap-2">
+            <UserRound size={14} className="text-violet-300" />
+            <span className="truncate max-w-[180px]" title={email}>{email}</span>
+            <button onClick={onSignOut} className="action-btn hover:text-red-400" title="Sair">
+                <LogOut size={14} />
+            </button>
+        </div>
+    );
+}
+
+UserMenu.propTypes = {
+    email: PropTypes.string,
+    onSignOut: PropTypes.func.isRequired,
+};
+
+export default UserMenu;
@@ -0,0 +1,40 @@
+/**
+ * ViewModeToggle — Alterna entre o canvas livre, o Kanban por status e
+ * o calendário de metas.
+ *
+ * Componente presentational (como o HistoryControls): o App guarda
+ * o modo atual e decide o que renderizar.
+ */
+import { LayoutDashboard, Kanban, CalendarDays } from "lucide-react";
+import PropTypes from "prop-types";
+
+const MODES = [
+    { mode: "canvas", label: "Canvas livre", Icon: LayoutDashboard },
+    { mode: "kanban", label: "Kanban por status", Icon: Kanban },
+    { mode: "calendar", label: "Calendário de metas", Icon: CalendarDays },
+];
+
+function ViewModeToggle({ mode, onChange }) {
+    return (
+        <div className="flex bg-white/10 backdrop-blur-md border border-white/10 rounded-lg shadow-lg overflow-hidden">
+            {MODES.map((option) => (
+                <button
+                    key={option.mode}
+                    onClick={() => onChange(option.mode)}
+                    className={`p-2 text-white transition-all ${mode === option.mode ? "bg-violet-500/40" : "hover:bg-white/20"}`}
+                    title={option.label}
+                    aria-pressed={mode === option.mode}
+                >
+                    <option.Icon size={20} />
+                </button>
+            ))}
+        </div>
+    );
+}
+
+ViewModeToggle.propTypes = {
+    mode: PropTypes.oneOf(["canvas", "kanban", "calendar"]).isRequired,
+    onChange: PropTypes.func.isRequired,
+};
+
+export default ViewModeToggle;
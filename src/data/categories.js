@@ -0,0 +1,60 @@
+/**
+ * Categorias de tecnologia — as mesmas seções do catálogo de ícones
+ * (TECH_MAP em techIcons.js). Cada entrada do catálogo aponta para um
+ * destes ids no campo "category".
+ *
+ * Uma tecnologia pode ter várias categorias (ex: GraphQL em Backend e
+ * Ferramentas). O usuário edita as categorias no próprio card.
+ */
+import { getTechIcon } from "./techIcons";
+
+/** Ordem de exibição (filtro e edição) */
+export const CATEGORIES = ["languages", "frontend", "backend", "mobile", "databases", "devops", "tools", "ai-data"];
+
+export const CATEGORY_LABELS = {
+    languages: "Linguagens",
+    frontend: "Frontend",
+    backend: "Backend & Frameworks",
+    mobile: "Mobile",
+    databases: "Bancos de Dados",
+    devops: "DevOps & Cloud",
+    tools: "Ferramentas",
+    "ai-data": "IA & Data",
+};
+
+/** Categoria sugerida pelo catálogo para um nome ("React" → ["frontend"]) */
+export function suggestCategories(name) {
+    const category = getTechIcon(name)?.category;
+    return category ? [category] : [];
+}
+
+/**
+ * Categorias de uma tecnologia.
+ *
+ * 🎓 MENTORIA — null x []
+ * categories === null (ou ausente) significa "nunca foi editado": a
+ * categoria vem do catálogo, então linhas antigas ganham categoria
+ * sem precisar de migração de dados. Já [] é uma escolha do usuário
+ * ("sem categoria") e é respeitada.
+ */
+export function techCategories(tech) {
+    if (!Array.isArray(tech.categories)) return suggestCategories(tech.name);
+    return tech.categories.filter((category) => CATEGORIES.includes(category));
+}
+
+// ═══════════════════════════════════════════════════════
+// Filtro por categoria
+// ═══════════════════════════════════════════════════════
+
+/**
+ * selected: categorias escolhidas ([] = sem filtro)
+ * mode: "dim" (esmaece quem está fora) | "hide" (esconde)
+ */
+export const FILTER_MODES = ["dim", "hide"];
+export const DEFAULT_CATEGORY_FILTER = { selected: [], mode: "dim" };
+
+/** A tecnologia passa no filtro? (tem ao menos uma categoria escolhida) */
+export function matchesCategoryFilter(tech, filter) {
+    if (filter.selected.length === 0) return true;
+    return techCategories(tech).some((category) => filter.selected.includes(category));
+}
@@ -0,0 +1,193 @@
+/**
+ * Escala de prioridades — configurável por board.
+ *
+ * Fica em src/data para ser compartilhada por componentes (TechCard,
+ * formulários, Kanban) e serviços (exportações) sem duplicar os textos.
+ *
+ * ╔══════════════════════════════════════════════════════════════════╗
+ * ║  🎓 MENTORIA — A ESCALA É DADO, NÃO CÓDIGO                     ║
+ * ║                                                                ║
+ * ║  Cada board guarda em boards.priority_scale:                   ║
+ * ║    { levels: [{ label, color }, ...], defaultLevel }           ║
+ * ║                                                                ║
+ * ║  levels vai da MENOR para a MAIOR prioridade: o nível N fica   ║
+ * ║  em levels[N - 1]. Assim a coluna priority continua sendo um   ║
+ * ║  inteiro "quanto maior, mais importante" e o                   ║
+ * ║  order("priority", { ascending: false }) segue valendo para    ║
+ * ║  qualquer escala — 5 níveis ou um MoSCoW de 3.                 ║
+ * ║                                                                ║
+ * ║  null (boards antigos) = escala padrão de 5 níveis abaixo.     ║
+ * ╚══════════════════════════════════════════════════════════════════╝
+ */
+
+/**
+ * Cores disponíveis (Tailwind gradient classes).
+ * As classes ficam escritas por extenso aqui para o Tailwind encontrá-las
+ * — montar "from-${cor}-500" em tempo de execução não geraria o CSS.
+ */
+export const PRIORITY_PALETTE = {
+    gray: "from-gray-500 to-gray-600",
+    blue: "from-blue-500 to-blue-600",
+    cyan: "from-cyan-500 to-cyan-600",
+    emerald: "from-emerald-500 to-emerald-600",
+    violet: "from-violet-500 to-violet-600",
+    amber: "from-amber-500 to-amber-600",
+    orange: "from-orange-500 to-orange-600",
+    pink: "from-pink-500 to-pink-600",
+    red: "from-red-500 to-red-600",
+};
+
+export const PRIORITY_COLOR_NAMES = Object.keys(PRIORITY_PALETTE);
+
+/** Nomes das cores para o editor da escala */
+export const PRIORITY_COLOR_LABELS = {
+    gray: "Cinza",
+    blue: "Azul",
+    cyan: "Ciano",
+    emerald: "Verde",
+    violet: "Violeta",
+    amber: "Âmbar",
+    orange: "Laranja",
+    pink: "Rosa",
+    red: "Vermelho",
+};
+
+// Limites de níveis de uma escala (e tamanho máximo de um rótulo)
+export const MIN_PRIORITY_LEVELS = 2;
+export const MAX_PRIORITY_LEVELS = 7;
+export const MAX_PRIORITY_LABEL = 20;
+
+/** Escala original do app (1 = Baixa ... 5 = Urgente) */
+export const DEFAULT_PRIORITY_SCALE = {
+    levels: [
+        { label: "Baixa", color: "gray" },
+        { label: "Normal", color: "blue" },
+        { label: "Média", color: "amber" },
+        { label: "Alta", color: "orange" },
+        { label: "Urgente", color: "red" },
+    ],
+    defaultLevel: 3,
+};
+
+/** Escalas prontas oferecidas nas configurações do board */
+export const PRIORITY_PRESETS = [
+    { id: "default", name: "Padrão (5 níveis)", scale: DEFAULT_PRIORITY_SCALE },
+    {
+        id: "moscow",
+        name: "MoSCoW (3 níveis)",
+        scale: {
+            levels: [
+                { label: "Could", color: "blue" },
+                { label: "Should", color: "amber" },
+                { label: "Must", color: "red" },
+            ],
+            defaultLevel: 2,
+        },
+    },
+];
+
+function isValidLevel(level) {
+    return (
+        typeof level?.label === "string" &&
+        level.label.trim() !== "" &&
+        level.label.length <= MAX_PRIORITY_LABEL &&
+        PRIORITY_COLOR_NAMES.includes(level.color)
+    );
+}
+
+/** Escala bem formada? (vale para o banco, para imports e para o editor) */
+export function isValidPriorityScale(scale) {
+    return (
+        Array.isArray(scale?.levels) &&
+        scale.levels.length >= MIN_PRIORITY_LEVELS &&
+        scale.levels.length <= MAX_PRIORITY_LEVELS &&
+        scale.levels.every(isValidLevel) &&
+        Number.isInteger(scale.defaultLevel) &&
+        scale.defaultLevel >= 1 &&
+        scale.defaultLevel <= scale.levels.length
+    );
+}
+
+/** Escala de um board (a padrão para boards antigos ou valores corrompidos) */
+export function boardPriorityScale(board) {
+    return isValidPriorityScale(board?.priority_scale) ? board.priority_scale : DEFAULT_PRIORITY_SCALE;
+}
+
+/** [1, 2, ..., N] — os valores possíveis da coluna priority */
+export function priorityValues(scale) {
+    return scale.levels.map((_, index) => index + 1);
+}
+
+/**
+ * Encaixa um valor na escala. Uma linha gravada com outra escala
+ * (ex: 5 num board que virou MoSCoW, vinda de outro dispositivo)
+ * aparece como o nível mais alto em vez de ficar sem rótulo.
+ */
+export function clampPriority(scale, value) {
+    const number = Number.isFinite(value) ? Math.round(value) : scale.defaultLevel;
+    return Math.min(scale.levels.length, Math.max(1, number));
+}
+
+export function priorityLabel(scale, value) {
+    return scale.levels[clampPriority(scale, value) - 1].label;
+}
+
+/** Classes do gradiente do nível */
+export function priorityColor(scale, value) {
+    return PRIORITY_PALETTE[scale.levels[clampPriority(scale, value) - 1].color];
+}
+
+/**
+ * Mapa nível antigo → nível novo a partir do editor da escala.
+ *
+ * `sources[i]` diz de qual nível antigo veio o nível novo i + 1 (null
+ * para um nível criado agora). Um nível antigo que foi REMOVIDO cai no
+ * nível mantido logo abaixo dele (ou no de cima, se não houver).
+ * Retorna null se nenhum nível antigo sobreviveu (ex: trocou de preset).
+ *
+ * @param {Array<number|null>} sources - Origem de cada nível novo
+ * @param {number} fromCount - Quantos níveis a escala antiga tinha
+ */
+export function buildLevelMapping(sources, fromCount) {
+    const kept = new Map();
+    sources.forEach((source, index) => {
+        if (source) kept.set(source, index + 1);
+    });
+    if (kept.size === 0) return null;
+
+    const mapping = {};
+    for (let level = 1; level <= fromCount; level++) {
+        let below = level;
+        while (below >= 1 && !kept.has(below)) below--;
+        let above = level;
+        while (above <= fromCount && !kept.has(above)) above++;
+        mapping[level] = kept.get(below >= 1 ? below : above);
+    }
+    return mapping;
+}
+
+/**
+ * Converte um valor de uma escala para outra.
+ *
+ * Com `mapping` (vindo do editor — ver buildLevelMapping), cada card
+ * fica no MESMO rótulo que o usuário manteve. Sem ele, mantém a posição
+ * RELATIVA: o topo continua no topo e a base na base
+ * (5 níveis → 3: 1→1, 2→2, 3→2, 4→3, 5→3).
+ */
+export function remapPriority(value, fromScale, toScale, mapping = null) {
+    if (mapping) return mapping[clampPriority(fromScale, value)] ?? toScale.defaultLevel;
+
+    const fromMax = fromScale.levels.length;
+    const toMax = toScale.levels.length;
+    const relative = (clampPriority(fromScale, value) - 1) / (fromMax - 1);
+    return Math.round(relative * (toMax - 1)) + 1;
+}
+
+/**
+ * Ordem de exibição: maior prioridade primeiro; no empate, a mais
+ * recente primeiro. Com poucos níveis (MoSCoW) os empates são a regra,
+ * então o desempate precisa ser o mesmo do fetch do Supabase.
+ */
+export function compareByPriority(a, b) {
+    return b.priority - a.priority || (b.created_at ?? "").localeCompare(a.created_at ?? "");
+}
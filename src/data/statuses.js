@@ -0,0 +1,53 @@
+/**
+ * Fluxo de estudo de uma tecnologia:
+ *
+ *   wishlist → learning → learned
+ *        ↘        ↓
+ *          dropped (desisti — pode voltar para a wishlist)
+ *
+ * Fica em src/data (como as prioridades) para ser compartilhado pelos
+ * cards, pelo Kanban e pelas exportações.
+ */
+import { ListTodo, BookOpen, GraduationCap, Ban, Play, CircleCheck, Pause, RotateCcw } from "lucide-react";
+
+/** Ordem das colunas no Kanban */
+export const STATUSES = ["wishlist", "learning", "learned", "dropped"];
+
+/** Linhas antigas (antes desta coluna existir) contam como "wishlist" */
+export const DEFAULT_STATUS = "wishlist";
+
+export const STATUS_LABELS = {
+    wishlist: "Quero aprender",
+    learning: "Estudando",
+    learned: "Aprendida",
+    dropped: "Abandonada",
+};
+
+export const STATUS_ICONS = {
+    wishlist: ListTodo,
+    learning: BookOpen,
+    learned: GraduationCap,
+    dropped: Ban,
+};
+
+/**
+ * Transições rápidas oferecidas no card, a partir de cada status.
+ * (No Kanban qualquer transição vale: é só arrastar para a coluna.)
+ */
+export const STATUS_TRANSITIONS = {
+    wishlist: [
+        { to: "learning", label: "Começar a estudar", Icon: Play },
+        { to: "dropped", label: "Abandonar", Icon: Ban },
+    ],
+    learning: [
+        { to: "learned", label: "Marcar como aprendida", Icon: CircleCheck },
+        { to: "wishlist", label: "Pausar (voltar para a wishlist)", Icon: Pause },
+    ],
+    learned: [{ to: "learning", label: "Revisar (estudar de novo)", Icon: RotateCcw }],
+    dropped: [{ to: "wishlist", label: "Retomar", Icon: RotateCcw }],
+};
+
+/** Status de uma tecnologia, com o padrão para linhas antigas */
+export function techStatus(tech) {
+    return STATUSES.includes(tech.status) ? tech.status : DEFAULT_STATUS;
+}
@@ -0,0 +1,108 @@
+/**
+ * Hook de autenticação (Supabase Auth).
+ *
+ * Expõe a sessão atual e as ações de login/logout:
+ * - Magic link: o usuário recebe um link por e-mail (sem senha)
+ * - OAuth: login com GitHub/Google (redireciona e volta para o app)
+ *
+ * Conceitos usados:
+ * - useEffect + onAuthStateChange: "assina" mudanças de sessão
+ *   (login, logout, renovação do token) e limpa a assinatura no unmount
+ *
+ * Sem Supabase configurado (modo Offline) não há contas: user fica null
+ * e loading já começa false.
+ */
+import { useState, useEffect, useCallback } from "react";
+import { supabase } from "../supabaseClient";
+
+export function useAuth() {
+  // Sessão atual (null = deslogado)
+  const [session, setSession] = useState(null);
+
+  // true enquanto descobrimos se já existe uma sessão salva
+  const [loading, setLoading] = useState(Boolean(supabase));
+
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!supabase) return;
+
+    // 1. Sessão salva de uma visita anterior (ou vinda do redirect do link)
+    supabase.auth.getSession().then(({ data }) => {
+      setSession(data.session);
+      setLoading(false);
+    });
+
+    // 2. Qualquer mudança posterior (login, logout, refresh do token)
+    const { data } = supabase.auth.onAuthStateChange((_event, newSession) => {
+      setSession(newSession);
+    });
+
+    return () => data.subscription.unsubscribe();
+  }, []);
+
+  // Para onde o Supabase manda o usuário de volta depois do login
+  const redirectTo = typeof window !== "undefined" ? window.location.origin : undefined;
+
+  /**
+   * Envia o magic link. Retorna true se o e-mail foi enviado.
+   */
+  const signInWithEmail = useCallback(
+    async (email) => {
+      setError(null);
+      const { error: otpError } = await supabase.auth.signInWithOtp({
+        email,
+        options: { emailRedirectTo: redirectTo },
+      });
+
+      if (otpError) {
+        console.error("Erro ao enviar link:", otpError);
+        setError("Não foi possível enviar o link. Confira o e-mail e tente novamente.");
+        return false;
+      }
+      return true;
+    },
+    [redirectTo],
+  );
+
+  /**
+   * Login com provedor OAuth ("github", "google", ...).
+   * O navegador é redirecionado; a sessão chega pelo onAuthStateChange.
+   */
+  const signInWithProvider = useCallback(
+    async (provider) => {
+      setError(null);
+      const { error: oauthError } = await supabase.auth.signInWithOAuth({
+        provider,
+        options: { redirectTo },
+      });
+
+      if (oauthError) {
+        console.error("Erro no login OAuth:", oauthError);
+        setError("Não foi possível entrar com esse provedor.");
+      }
+    },
+    [redirectTo],
+  );
+
+  const signOut = useCallback(async () => {
+    const { error: signOutError } = await supabase.auth.signOut();
+    if (signOutError) {
+      console.error("Erro ao sair:", signOutError);
+      setError("Não foi possível sair. Tente novamente.");
+    }
+  }, []);
+
+  const clearError = useCallback(() => setError(null), []);
+
+  return {
+    session,
+    user: session?.user ?? null,
+    loading,
+    error,
+    signInWithEmail,
+    signInWithProvider,
+    signOut,
+    clearError,
+  };
+}
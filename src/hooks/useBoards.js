@@ -0,0 +1,257 @@
+/**
+ * Hook para gerenciar os boards (quadros) do usuário.
+ *
+ * Cada board é uma wishlist independente, com suas próprias tecnologias
+ * e seu próprio layout no canvas ("Frontend", "DevOps", "Para 2027"...).
+ *
+ * Responsabilidades:
+ * - Listar / criar / renomear / excluir boards (Supabase ou localStorage)
+ * - Guardar as configurações de cada board (escala de prioridades)
+ * - Lembrar qual board está ativo (localStorage, por usuário)
+ * - Na primeira visita, criar um board padrão e "adotar" nele as
+ *   tecnologias e o layout que existiam antes dos boards
+ */
+import { useState, useEffect, useCallback } from "react";
+import { supabase } from "../supabaseClient";
+import {
+  fetchLocalBoards,
+  insertLocalBoard,
+  updateLocalBoard,
+  deleteLocalBoard,
+} from "../services/localBoardStore";
+import {
+  adoptOrphanLocalTechs,
+  deleteLocalTechsByBoard,
+  clearCachedRemoteTechs,
+} from "../services/localTechStore";
+import { adoptLegacyLayout, clearBoardLayout } from "../services/layoutStore";
+import { moveOutbox, clearOutbox } from "../services/outbox";
+import { clearLayoutSyncMeta } from "./useLayoutSync";
+
+const TABLE = "boards";
+const DEFAULT_BOARD_NAME = "Minha Wishlist";
+
+function activeBoardKey(userId) {
+  return `tech_active_board:${userId ?? "default"}`;
+}
+
+// ═══════════════════════════════════════════════════════════
+// Backend (Supabase ou localStorage)
+// ═══════════════════════════════════════════════════════════
+
+async function fetchBoards(userId) {
+  if (!supabase) return fetchLocalBoards();
+
+  const { data, error } = await supabase
+    .from(TABLE)
+    .select("*")
+    .eq("owner", userId)
+    .order("created_at", { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+async function insertBoard(userId, name) {
+  if (!supabase) return insertLocalBoard({ name });
+
+  const { data, error } = await supabase
+    .from(TABLE)
+    .insert([{ name, owner: userId }])
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Primeiro board do usuário: recebe as tecnologias sem board_id
+ * (criadas antes dos boards existirem), o layout legado e a fila
+ * offline que ainda não tinha sido enviada.
+ */
+async function createDefaultBoard(userId) {
+  const board = await insertBoard(userId, DEFAULT_BOARD_NAME);
+  const scope = userId ?? "default";
+  moveOutbox(scope, `${scope}:${board.id}`, board.id);
+
+  if (supabase) {
+    const { error } = await supabase
+      .from("tech_wishlist")
+      .update({ board_id: board.id })
+      .is("board_id", null)
+      .eq("owner", userId);
+    if (error) console.error("Erro ao migrar tecnologias para o board padrão:", error);
+  } else {
+    await adoptOrphanLocalTechs(board.id);
+  }
+
+  adoptLegacyLayout(board.id);
+  return board;
+}
+
+/**
+ * Em StrictMode o React roda o efeito de carga duas vezes seguidas.
+ * Guardamos a promessa por usuário para não criar DOIS boards padrão
+ * (só é descartada se falhar, para permitir nova tentativa).
+ */
+const defaultBoardPromises = new Map();
+
+function ensureDefaultBoard(userId) {
+  if (!defaultBoardPromises.has(userId)) {
+    const promise = createDefaultBoard(userId).catch((err) => {
+      defaultBoardPromises.delete(userId);
+      throw err;
+    });
+    defaultBoardPromises.set(userId, promise);
+  }
+  return defaultBoardPromises.get(userId);
+}
+
+// ═══════════════════════════════════════════════════════════
+// Hook
+// ═══════════════════════════════════════════════════════════
+
+export function useBoards(userId) {
+  const [boards, setBoards] = useState([]);
+  const [activeBoardId, setActiveBoardId] = useState(() =>
+    localStorage.getItem(activeBoardKey(userId)),
+  );
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    async function load() {
+      try {
+        let list = await fetchBoards(userId);
+        if (list.length === 0) list = [await ensureDefaultBoard(userId)];
+        if (!cancelled) setBoards(list);
+      } catch (err) {
+        console.error("Erro ao carregar boards:", err);
+        if (!cancelled) setError("Não foi possível carregar seus boards.");
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [userId]);
+
+  // Board salvo que não existe mais (excluído em outro dispositivo) → primeiro da lista
+  const activeBoard = boards.find((b) => b.id === activeBoardId) ?? boards[0] ?? null;
+
+  useEffect(() => {
+    if (activeBoard) localStorage.setItem(activeBoardKey(userId), activeBoard.id);
+  }, [activeBoard, userId]);
+
+  const selectBoard = useCallback((id) => setActiveBoardId(id), []);
+
+  /**
+   * Cria um board e já o torna ativo. Retorna true se deu certo.
+   */
+  const createBoard = useCallback(
+    async (name) => {
+      try {
+        const board = await insertBoard(userId, name);
+        setBoards((prev) => [...prev, board]);
+        setActiveBoardId(board.id);
+        return true;
+      } catch (err) {
+        console.error("Erro ao criar board:", err);
+        setError("Não foi possível criar o board.");
+        return false;
+      }
+    },
+    [userId],
+  );
+
+  /**
+   * Atualiza campos de um board (otimista). Se o servidor recusar,
+   * o board volta ao que era. Retorna true se deu certo.
+   */
+  const updateBoard = useCallback(async (id, updates, errorMessage) => {
+    const previous = boards.find((b) => b.id === id);
+    setBoards((prev) => prev.map((b) => (b.id === id ? { ...b, ...updates } : b)));
+
+    try {
+      if (supabase) {
+        const { error: updateError } = await supabase.from(TABLE).update(updates).eq("id", id);
+        if (updateError) throw updateError;
+      } else {
+        await updateLocalBoard(id, updates);
+      }
+      return true;
+    } catch (err) {
+      console.error("Erro ao atualizar board:", err);
+      setError(errorMessage);
+      if (previous) {
+        setBoards((prev) => prev.map((b) => (b.id === id ? previous : b)));
+      }
+      return false;
+    }
+  }, [boards]);
+
+  const renameBoard = useCallback(
+    (id, name) => updateBoard(id, { name }, "Não foi possível renomear o board."),
+    [updateBoard],
+  );
+
+  /** Troca a escala de prioridades do board (ver data/priorities) */
+  const changePriorityScale = useCallback(
+    (id, scale) =>
+      updateBoard(id, { priority_scale: scale }, "Não foi possível salvar a escala de prioridades."),
+    [updateBoard],
+  );
+
+  /**
+   * Exclui o board com TODAS as suas tecnologias (on delete cascade no banco).
+   * O último board não pode ser excluído — o app sempre tem um board ativo.
+   *
+   * O que o board deixou no localStorage vai junto: layout e as marcas de
+   * alteração do sync de layout, fila offline (pendências de um board que
+   * não existe mais nunca seriam enviadas), cache das tecnologias e
+   * cursor do fetch incremental.
+   */
+  const deleteBoard = useCallback(async (id) => {
+    if (boards.length <= 1) return;
+
+    try {
+      if (supabase) {
+        const { error: deleteError } = await supabase.from(TABLE).delete().eq("id", id);
+        if (deleteError) throw deleteError;
+      } else {
+        await deleteLocalBoard(id);
+        await deleteLocalTechsByBoard(id);
+      }
+      clearBoardLayout(id);
+      clearLayoutSyncMeta(id);
+      const scope = `${userId ?? "default"}:${id}`;
+      clearOutbox(scope);
+      clearCachedRemoteTechs(scope);
+      setBoards((prev) => prev.filter((b) => b.id !== id));
+    } catch (err) {
+      console.error("Erro ao excluir board:", err);
+      setError("Não foi possível excluir o board.");
+    }
+  }, [boards, userId]);
+
+  const clearError = useCallback(() => setError(null), []);
+
+  return {
+    boards,
+    activeBoard,
+    loading,
+    error,
+    selectBoard,
+    createBoard,
+    renameBoard,
+    changePriorityScale,
+    deleteBoard,
+    clearError,
+  };
+}
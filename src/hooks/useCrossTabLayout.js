@@ -0,0 +1,67 @@
+/**
+ * Hook que mantém o layout igual entre abas abertas do mesmo board.
+ *
+ * Sem isso, cada aba tem o próprio estado e grava por cima do
+ * localStorage da outra: a última aba a mexer "vence" em silêncio.
+ *
+ * Como funciona:
+ * - Mudou uma seção aqui (positions, sizes, viewState...) → avisa as outras abas
+ * - Chegou uma seção de outra aba → aplica com o setter correspondente
+ *
+ * 🎓 MENTORIA — Evitando o "eco"
+ * Ao aplicar uma seção recebida, o estado muda e o efeito de envio
+ * rodaria de novo — mandando a mesma mudança de volta (loop infinito).
+ * Por isso guardamos a última versão CONHECIDA de cada seção (JSON):
+ * só transmitimos o que for diferente dela.
+ */
+import { useEffect, useRef } from "react";
+import { broadcast, subscribe } from "../services/tabSync";
+
+function serializeSections(layout) {
+  return Object.fromEntries(
+    Object.entries(layout).map(([section, value]) => [section, JSON.stringify(value)]),
+  );
+}
+
+export function useCrossTabLayout(layout, setters, { boardId }) {
+  // Última versão conhecida de cada seção (null até o primeiro render)
+  const knownRef = useRef(null);
+  const settersRef = useRef(setters);
+
+  useEffect(() => {
+    settersRef.current = setters;
+  });
+
+  // Envio: só as seções que mudaram desde a última versão conhecida
+  useEffect(() => {
+    const serialized = serializeSections(layout);
+    const known = knownRef.current;
+
+    if (known) {
+      Object.keys(serialized).forEach((section) => {
+        if (serialized[section] !== known[section]) {
+          broadcast({ kind: "layout", boardId, section, value: layout[section] });
+        }
+      });
+    }
+
+    knownRef.current = serialized;
+  }, [layout, boardId]);
+
+  // Recebimento: marca como conhecida ANTES de aplicar (sem eco)
+  useEffect(
+    () =>
+      subscribe((message) => {
+        if (message?.kind !== "layout" || message.boardId !== boardId) return;
+        const setter = settersRef.current[message.section];
+        if (!setter) return;
+
+        knownRef.current = {
+          ...knownRef.current,
+          [message.section]: JSON.stringify(message.value),
+        };
+        setter(message.value);
+      }),
+    [boardId],
+  );
+}
@@ -0,0 +1,153 @@
+/**
+ * Hook de histórico (Desfazer / Refazer).
+ *
+ * 🎓 MENTORIA — Padrão "Command" (Comando)
+ * Cada ação reversível vira um objeto com duas funções:
+ *   { label, undo(), redo() }
+ * - Desfazer → executa undo() e move o comando para a pilha "futuro"
+ * - Refazer  → executa redo() e o devolve para a pilha "passado"
+ * - Uma ação NOVA limpa o "futuro" (igual a qualquer editor de texto)
+ *
+ * mergeKey: comandos seguidos com a mesma chave viram UM só
+ * (ex: o resize emite dezenas de eventos por segundo — desfazer deve
+ * voltar ao tamanho de ANTES do gesto, não ao de 16ms atrás).
+ *
+ * Falha: undo()/redo() podem devolver false (ex: updateTech recusado e
+ * revertido pelo servidor) ou lançar erro. Nesse caso as pilhas NÃO
+ * mudam — o comando continua onde estava, igual ao board — e o erro
+ * fica em `error` para o App mostrar.
+ *
+ * Atalhos: Ctrl+Z desfaz, Ctrl+Shift+Z (ou Ctrl+Y) refaz.
+ * Dentro de inputs o atalho é ignorado — lá vale o desfazer do navegador.
+ */
+import { useState, useEffect, useCallback, useRef } from "react";
+
+// Quantos comandos guardamos (os mais antigos são descartados)
+const MAX_HISTORY = 100;
+
+// Janela para juntar comandos com a mesma mergeKey
+const MERGE_WINDOW_MS = 1000;
+
+function isTextInput(target) {
+  return (
+    target instanceof HTMLElement &&
+    (target.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName))
+  );
+}
+
+export function useHistory() {
+  const [stacks, setStacks] = useState({ past: [], future: [] });
+  const [error, setError] = useState(null);
+
+  // Espelho síncrono das pilhas: undo/redo leem daqui sem esperar re-render
+  const stacksRef = useRef(stacks);
+  const busyRef = useRef(false);
+
+  const commit = useCallback((next) => {
+    stacksRef.current = next;
+    setStacks(next);
+  }, []);
+
+  /**
+   * Registra uma ação que JÁ aconteceu.
+   * @param {{ label: string, undo: Function, redo: Function, mergeKey?: string }} command
+   */
+  const record = useCallback(
+    (command) => {
+      // Ações disparadas pelo próprio undo/redo não entram no histórico
+      if (busyRef.current) return;
+
+      const { past } = stacksRef.current;
+      const last = past[past.length - 1];
+      const now = Date.now();
+
+      const canMerge =
+        command.mergeKey &&
+        last?.mergeKey === command.mergeKey &&
+        now - last.at < MERGE_WINDOW_MS;
+
+      const entry = canMerge
+        ? { ...last, redo: command.redo, at: now } // Mantém o undo ORIGINAL
+        : { ...command, at: now };
+
+      const nextPast = canMerge ? [...past.slice(0, -1), entry] : [...past, entry];
+      commit({ past: nextPast.slice(-MAX_HISTORY), future: [] });
+    },
+    [commit],
+  );
+
+  /** Executa o undo/redo de um comando; true se deu certo */
+  const run = useCallback(async (action) => {
+    busyRef.current = true;
+    try {
+      return (await action()) !== false;
+    } catch (err) {
+      console.error("Erro ao desfazer/refazer:", err);
+      return false;
+    } finally {
+      busyRef.current = false;
+    }
+  }, []);
+
+  const undo = useCallback(async () => {
+    const { past, future } = stacksRef.current;
+    const command = past[past.length - 1];
+    if (!command || busyRef.current) return;
+
+    if (!(await run(command.undo))) {
+      setError(`Não foi possível desfazer "${command.label}".`);
+      return;
+    }
+    setError(null);
+    commit({ past: past.slice(0, -1), future: [...future, command] });
+  }, [commit, run]);
+
+  const redo = useCallback(async () => {
+    const { past, future } = stacksRef.current;
+    const command = future[future.length - 1];
+    if (!command || busyRef.current) return;
+
+    if (!(await run(command.redo))) {
+      setError(`Não foi possível refazer "${command.label}".`);
+      return;
+    }
+    setError(null);
+    // Sem "at" novo: um gesto refeito não deve se juntar ao próximo
+    commit({ past: [...past, { ...command, at: 0 }], future: future.slice(0, -1) });
+  }, [commit, run]);
+
+  const clearError = useCallback(() => setError(null), []);
+
+  // Atalhos de teclado globais
+  useEffect(() => {
+    function handleKeyDown(e) {
+      if (!(e.ctrlKey || e.metaKey) || isTextInput(e.target)) return;
+
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        redo();
+      }
+    }
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [undo, redo]);
+
+  const { past, future } = stacks;
+
+  return {
+    record,
+    undo,
+    redo,
+    canUndo: past.length > 0,
+    canRedo: future.length > 0,
+    undoLabel: past[past.length - 1]?.label ?? null,
+    redoLabel: future[future.length - 1]?.label ?? null,
+    error,
+    clearError,
+  };
+}
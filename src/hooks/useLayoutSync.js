@@ -0,0 +1,174 @@
+/**
+ * Hook que sincroniza o layout do canvas com o Supabase.
+ *
+ * O localStorage continua sendo a fonte "rápida" (o App lê dele no
+ * primeiro render). Este hook roda por cima, em segundo plano:
+ *
+ * 1. Ao iniciar → busca o layout do servidor e aplica as seções
+ *    que foram alteradas mais recentemente em outro dispositivo.
+ * 2. A cada mudança local → marca a seção com a hora da alteração
+ *    e, depois de uma pausa (debounce), envia ao servidor.
+ * 3. Ao voltar para a aba → busca de novo (outro dispositivo pode
+ *    ter mexido enquanto esta aba estava em segundo plano).
+ *
+ * Sem Supabase configurado, o hook não faz nada.
+ */
+import { useEffect, useRef, useCallback } from "react";
+import { supabase } from "../supabaseClient";
+import {
+  DEFAULT_LAYOUT_KEY,
+  LAYOUT_SECTIONS,
+  fetchRemoteLayout,
+  saveRemoteLayout,
+  mergeLayouts,
+} from "../services/layoutSync";
+
+// Onde guardamos "quando cada seção foi alterada neste navegador"
+// (uma entrada por layoutKey: contas diferentes não se misturam)
+const META_KEY = "tech_layout_updated_at";
+
+// Espera após a última mudança antes de enviar (evita 1 request por pixel)
+const UPLOAD_DELAY = 1500;
+
+function readLocalMeta(layoutKey) {
+  try {
+    return JSON.parse(localStorage.getItem(`${META_KEY}:${layoutKey}`)) || {};
+  } catch {
+    return {};
+  }
+}
+
+/** Esquece as marcas de alteração de um layout (ex: o board foi excluído) */
+export function clearLayoutSyncMeta(layoutKey) {
+  localStorage.removeItem(`${META_KEY}:${layoutKey}`);
+}
+
+function serializeSections(layout) {
+  return Object.fromEntries(
+    LAYOUT_SECTIONS.map((section) => [section, JSON.stringify(layout[section])]),
+  );
+}
+
+/**
+ * @param {Object} layout - { positions, sizes, formPos, formSize, logoPos, viewState }
+ *   (memorizado com useMemo no App, para o effect só rodar quando algo mudar)
+ * @param {Object} setters - { positions: setPositions, ... } para aplicar valores remotos
+ * @param {Object} options
+ * @param {string} options.layoutKey - Identifica de quem é o layout no servidor
+ */
+export function useLayoutSync(layout, setters, { layoutKey = DEFAULT_LAYOUT_KEY } = {}) {
+  // Hora da última alteração de cada seção (neste navegador)
+  const metaRef = useRef(null);
+  // Última versão serializada de cada seção (para detectar mudanças reais)
+  const serializedRef = useRef(null);
+  // false até a primeira sincronização terminar
+  const readyRef = useRef(false);
+  const layoutRef = useRef(layout);
+  const settersRef = useRef(setters);
+  const timerRef = useRef(null);
+
+  useEffect(() => {
+    layoutRef.current = layout;
+    settersRef.current = setters;
+  });
+
+  /**
+   * Busca o layout remoto, aplica o que for mais novo lá e envia
+   * o que for mais novo aqui.
+   */
+  const syncLayout = useCallback(async () => {
+    if (!supabase) return;
+
+    const meta = metaRef.current ?? readLocalMeta(layoutKey);
+    const local = Object.fromEntries(
+      LAYOUT_SECTIONS.map((section) => [
+        section,
+        { value: layoutRef.current[section], updatedAt: meta[section] ?? 0 },
+      ]),
+    );
+
+    try {
+      const remote = await fetchRemoteLayout(layoutKey);
+      const merged = mergeLayouts(local, remote);
+
+      let localIsNewer = false;
+      LAYOUT_SECTIONS.forEach((section) => {
+        const remoteEntry = remote[section];
+        if (remoteEntry && remoteEntry.updatedAt > local[section].updatedAt) {
+          // Remoto venceu: aplica aqui, sem contar como alteração local
+          serializedRef.current = {
+            ...serializedRef.current,
+            [section]: JSON.stringify(remoteEntry.value),
+          };
+          meta[section] = remoteEntry.updatedAt;
+          settersRef.current[section]?.(remoteEntry.value);
+        } else if (!remoteEntry || local[section].updatedAt > remoteEntry.updatedAt) {
+          localIsNewer = true;
+        }
+      });
+
+      metaRef.current = meta;
+      localStorage.setItem(`${META_KEY}:${layoutKey}`, JSON.stringify(meta));
+
+      if (localIsNewer) await saveRemoteLayout(layoutKey, merged);
+    } catch (err) {
+      // Layout na nuvem é um "bônus": sem conexão, o localStorage segue valendo
+      console.warn("Não foi possível sincronizar o layout:", err);
+    } finally {
+      readyRef.current = true;
+    }
+  }, [layoutKey]);
+
+  // Sincronização inicial (e ao trocar de chave)
+  useEffect(() => {
+    readyRef.current = false;
+    syncLayout();
+  }, [syncLayout]);
+
+  /**
+   * Detecta alterações locais comparando a versão serializada.
+   * Mudanças ANTES da sincronização inicial (ex: auto-grid dos cards)
+   * não recebem carimbo de hora — assim não "vencem" o layout do servidor.
+   */
+  useEffect(() => {
+    if (!supabase) return;
+
+    const serialized = serializeSections(layout);
+    if (!serializedRef.current) {
+      serializedRef.current = serialized;
+      return;
+    }
+
+    const meta = metaRef.current ?? readLocalMeta(layoutKey);
+    let changed = false;
+    LAYOUT_SECTIONS.forEach((section) => {
+      if (serialized[section] === serializedRef.current[section]) return;
+      if (readyRef.current) {
+        meta[section] = Date.now();
+        changed = true;
+      }
+    });
+    serializedRef.current = serialized;
+
+    if (!changed) return;
+    metaRef.current = meta;
+    localStorage.setItem(`${META_KEY}:${layoutKey}`, JSON.stringify(meta));
+
+    clearTimeout(timerRef.current);
+    timerRef.current = setTimeout(syncLayout, UPLOAD_DELAY);
+  }, [layout, layoutKey, syncLayout]);
+
+  // Volta para a aba → puxa alterações de outros dispositivos
+  useEffect(() => {
+    if (!supabase) return;
+
+    const handleVisibility = () => {
+      if (document.visibilityState === "visible") syncLayout();
+    };
+    document.addEventListener("visibilitychange", handleVisibility);
+    return () => {
+      document.removeEventListener("visibilitychange", handleVisibility);
+      clearTimeout(timerRef.current);
+    };
+  }, [syncLayout]);
+}
@@ -9,35 +9,322 @@
  * - useState: armazena estado local (lista, loading, erro)
  * - useEffect: executa código quando o componente monta
  * - useCallback: memoriza funções para evitar re-renders desnecessários
+ * - useRef: guarda valores "vivos" sem causar re-render (lista atual, flags)
  */
-import { useState, useEffect, useCallback } from "react";
+import { useState, useEffect, useCallback, useMemo, useRef } from "react";
 import { supabase } from "../supabaseClient";
+import {
+  fetchLocalTechs,
+  insertLocalTech,
+  updateLocalTech,
+  deleteLocalTech,
+  purgeLocalTrash,
+  cacheRemoteTechs,
+  readCachedRemoteTechs,
+  readSyncCursor,
+} from "../services/localTechStore";
+import {
+  readOutbox,
+  enqueueMutation,
+  removeMutation,
+  remapOutboxId,
+  remapPrerequisiteIds,
+  applyOutbox,
+  createTempId,
+  isTempId,
+  isConnectionError,
+} from "../services/outbox";
+import { isTrashed, trashCutoff } from "../services/trash";
+import { broadcast, subscribe } from "../services/tabSync";
+import { compareByPriority } from "../data/priorities";
 
 // Nome da tabela no Supabase
 const TABLE = "tech_wishlist";
 
+// Intervalo entre tentativas de reenviar a fila (Supabase fora do ar)
+const RETRY_INTERVAL = 30000;
+
+// Por quanto tempo o card fica marcado como "failed" após um rollback
+const FAILED_STATUS_MS = 4000;
+
+// Nome do lock (Web Locks API) que garante UMA aba reenviando a fila
+const OUTBOX_LOCK = "tech_wishlist_outbox_replay";
+
+// Margem do fetch incremental: relemos um pouco ANTES do cursor
+// (uma transação pode gravar updated_at antes de outra e terminar depois)
+const SYNC_OVERLAP_MS = 5000;
+
+/**
+ * Ordena por prioridade (maior primeiro; no empate, a mais recente),
+ * igual ao fetch do Supabase
+ */
+function sortByPriority(list) {
+  return [...list].sort(compareByPriority);
+}
+
+/**
+ * Troca a linha de id temporário pela linha confirmada pelo servidor.
+ * Se o Realtime já trouxe a linha real, a duplicata é removida;
+ * se um fetch já descartou a temporária, a linha real é adicionada.
+ */
+function swapTempRow(list, tempId, serverRow) {
+  const isTemp = (t) => String(t.id) === String(tempId);
+  const isServer = (t) => String(t.id) === String(serverRow.id);
+  if (!list.some(isTemp)) {
+    return list.some(isServer) ? list : [serverRow, ...list];
+  }
+  return list
+    .filter((t) => !isServer(t))
+    .map((t) => (isTemp(t) ? { ...t, ...serverRow } : remapPrerequisiteIds(t, tempId, serverRow.id)));
+}
+
 /**
  * Função pura que busca os dados do Supabase.
  * Separada do hook para manter o código organizado.
  */
-async function fetchFromSupabase() {
-  // Se o Supabase não está configurado, retorna lista vazia
-  if (!supabase) return [];
+async function fetchFromSupabase(userId, boardId) {
+  // Se o Supabase não está configurado, usa o armazenamento local (modo Offline)
+  if (!supabase) return fetchLocalTechs(boardId);
 
-  const { data, error } = await supabase
+  // O RLS já filtra pelo dono; o .eq() deixa a intenção explícita
+  const { data, error, status } = await supabase
     .from(TABLE)
     .select("*")
-    .order("priority", { ascending: false });
+    .eq("owner", userId)
+    .eq("board_id", boardId)
+    .order("priority", { ascending: false })
+    .order("created_at", { ascending: false });
 
   if (error) {
-    throw error;
+    // Anexa o status HTTP para o chamador saber se foi falta de conexão
+    throw Object.assign(error, { status });
   }
 
   return data;
 }
 
-export function useTechs() {
-  // Estado da lista de tecnologias
+/** Maior updated_at da lista (o cursor do próximo fetch incremental) */
+function latestUpdate(rows) {
+  return rows.reduce(
+    (latest, row) => (row.updated_at && (!latest || Date.parse(row.updated_at) > Date.parse(latest))
+      ? row.updated_at
+      : latest),
+    null,
+  );
+}
+
+/**
+ * 🎓 MENTORIA — Fetch Incremental
+ * Em vez de baixar a tabela inteira, pedimos ao servidor:
+ * 1. As linhas com updated_at depois do cursor (o trigger do banco
+ *    atualiza a coluna a cada UPDATE — ver migration updated_at)
+ * 2. Só a coluna id de todas as linhas do board (leve). Quem sumiu
+ *    dela foi excluído de vez — um DELETE não deixa updated_at
+ *    para comparar.
+ */
+async function fetchChangesFromSupabase(userId, boardId, since) {
+  const from = new Date(Date.parse(since) - SYNC_OVERLAP_MS).toISOString();
+
+  const [changes, ids] = await Promise.all([
+    supabase
+      .from(TABLE)
+      .select("*")
+      .eq("owner", userId)
+      .eq("board_id", boardId)
+      .gte("updated_at", from),
+    supabase
+      .from(TABLE)
+      .select("id")
+      .eq("owner", userId)
+      .eq("board_id", boardId),
+  ]);
+
+  [changes, ids].forEach(({ error, status }) => {
+    if (error) throw Object.assign(error, { status });
+  });
+
+  return { changed: changes.data, ids: ids.data.map((row) => row.id) };
+}
+
+/**
+ * Aplica o resultado do fetch incremental sobre a última cópia do
+ * servidor (função pura). Linhas que não mudaram mantêm a MESMA
+ * referência — o React (e o grid) não reprocessam o que não mudou.
+ */
+function mergeServerChanges(rows, changed, ids) {
+  const alive = new Set(ids.map(String));
+  const byId = new Map(
+    rows.filter((t) => alive.has(String(t.id))).map((t) => [String(t.id), t]),
+  );
+  changed.forEach((row) => byId.set(String(row.id), row));
+  return sortByPriority([...byId.values()]);
+}
+
+/**
+ * Busca a lista do servidor: incremental quando existe uma cópia
+ * anterior (cache + cursor), completa no primeiro acesso.
+ * Se o incremental falhar por outro motivo que não a conexão
+ * (ex: banco ainda sem a coluna updated_at), busca tudo.
+ */
+async function fetchLatest(userId, boardId, scope) {
+  const since = supabase && readSyncCursor(scope);
+  if (!since) return fetchFromSupabase(userId, boardId);
+
+  try {
+    const { changed, ids } = await fetchChangesFromSupabase(userId, boardId, since);
+    return mergeServerChanges(readCachedRemoteTechs(scope), changed, ids);
+  } catch (err) {
+    if (isConnectionError({ error: err, status: err.status })) throw err;
+    console.warn("Fetch incremental falhou; buscando a lista completa:", err);
+    return fetchFromSupabase(userId, boardId);
+  }
+}
+
+/**
+ * Apaga de vez os itens da lixeira que passaram do período de retenção.
+ * Retorna os ids apagados (lista vazia se falhar — tentamos na próxima visita).
+ */
+async function purgeExpiredTrash(boardId) {
+  if (!supabase) return purgeLocalTrash(boardId);
+  const cutoff = trashCutoff();
+
+  const { data, error } = await supabase
+    .from(TABLE)
+    .delete()
+    .eq("board_id", boardId)
+    .lt("deleted_at", cutoff)
+    .select("id");
+
+  if (error) {
+    console.warn("Não foi possível esvaziar a lixeira expirada:", error);
+    return [];
+  }
+  return data.map((row) => row.id);
+}
+
+/**
+ * Aplica UM evento do Supabase Realtime sobre a lista (função pura).
+ *
+ * 🎓 MENTORIA — Merge Incremental
+ * Em vez de buscar a tabela inteira a cada mudança, aplicamos só a
+ * diferença que o servidor nos enviou:
+ * - INSERT → adiciona (ou substitui, se já temos esse id — ex: nosso próprio insert)
+ * - UPDATE → substitui a linha pelo novo valor
+ * - DELETE → remove pelo id antigo (payload.old)
+ * No fim, reordenamos por prioridade para manter a mesma ordem do fetch.
+ */
+function mergeRealtimeChange(list, payload) {
+  const { eventType, new: newRow, old: oldRow } = payload;
+  const sameId = (id) => (t) => String(t.id) === String(id);
+
+  let next = list;
+  if (eventType === "INSERT" || eventType === "UPDATE") {
+    next = list.some(sameId(newRow.id))
+      ? list.map((t) => (sameId(newRow.id)(t) ? newRow : t))
+      : [...list, newRow];
+  } else if (eventType === "DELETE") {
+    next = list.filter((t) => !sameId(oldRow.id)(t));
+  }
+
+  return sortByPriority(next);
+}
+
+/**
+ * Mesmo valor? As colunas JSON (study_sessions, links, checklist...)
+ * chegam do servidor como objetos NOVOS — nunca são === à cópia guardada
+ * no outbox. Por isso comparamos o conteúdo. A ordem das chaves não conta:
+ * o jsonb do Postgres reordena as chaves de cada objeto.
+ */
+function sameValue(a, b) {
+  if (a === b) return true;
+  if (typeof a !== "object" || typeof b !== "object" || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return keysA.length === keysB.length && keysA.every((key) => key in b && sameValue(a[key], b[key]));
+}
+
+// Colunas timestamptz: o cliente grava "...Z", o Postgres devolve "...+00:00"
+const TIMESTAMP_COLUMNS = new Set(["deleted_at", "updated_at"]);
+
+/** sameValue por coluna: timestamps comparam o INSTANTE, não o texto */
+function sameColumnValue(column, a, b) {
+  if (TIMESTAMP_COLUMNS.has(column) && typeof a === "string" && typeof b === "string") {
+    return Date.parse(a) === Date.parse(b);
+  }
+  return sameValue(a, b);
+}
+
+/**
+ * Reenvia UMA operação da fila offline ao Supabase.
+ *
+ * 🎓 MENTORIA — Tratamento de Conflitos
+ * Enquanto estávamos offline, outra pessoa pode ter mexido na mesma linha:
+ * - Linha removida no servidor → a alteração local é descartada
+ * - Linha alterada no servidor (difere do "base" que tínhamos)
+ *   → a versão do servidor vence e avisamos o usuário
+ * - Delete de uma linha que já não existe → nada a fazer (sucesso)
+ *
+ * @returns {{ connection?: boolean, conflict?: string, serverRow?: Object }}
+ */
+async function replayOperation(op) {
+  const name = op.payload?.name ?? op.base?.name ?? "Tecnologia";
+  const rejected = (response) =>
+    isConnectionError(response)
+      ? { connection: true }
+      : { conflict: `Erro ao sincronizar "${name}": ${response.error.message}` };
+
+  if (op.type === "insert") {
+    const response = await supabase.from(TABLE).insert([op.payload]).select().single();
+    return response.error ? rejected(response) : { serverRow: response.data };
+  }
+
+  if (op.type === "update") {
+    const current = await supabase
+      .from(TABLE)
+      .select("*")
+      .eq("id", op.techId)
+      .maybeSingle();
+    if (current.error) return rejected(current);
+
+    if (!current.data) {
+      return { conflict: `"${name}" foi removida em outro dispositivo; a edição offline foi descartada.` };
+    }
+
+    const changedRemotely =
+      op.base && Object.keys(op.payload).some((key) => !sameColumnValue(key, current.data[key], op.base[key]));
+    if (changedRemotely) {
+      return { conflict: `"${name}" foi alterada em outro dispositivo; a versão do servidor foi mantida.` };
+    }
+
+    const response = await supabase.from(TABLE).update(op.payload).eq("id", op.techId);
+    return response.error ? rejected(response) : {};
+  }
+
+  if (op.type === "delete") {
+    const response = await supabase.from(TABLE).delete().eq("id", op.techId);
+    return response.error ? rejected(response) : {};
+  }
+
+  return {};
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.userId - Id do usuário logado (Supabase Auth).
+ *   Só as tecnologias dele são lidas/escritas; ignorado no modo Offline.
+ * @param {string} options.boardId - Board ativo: só as tecnologias dele são listadas.
+ * @param {Function} options.onIdRemap - Chamado com (idTemporário, idDoServidor)
+ *   quando um card criado offline é confirmado. O App usa isso para migrar
+ *   posição e tamanho salvos para o novo id.
+ */
+export function useTechs({ userId, boardId, onIdRemap } = {}) {
+  // Fila offline e cache ficam separados por usuário e por board
+  const scope = `${userId ?? "default"}:${boardId}`;
+
+  // Estado da lista de tecnologias — inclui as que estão na lixeira
+  // (deleted_at preenchido); a separação é feita no retorno do hook.
   const [techs, setTechs] = useState([]);
 
   // Indica se está carregando dados do servidor
@@ -46,134 +333,596 @@ export function useTechs() {
   // Armazena mensagens de erro para exibir ao usuário
   const [error, setError] = useState(null);
 
+  // Fila de alterações ainda não enviadas ao servidor (espelho do localStorage)
+  const [outbox, setOutbox] = useState(() => readOutbox(scope));
+
+  // false quando detectamos que o Supabase não está acessível
+  const [online, setOnline] = useState(() => !supabase || navigator.onLine);
+
+  // Mutações otimistas em andamento: { [techId]: "saving" | "failed" }
+  const [mutationStatus, setMutationStatus] = useState({});
+
+  /**
+   * 🎓 MENTORIA — Refs como "janela" para o valor mais recente
+   * Os callbacks abaixo são memorizados (useCallback), então não "enxergam"
+   * o techs atual sem recriá-los. O ref resolve isso sem re-render.
+   */
+  const techsRef = useRef(techs);
+  const onIdRemapRef = useRef(onIdRemap);
+  const replayingRef = useRef(false);
+  // Ids temporários cujo insert ainda não voltou do servidor
+  const inFlightInsertsRef = useRef(new Set());
+  // Última chamada de updateTech por card (respostas antigas não sobrescrevem as novas)
+  const latestUpdateRef = useRef(new Map());
+
+  useEffect(() => {
+    techsRef.current = techs;
+  }, [techs]);
+
+  useEffect(() => {
+    onIdRemapRef.current = onIdRemap;
+  }, [onIdRemap]);
+
   /**
-   * Busca todas as tecnologias do Supabase.
+   * Busca as tecnologias do Supabase (só o que mudou, quando possível).
    * Usa try/catch para tratamento de erros limpo.
+   *
+   * Sem conexão, mostra a última cópia salva + as alterações da fila.
    */
   const fetchTechs = useCallback(async () => {
     try {
-      const data = await fetchFromSupabase();
-      setTechs(data);
+      const data = await fetchLatest(userId, boardId, scope);
+      if (supabase) cacheRemoteTechs(data, scope, latestUpdate(data));
+      setTechs(applyOutbox(data, readOutbox(scope)));
+      setOnline(true);
       setError(null);
     } catch (err) {
-      console.error("Erro ao buscar tecnologias:", err);
-      setError("Não foi possível carregar as tecnologias. Tente novamente.");
+      if (isConnectionError({ error: err, status: err.status })) {
+        setOnline(false);
+        setTechs(applyOutbox(readCachedRemoteTechs(scope), readOutbox(scope)));
+      } else {
+        console.error("Erro ao buscar tecnologias:", err);
+        setError("Não foi possível carregar as tecnologias. Tente novamente.");
+      }
     } finally {
       // finally roda SEMPRE, independente de sucesso ou erro.
       setLoading(false);
     }
+  }, [userId, boardId, scope]);
+
+  /**
+   * Avisa as outras abas que a lista local (modo Offline) ou a fila
+   * mudou. Elas releem do localStorage — quem recebe não retransmite.
+   */
+  const notifyTabs = useCallback(() => broadcast({ kind: "techs", scope }), [scope]);
+
+  /**
+   * Guarda a operação na fila offline.
+   * A UI já foi atualizada pelo chamador — o card aparece como "pendente".
+   */
+  const queueMutation = useCallback((op) => {
+    setOutbox(enqueueMutation(op, scope));
+    notifyTabs();
+  }, [scope, notifyTabs]);
+
+  /**
+   * 🎓 MENTORIA — Estado por card ("saving" / "failed")
+   * Enquanto o servidor não confirma, o card mostra "Salvando...".
+   * Se der erro, a alteração é desfeita (rollback) e o card fica
+   * marcado como "failed" por alguns segundos.
+   */
+  const setCardStatus = useCallback((id, status) => {
+    setMutationStatus((prev) => {
+      const { [id]: _removed, ...rest } = prev;
+      return status ? { ...rest, [id]: status } : rest;
+    });
+    if (status === "failed") {
+      setTimeout(() => setCardStatus(id, null), FAILED_STATUS_MS);
+    }
   }, []);
 
+  /**
+   * Troca a linha temporária pela confirmada pelo servidor e avisa
+   * o App (que migra posição/tamanho para o novo id).
+   */
+  const confirmTempRow = useCallback((tempId, serverRow) => {
+    setTechs((prev) => swapTempRow(prev, tempId, serverRow));
+    remapOutboxId(tempId, serverRow.id, scope);
+    onIdRemapRef.current?.(tempId, serverRow.id);
+  }, [scope]);
+
+  /**
+   * Reenvia a fila, em ordem, quando a conexão volta.
+   *
+   * O ref "replayingRef" impede dois reenvios simultâneos (ex: evento
+   * "online" disparando enquanto o timer de retry também roda).
+   * A fila é relida a cada volta do loop, então operações adicionadas
+   * DURANTE o reenvio também são processadas.
+   */
+  const replayOutbox = useCallback(async () => {
+    if (!supabase || replayingRef.current || readOutbox(scope).length === 0) return;
+
+    /**
+     * 🎓 MENTORIA — Web Locks API
+     * A fila fica no localStorage, compartilhada por todas as abas.
+     * Se duas abas reenviassem ao mesmo tempo, o mesmo insert iria
+     * duas vezes ao servidor. O lock garante UMA aba por vez;
+     * com ifAvailable, as outras simplesmente desistem desta rodada.
+     */
+    if (navigator.locks) {
+      await navigator.locks.request(
+        `${OUTBOX_LOCK}:${scope}`,
+        { ifAvailable: true },
+        (lock) => lock && runReplay(),
+      );
+      return;
+    }
+    await runReplay();
+
+    async function runReplay() {
+      replayingRef.current = true;
+
+      const conflicts = [];
+      let lostConnection = false;
+      let waiting = false;
+
+      try {
+        let op;
+        while ((op = readOutbox(scope)[0])) {
+          // Card temporário cujo insert ainda está a caminho: espera a
+          // confirmação (confirmTempRow troca o id e chama o reenvio de novo)
+          if (inFlightInsertsRef.current.has(String(op.techId))) {
+            waiting = true;
+            break;
+          }
+
+          const result = await replayOperation(op);
+          if (result.connection) {
+            lostConnection = true;
+            break; // Mantém o restante da fila para a próxima tentativa
+          }
+
+          removeMutation(op.opId, scope);
+
+          // Card criado offline ganhou id definitivo → migra referências
+          if (result.serverRow && isTempId(op.techId)) {
+            confirmTempRow(op.techId, result.serverRow);
+          }
+
+          if (result.conflict) conflicts.push(result.conflict);
+        }
+      } finally {
+        replayingRef.current = false;
+        setOutbox(readOutbox(scope));
+        notifyTabs();
+      }
+
+      setOnline(!lostConnection);
+      if (conflicts.length > 0) setError(conflicts.join(" "));
+      if (!lostConnection && !waiting) await fetchTechs();
+    }
+  }, [fetchTechs, confirmTempRow, scope, notifyTabs]);
+
+  /**
+   * true quando a alteração precisa ir para a fila em vez de direto ao
+   * servidor: o card ainda é temporário, ou já existem alterações
+   * anteriores esperando (a ORDEM precisa ser preservada).
+   */
+  const mustQueue = useCallback(
+    (id) => (id !== undefined && isTempId(id)) || readOutbox(scope).length > 0,
+    [scope],
+  );
+
   /**
    * Adiciona uma nova tecnologia à lista.
-   * Retorna true se sucesso, false se erro.
+   * Retorna o id da nova linha se sucesso (temporário, se foi para a fila),
+   * false se erro.
+   *
+   * 🎓 MENTORIA — Optimistic UI (apply-then-confirm)
+   * 1. O card aparece NA HORA com um id temporário
+   * 2. O insert vai ao servidor com `.select().single()` (retorna a linha criada)
+   * 3. Sucesso → trocamos o id temporário pelo id real
+   *    Erro    → o card some (rollback) e o formulário mantém o texto
    */
   const addTech = useCallback(
     async (tech) => {
       if (!supabase) {
-        // Modo offline: adiciona apenas localmente (Optimistic UI fake)
-        setTechs((prev) => [{ id: Date.now(), ...tech }, ...prev]);
-        return true;
+        // Modo offline: salva no localStorage (id estável entre reloads)
+        try {
+          const saved = await insertLocalTech({ ...tech, board_id: boardId });
+          setTechs((prev) => [saved, ...prev]);
+          notifyTabs();
+          return saved.id;
+        } catch (err) {
+          console.error("Erro ao salvar localmente:", err);
+          setError("Erro ao salvar tecnologia no navegador.");
+          return false;
+        }
       }
 
       setError(null);
 
-      const { error: insertError } = await supabase.from(TABLE).insert([tech]);
+      // A linha pertence ao usuário logado e ao board ativo (o RLS confere no servidor)
+      const row = { ...tech, owner: userId, board_id: boardId };
+      const tempId = createTempId();
+      setTechs((prev) => [{ id: tempId, ...row }, ...prev]);
+
+      const queueInsert = () =>
+        queueMutation({ type: "insert", techId: tempId, payload: row });
+
+      if (mustQueue()) {
+        queueInsert();
+        replayOutbox();
+        return tempId;
+      }
+
+      setCardStatus(tempId, "saving");
+      inFlightInsertsRef.current.add(tempId);
+
+      const response = await supabase.from(TABLE).insert([row]).select().single();
 
-      if (insertError) {
-        console.error("Erro ao adicionar:", insertError);
+      inFlightInsertsRef.current.delete(tempId);
+      setCardStatus(tempId, null);
+
+      if (response.error) {
+        if (isConnectionError(response)) {
+          setOnline(false);
+          queueInsert();
+          return tempId;
+        }
+        console.error("Erro ao adicionar:", response.error);
+        setTechs((prev) => prev.filter((t) => t.id !== tempId)); // Rollback
         setError("Erro ao adicionar tecnologia. Tente novamente.");
         return false;
       }
 
-      // Recarrega a lista atualizada do servidor para garantir sincronia
-      await fetchTechs();
-      return true;
+      confirmTempRow(tempId, response.data);
+      // Alterações feitas no card enquanto ele era temporário estão na fila
+      replayOutbox();
+      return response.data.id;
     },
-    [fetchTechs],
+    [userId, boardId, mustQueue, queueMutation, replayOutbox, setCardStatus, confirmTempRow, notifyTabs],
   );
 
   /**
    * Atualiza uma tecnologia existente pelo ID.
    * Recebe o id e os campos a serem atualizados.
+   *
+   * Otimista: a mudança aparece na hora. Se o servidor recusar,
+   * apenas os campos alterados voltam ao valor anterior.
    */
   const updateTech = useCallback(
     async (id, updates) => {
       if (!supabase) {
-        // Modo offline: atualiza localmente
-        setTechs((prev) =>
-          prev.map((t) => (t.id === id ? { ...t, ...updates } : t)),
-        );
-        return true;
+        // Modo offline: atualiza no localStorage e no estado
+        try {
+          await updateLocalTech(id, updates);
+          setTechs((prev) =>
+            prev.map((t) => (t.id === id ? { ...t, ...updates } : t)),
+          );
+          notifyTabs();
+          return true;
+        } catch (err) {
+          console.error("Erro ao atualizar localmente:", err);
+          setError("Erro ao atualizar tecnologia no navegador.");
+          return false;
+        }
       }
 
       setError(null);
 
-      const { error: updateError } = await supabase
+      const previous = techsRef.current.find((t) => String(t.id) === String(id));
+      setTechs((prev) =>
+        prev.map((t) => (t.id === id ? { ...t, ...updates } : t)),
+      );
+
+      const request = {};
+      latestUpdateRef.current.set(String(id), request);
+
+      const queueUpdate = () =>
+        queueMutation({ type: "update", techId: id, payload: updates, base: previous });
+
+      if (mustQueue(id)) {
+        queueUpdate();
+        replayOutbox();
+        return true;
+      }
+
+      setCardStatus(id, "saving");
+
+      // .select().single(): o servidor devolve a linha já atualizada
+      const response = await supabase
         .from(TABLE)
         .update(updates)
-        .eq("id", id);
+        .eq("id", id)
+        .select()
+        .single();
 
-      if (updateError) {
-        console.error("Erro ao atualizar:", updateError);
+      if (response.error) {
+        if (isConnectionError(response)) {
+          setCardStatus(id, null);
+          setOnline(false);
+          queueUpdate();
+          return true;
+        }
+        console.error("Erro ao atualizar:", response.error);
+        if (previous) {
+          // Rollback: restaura só os campos que tentamos mudar
+          const restored = Object.fromEntries(
+            Object.keys(updates).map((key) => [key, previous[key]]),
+          );
+          setTechs((prev) =>
+            prev.map((t) => (t.id === id ? { ...t, ...restored } : t)),
+          );
+        }
+        setCardStatus(id, "failed");
         setError("Erro ao atualizar tecnologia. Tente novamente.");
         return false;
       }
 
-      await fetchTechs();
+      setCardStatus(id, null);
+
+      // Troca o card pela versão do servidor (updated_at, defaults...) —
+      // a não ser que uma edição mais nova já esteja a caminho
+      if (latestUpdateRef.current.get(String(id)) === request) {
+        latestUpdateRef.current.delete(String(id));
+        setTechs((prev) =>
+          prev.map((t) => (String(t.id) === String(id) ? response.data : t)),
+        );
+      }
       return true;
     },
-    [fetchTechs],
+    [mustQueue, queueMutation, replayOutbox, setCardStatus, notifyTabs],
   );
 
   /**
-   * Remove uma tecnologia pelo ID.
+   * 🎓 MENTORIA — Soft Delete (Lixeira)
+   * "Remover" não apaga a linha: só preenche deleted_at. O card sai do
+   * canvas e vai para a lixeira, de onde pode ser restaurado — com a
+   * MESMA posição e tamanho, porque o id não muda.
+   *
+   * Por baixo é um updateTech comum, então ganha de graça a UI otimista,
+   * o rollback e a fila offline.
    */
   const deleteTech = useCallback(
+    (id) => updateTech(id, { deleted_at: new Date().toISOString() }),
+    [updateTech],
+  );
+
+  /** Tira a tecnologia da lixeira (volta para o canvas) */
+  const restoreTech = useCallback(
+    (id) => updateTech(id, { deleted_at: null }),
+    [updateTech],
+  );
+
+  /**
+   * Apaga a tecnologia DE VEZ (botão "Excluir para sempre" da lixeira).
+   *
+   * Otimista: a linha some na hora. Se o servidor recusar,
+   * ela volta para a lista marcada como "failed".
+   */
+  const purgeTech = useCallback(
     async (id) => {
       if (!supabase) {
-        // Modo offline: remove localmente (String cast para segurança de tipos)
-        setTechs((prev) => prev.filter((t) => String(t.id) !== String(id)));
-        return true;
+        // Modo offline: remove do localStorage (String cast para segurança de tipos)
+        try {
+          await deleteLocalTech(id);
+          setTechs((prev) => prev.filter((t) => String(t.id) !== String(id)));
+          notifyTabs();
+          return true;
+        } catch (err) {
+          console.error("Erro ao remover localmente:", err);
+          setError("Erro ao remover tecnologia do navegador.");
+          return false;
+        }
       }
 
       setError(null);
 
-      const { error: deleteError } = await supabase
+      const previous = techsRef.current.find((t) => String(t.id) === String(id));
+      setTechs((prev) => prev.filter((t) => String(t.id) !== String(id)));
+
+      const queueDelete = () =>
+        queueMutation({ type: "delete", techId: id, base: previous });
+
+      if (mustQueue(id)) {
+        queueDelete();
+        replayOutbox();
+        return true;
+      }
+
+      const response = await supabase
         .from(TABLE)
         .delete()
         .eq("id", id);
 
-      if (deleteError) {
-        console.error("Erro ao remover:", deleteError);
+      if (response.error) {
+        if (isConnectionError(response)) {
+          setOnline(false);
+          queueDelete();
+          return true;
+        }
+        console.error("Erro ao remover:", response.error);
+        if (previous) {
+          // Rollback: o card volta para o seu lugar na ordem de prioridade
+          setTechs((prev) => sortByPriority([...prev, previous]));
+          setCardStatus(id, "failed");
+        }
         setError("Erro ao remover tecnologia. Tente novamente.");
         return false;
       }
 
-      setTechs((prev) => prev.filter((t) => String(t.id) !== String(id)));
-
       return true;
     },
-    [fetchTechs],
+    [mustQueue, queueMutation, replayOutbox, setCardStatus, notifyTabs],
   );
 
   // Função para limpar o erro (também memorizada)
   const clearError = useCallback(() => setError(null), []);
 
   // Busca os dados quando o hook é usado pela primeira vez
+  // e, em seguida, tenta reenviar o que ficou na fila da última sessão.
+  useEffect(() => {
+    fetchTechs().then(replayOutbox);
+  }, [fetchTechs, replayOutbox]);
+
+  // Outra aba mudou a lista local ou a fila → relê tudo
+  useEffect(
+    () =>
+      subscribe((message) => {
+        if (message?.kind !== "techs" || message.scope !== scope) return;
+        setOutbox(readOutbox(scope));
+        fetchTechs();
+      }),
+    [scope, fetchTechs],
+  );
+
+  // Itens da lixeira mais antigos que a retenção são apagados de vez
   useEffect(() => {
-    fetchTechs();
-  }, [fetchTechs]);
+    purgeExpiredTrash(boardId).then((purgedIds) => {
+      if (purgedIds.length === 0) return;
+      const purged = new Set(purgedIds.map(String));
+      setTechs((prev) => prev.filter((t) => !purged.has(String(t.id))));
+    });
+  }, [boardId]);
+
+  /**
+   * 🎓 MENTORIA — Eventos "online" / "offline" do navegador
+   * O browser avisa quando a rede cai ou volta. Ao voltar, reenviamos a fila.
+   */
+  useEffect(() => {
+    if (!supabase) return;
+
+    const handleOnline = () => replayOutbox();
+    const handleOffline = () => setOnline(false);
+
+    window.addEventListener("online", handleOnline);
+    window.addEventListener("offline", handleOffline);
+    return () => {
+      window.removeEventListener("online", handleOnline);
+      window.removeEventListener("offline", handleOffline);
+    };
+  }, [replayOutbox]);
+
+  /**
+   * 🎓 MENTORIA — Supabase Realtime (Live Updates)
+   *
+   * Abrimos um "canal" que escuta INSERT/UPDATE/DELETE na tabela.
+   * Assim, mudanças feitas em outra aba, outro dispositivo ou por
+   * outra pessoa aparecem aqui sem precisar recarregar a página.
+   *
+   * O Realtime NÃO entrega DELETE numa assinatura com filtro (o evento
+   * só traz a chave primária, sem board_id). Por isso o DELETE tem um
+   * handler próprio, sem filtro, que ignora ids que não são deste board.
+   *
+   * Reconexão: o cliente do Supabase se reconecta sozinho, mas os
+   * eventos que aconteceram ENQUANTO estávamos desconectados se perdem.
+   * Por isso, ao voltar para "SUBSCRIBED" depois de uma queda,
+   * buscamos o que mudou (fetch incremental) para "alcançar" o servidor.
+   *
+   * A cleanup function remove o canal quando o componente desmonta
+   * (sem isso, o WebSocket continuaria aberto — memory leak).
+   */
+  useEffect(() => {
+    if (!supabase) return;
+
+    let disconnected = false;
+
+    // A fila offline é reaplicada por cima: alterações locais
+    // ainda não enviadas continuam visíveis.
+    const applyChange = (payload) => {
+      setTechs((prev) => applyOutbox(mergeRealtimeChange(prev, payload), readOutbox(scope)));
+    };
+
+    const channel = supabase
+      .channel(`${TABLE}_changes:${scope}`)
+      .on(
+        "postgres_changes",
+        // Filtro pelo board: o board já pertence ao usuário (RLS)
+        { event: "INSERT", schema: "public", table: TABLE, filter: `board_id=eq.${boardId}` },
+        applyChange,
+      )
+      .on(
+        "postgres_changes",
+        { event: "UPDATE", schema: "public", table: TABLE, filter: `board_id=eq.${boardId}` },
+        applyChange,
+      )
+      .on(
+        "postgres_changes",
+        // Sem filtro (ver acima): purges da lixeira de outra aba/dispositivo
+        { event: "DELETE", schema: "public", table: TABLE },
+        (payload) => {
+          setTechs((prev) =>
+            prev.some((t) => String(t.id) === String(payload.old?.id))
+              ? applyOutbox(mergeRealtimeChange(prev, payload), readOutbox(scope))
+              : prev,
+          );
+        },
+      )
+      .subscribe((status) => {
+        if (status === "SUBSCRIBED") {
+          if (disconnected) fetchTechs();
+          disconnected = false;
+        } else if (status === "CHANNEL_ERROR" || status === "TIMED_OUT" || status === "CLOSED") {
+          disconnected = true;
+        }
+      });
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  }, [fetchTechs, boardId, scope]);
+
+  /**
+   * Se a rede está OK mas o Supabase está fora do ar, o evento "online"
+   * nunca dispara. Por isso, enquanto houver fila, tentamos de tempos em tempos.
+   */
+  useEffect(() => {
+    if (!supabase || outbox.length === 0) return;
+    const timer = setInterval(replayOutbox, RETRY_INTERVAL);
+    return () => clearInterval(timer);
+  }, [outbox.length, replayOutbox]);
+
+  /**
+   * Mapa { [techId]: "pending" | "saving" | "failed" } que os cards usam
+   * para exibir o selo de sincronização.
+   * useMemo: só recalcula quando a fila ou as mutações mudam.
+   */
+  const syncStatus = useMemo(
+    () => ({
+      ...Object.fromEntries(outbox.map((op) => [op.techId, "pending"])),
+      ...mutationStatus,
+    }),
+    [outbox, mutationStatus],
+  );
+
+  // Canvas mostra só as ativas; a lixeira, as removidas (mais recentes primeiro —
+  // por instante: "...Z" e "...+00:00" não se ordenam como texto)
+  const activeTechs = useMemo(() => techs.filter((t) => !isTrashed(t)), [techs]);
+  const trash = useMemo(
+    () =>
+      techs
+        .filter(isTrashed)
+        .sort((a, b) => Date.parse(b.deleted_at) - Date.parse(a.deleted_at)),
+    [techs],
+  );
 
   // Retorna tudo que os componentes precisam (Interface Pública do Hook)
   return {
-    techs,
+    techs: activeTechs,
+    trash,
     setTechs,
     loading,
     error,
+    online,
+    pendingCount: outbox.length,
+    syncStatus,
     addTech,
     updateTech,
     deleteTech,
+    restoreTech,
+    purgeTech,
     clearError,
+    syncNow: replayOutbox,
   };
 }
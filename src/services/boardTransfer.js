@@ -0,0 +1,222 @@
+/**
+ * boardTransfer — Exportar / importar um board inteiro como JSON.
+ *
+ * ╔══════════════════════════════════════════════════════════════════╗
+ * ║  🎓 MENTORIA — FORMATO VERSIONADO                              ║
+ * ║                                                                ║
+ * ║  O arquivo leva um "format" (para reconhecer que é nosso) e    ║
+ * ║  uma "version". Se o formato mudar no futuro, a versão nova    ║
+ * ║  ganha uma função em MIGRATIONS que converte arquivos antigos  ║
+ * ║  — backups velhos continuam importáveis.                       ║
+ * ║                                                                ║
+ * ║  Nada que vem de um arquivo é confiável: tudo é validado e     ║
+ * ║  "sanitizado" antes de chegar no estado da aplicação.          ║
+ * ╚══════════════════════════════════════════════════════════════════╝
+ *
+ * Estrutura (version 1):
+ *   {
+ *     format: "tech-wishlist-board",
+ *     version: 1,
+ *     exportedAt: "2026-10-19T12:00:00.000Z",
+ *     board: { name, priority_scale },
+ *     techs: [{ id, name, priority, status, categories, target_date, progress,
+ *               study_sessions, checklist, checklist_progress, notes, links,
+ *               prerequisites, created_at }],
+ *     layout: { positions, sizes, formPos, formSize, logoPos, viewState }
+ *   }
+ */
+import { sanitizeMap, sanitizePoint, sanitizeSize, sanitizeView } from "./layoutStore";
+import { normalizeUrl } from "./resources";
+import { isISODate } from "./dueDates";
+import { STATUSES } from "../data/statuses";
+import { CATEGORIES } from "../data/categories";
+import { MAX_PRIORITY_LEVELS, isValidPriorityScale } from "../data/priorities";
+
+export const EXPORT_FORMAT = "tech-wishlist-board";
+export const EXPORT_VERSION = 1;
+
+/**
+ * Conversões de versões antigas: MIGRATIONS[n] recebe um documento
+ * da versão n e devolve um da versão n + 1.
+ */
+const MIGRATIONS = {};
+
+// Campos de cada tecnologia que vão para o arquivo
+const TECH_FIELDS = [
+    "id",
+    "name",
+    "priority",
+    "status",
+    "categories",
+    "target_date",
+    "progress",
+    "study_sessions",
+    "checklist",
+    "checklist_progress",
+    "notes",
+    "links",
+    "prerequisites",
+    "created_at",
+];
+
+/**
+ * Monta o documento de exportação de um board.
+ * Só entram as tecnologias ativas (a lixeira fica de fora) e o
+ * layout DELAS — posições de cards removidos não vão para o arquivo.
+ */
+export function buildBoardExport({ boardName, priorityScale, techs, layout }) {
+    const ids = new Set(techs.map((tech) => String(tech.id)));
+    const onlyExported = (map) =>
+        Object.fromEntries(Object.entries(map).filter(([id]) => ids.has(id)));
+
+    return {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        board: { name: boardName, priority_scale: priorityScale },
+        techs: techs.map((tech) =>
+            Object.fromEntries(TECH_FIELDS.map((field) => [field, tech[field]]))
+        ),
+        layout: {
+            ...layout,
+            positions: onlyExported(layout.positions),
+            sizes: onlyExported(layout.sizes),
+        },
+    };
+}
+
+// ═══════════════════════════════════════════════════════
+// Validação
+// ═══════════════════════════════════════════════════════
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+/** Sessão de estudo bem formada? (as inválidas são descartadas, sem erro) */
+function isValidSession(session) {
+    return (
+        typeof session?.id === "string" &&
+        typeof session.date === "string" &&
+        /^\d{4}-\d{2}-\d{2}$/.test(session.date) &&
+        Number.isInteger(session.minutes) &&
+        session.minutes > 0 &&
+        (session.note === undefined || typeof session.note === "string")
+    );
+}
+
+/**
+ * Link de estudo bem formado? Só http(s): o link vira <a href> na tela,
+ * então um "javascript:..." vindo de um arquivo é descartado.
+ */
+function isValidLink(link) {
+    return (
+        typeof link?.id === "string" &&
+        typeof link.title === "string" &&
+        typeof link.url === "string" &&
+        normalizeUrl(link.url) === link.url
+    );
+}
+
+/** Item de checklist bem formado? (os inválidos são descartados) */
+function isValidChecklistItem(item) {
+    return (
+        typeof item?.id === "string" &&
+        typeof item.text === "string" &&
+        item.text.trim() !== "" &&
+        typeof item.done === "boolean"
+    );
+}
+
+function validateTech(tech, index) {
+    const position = `Tecnologia #${index + 1}`;
+    if (!tech || typeof tech !== "object") throw new Error(`${position} está em formato inválido.`);
+    if (typeof tech.id !== "string" && !isNumber(tech.id)) throw new Error(`${position} não tem id.`);
+    if (typeof tech.name !== "string" || !tech.name.trim()) throw new Error(`${position} não tem nome.`);
+    // O limite exato depende da escala do arquivo — o App converte para a do board
+    if (!Number.isInteger(tech.priority) || tech.priority < 1 || tech.priority > MAX_PRIORITY_LEVELS) {
+        throw new Error(`"${tech.name}" tem uma prioridade inválida.`);
+    }
+
+    // status é opcional: arquivos de antes dele existir importam como "wishlist"
+    if (tech.status !== undefined && !STATUSES.includes(tech.status)) {
+        throw new Error(`"${tech.name}" tem um status inválido.`);
+    }
+
+    const valid = { id: String(tech.id), name: tech.name.trim(), priority: tech.priority };
+    if (tech.status !== undefined) valid.status = tech.status;
+    // Sem categorias no arquivo = derivar do catálogo (como linhas antigas)
+    if (Array.isArray(tech.categories)) {
+        valid.categories = tech.categories.filter((category) => CATEGORIES.includes(category));
+    }
+    if (isISODate(tech.target_date)) valid.target_date = tech.target_date;
+    if (Number.isInteger(tech.progress) && tech.progress >= 0 && tech.progress <= 100) {
+        valid.progress = tech.progress;
+    }
+    if (Array.isArray(tech.study_sessions)) {
+        valid.study_sessions = tech.study_sessions.filter(isValidSession);
+    }
+    if (Array.isArray(tech.checklist)) valid.checklist = tech.checklist.filter(isValidChecklistItem);
+    if (typeof tech.checklist_progress === "boolean") valid.checklist_progress = tech.checklist_progress;
+    if (typeof tech.notes === "string") valid.notes = tech.notes;
+    if (Array.isArray(tech.links)) valid.links = tech.links.filter(isValidLink);
+    // Ids do PRÓPRIO arquivo — o App troca pelos ids novos depois de inserir
+    if (Array.isArray(tech.prerequisites)) {
+        valid.prerequisites = tech.prerequisites
+            .filter((id) => typeof id === "string" || isNumber(id))
+            .map(String);
+    }
+    // Mantém a data original (se houver) para o histórico não "rejuvenescer"
+    if (typeof tech.created_at === "string") valid.created_at = tech.created_at;
+    return valid;
+}
+
+/**
+ * Lê e valida o texto de um arquivo exportado.
+ * Lança Error com uma mensagem amigável se algo estiver errado.
+ *
+ * @returns {{ board: { name: string, priority_scale: Object|null }, techs: Array, layout: Object }}
+ */
+export function parseBoardExport(text) {
+    let doc;
+    try {
+        doc = JSON.parse(text);
+    } catch {
+        throw new Error("O arquivo não é um JSON válido.");
+    }
+
+    if (!doc || doc.format !== EXPORT_FORMAT) {
+        throw new Error("Este arquivo não é um export do Tech Wishlist.");
+    }
+    if (!Number.isInteger(doc.version) || doc.version < 1 || doc.version > EXPORT_VERSION) {
+        throw new Error(`Versão de arquivo não suportada (${doc.version}). Atualize o app.`);
+    }
+
+    // Atualiza documentos antigos, uma versão por vez
+    for (let v = doc.version; v < EXPORT_VERSION; v++) {
+        doc = MIGRATIONS[v](doc);
+    }
+
+    if (!Array.isArray(doc.techs)) throw new Error("O arquivo não contém a lista de tecnologias.");
+    const techs = doc.techs.map(validateTech);
+
+    const ids = new Set(techs.map((t) => t.id));
+    if (ids.size !== techs.length) throw new Error("O arquivo tem tecnologias com ids repetidos.");
+
+    const layout = doc.layout && typeof doc.layout === "object" ? doc.layout : {};
+
+    return {
+        board: {
+            name: typeof doc.board?.name === "string" ? doc.board.name : "",
+            // Arquivos sem escala (ou com uma inválida) usam a padrão ao importar
+            priority_scale: isValidPriorityScale(doc.board?.priority_scale) ? doc.board.priority_scale : null,
+        },
+        techs,
+        layout: {
+            positions: sanitizeMap(layout.positions, sanitizePoint),
+            sizes: sanitizeMap(layout.sizes, sanitizeSize),
+            formPos: sanitizePoint(layout.formPos),
+            formSize: sanitizeSize(layout.formSize),
+            logoPos: sanitizePoint(layout.logoPos),
+            viewState: sanitizeView(layout.viewState),
+        },
+    };
+}
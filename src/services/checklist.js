@@ -0,0 +1,48 @@
+/**
+ * checklist — Sub-metas de uma tecnologia ("Aprender Docker" → imagens,
+ * compose, volumes, multi-stage builds...).
+ *
+ * Cada tecnologia guarda:
+ *   checklist:          [{ id, text, done }] — a ORDEM do array é a ordem das etapas
+ *   checklist_progress: true → o progresso do card vem do checklist
+ *                       (itens concluídos / total), em vez da barra manual
+ */
+import { generateLocalId } from "./localTechStore";
+
+/** Itens de uma linha (lista vazia para linhas antigas) */
+export function techChecklist(tech) {
+    return Array.isArray(tech.checklist) ? tech.checklist : [];
+}
+
+/** O progresso desta tecnologia é calculado pelo checklist? */
+export function isProgressFromChecklist(tech) {
+    return tech.checklist_progress === true && techChecklist(tech).length > 0;
+}
+
+export function createChecklistItem(text) {
+    return {
+        id: generateLocalId().replace(/^local-/, "item-"),
+        text: text.trim(),
+        done: false,
+    };
+}
+
+/** { done: 3, total: 12 } */
+export function checklistCounts(items) {
+    return { done: items.filter((item) => item.done).length, total: items.length };
+}
+
+/** Porcentagem concluída (0 para lista vazia) */
+export function checklistPercent(items) {
+    const { done, total } = checklistCounts(items);
+    return total === 0 ? 0 : Math.round((done / total) * 100);
+}
+
+/** Move o item `index` uma posição para cima (-1) ou para baixo (+1) */
+export function moveItem(items, index, direction) {
+    const target = index + direction;
+    if (target < 0 || target >= items.length) return items;
+    const next = [...items];
+    [next[index], next[target]] = [next[target], next[index]];
+    return next;
+}
@@ -0,0 +1,40 @@
+/**
+ * download — Salva um conteúdo gerado no navegador como arquivo.
+ *
+ * 🎓 MENTORIA — Blob + Object URL
+ * Não há servidor gerando o arquivo: criamos um Blob em memória,
+ * pedimos ao navegador uma URL temporária para ele e "clicamos"
+ * num link invisível com o atributo download.
+ */
+
+export function downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Libera a memória depois que o download começou
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/** Transforma um nome em algo seguro para nome de arquivo ("Meu Board!" → "meu-board") */
+export function slugify(text) {
+    return (
+        text
+            .normalize("NFD")
+            .replace(/[\u0300-\u036f]/g, "") // remove acentos
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, "-")
+            .replace(/^-+|-+$/g, "") || "board"
+    );
+}
+
+/** Data de hoje no formato AAAA-MM-DD (para nomes de arquivo) */
+export function todayStamp() {
+    return new Date().toISOString().slice(0, 10);
+}
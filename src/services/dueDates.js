@@ -0,0 +1,135 @@
+/**
+ * dueDates — Data-alvo (meta) de uma tecnologia e o calendário do mês.
+ *
+ * target_date: "2026-12-31" (ou null = sem meta)
+ *
+ * ╔══════════════════════════════════════════════════════════════════╗
+ * ║  🎓 MENTORIA — DATAS SEM FUSO HORÁRIO                          ║
+ * ║                                                                ║
+ * ║  new Date("2026-12-31") é meia-noite em UTC — no Brasil isso   ║
+ * ║  ainda é dia 30! Uma meta é um DIA, não um instante. Por isso  ║
+ * ║  as datas ficam como texto "AAAA-MM-DD" (que se compara com    ║
+ * ║  localeCompare) e as contas de dias usam Date.UTC, que não     ║
+ * ║  sofre com fuso nem horário de verão.                          ║
+ * ╚══════════════════════════════════════════════════════════════════╝
+ */
+import { techStatus } from "../data/statuses";
+import { todayISODate } from "./progress";
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Metas a até N dias contam como "chegando" */
+export const UPCOMING_DAYS = 7;
+
+export function isISODate(value) {
+    return typeof value === "string" && ISO_DATE.test(value);
+}
+
+/** Data-alvo de uma linha (null para linhas sem meta ou antigas) */
+export function techTargetDate(tech) {
+    return isISODate(tech.target_date) ? tech.target_date : null;
+}
+
+function dayNumber(date) {
+    const [year, month, day] = date.split("-").map(Number);
+    return Date.UTC(year, month - 1, day) / DAY_MS;
+}
+
+/** Dias de `from` até `to` (negativo = `to` já passou) */
+export function daysBetween(from, to) {
+    return dayNumber(to) - dayNumber(from);
+}
+
+/**
+ * Situação da meta:
+ *   "overdue"   → passou da data e ainda não foi aprendida
+ *   "upcoming"  → vence nos próximos UPCOMING_DAYS dias (ou hoje)
+ *   "scheduled" → tem data, mas ainda está longe
+ *   null        → sem data, ou já encerrada (aprendida / abandonada)
+ */
+export function dueState(tech, today = todayISODate()) {
+    const target = techTargetDate(tech);
+    if (!target) return null;
+
+    const status = techStatus(tech);
+    if (status === "learned" || status === "dropped") return null;
+
+    const days = daysBetween(today, target);
+    if (days < 0) return "overdue";
+    return days <= UPCOMING_DAYS ? "upcoming" : "scheduled";
+}
+
+/** Texto curto do selo: "Atrasada há 3 dias", "Vence hoje", "Em 5 dias", "Até 31/12" */
+export function dueLabel(tech, today = todayISODate()) {
+    const target = techTargetDate(tech);
+    if (!target) return "";
+
+    const days = daysBetween(today, target);
+    const state = dueState(tech, today);
+    if (state === "overdue") return days === -1 ? "Atrasada há 1 dia" : `Atrasada há ${-days} dias`;
+    if (state === "upcoming") {
+        if (days === 0) return "Vence hoje";
+        return days === 1 ? "Vence amanhã" : `Em ${days} dias`;
+    }
+    const [, month, day] = target.split("-");
+    return `Até ${day}/${month}`;
+}
+
+/**
+ * Ordem "por data-alvo": metas mais próximas primeiro; sem data vão
+ * para o fim. Empates seguem a prioridade (maior primeiro).
+ */
+export function compareByDueDate(a, b) {
+    const dateA = techTargetDate(a);
+    const dateB = techTargetDate(b);
+    if (dateA && dateB && dateA !== dateB) return dateA.localeCompare(dateB);
+    if (dateA && !dateB) return -1;
+    if (!dateA && dateB) return 1;
+    return b.priority - a.priority;
+}
+
+// ═══════════════════════════════════════════════════════
+// Calendário do mês
+// ═══════════════════════════════════════════════════════
+
+export const WEEKDAY_LABELS = ["Dom", "Seg", "Ter", "Qua", "Qui", "Sex", "Sáb"];
+
+const pad = (n) => String(n).padStart(2, "0");
+
+/** { year, month } (month de 0 a 11, como no Date) */
+export function monthOf(date) {
+    const [year, month] = date.split("-").map(Number);
+    return { year, month: month - 1 };
+}
+
+export function shiftMonth({ year, month }, delta) {
+    const index = year * 12 + month + delta;
+    return { year: Math.floor(index / 12), month: ((index % 12) + 12) % 12 };
+}
+
+/** "outubro de 2026" */
+export function formatMonth({ year, month }) {
+    return new Date(year, month, 1).toLocaleDateString("pt-BR", { month: "long", year: "numeric" });
+}
+
+/**
+ * Semanas do mês (domingo a sábado), completando com os dias dos
+ * meses vizinhos: [[{ date: "2026-09-27", inMonth: false }, ...], ...]
+ */
+export function monthGrid({ year, month }) {
+    const first = new Date(Date.UTC(year, month, 1));
+    const start = Date.UTC(year, month, 1 - first.getUTCDay());
+    const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    const weekCount = Math.ceil((first.getUTCDay() + daysInMonth) / 7);
+
+    return Array.from({ length: weekCount }, (_, week) =>
+        Array.from({ length: 7 }, (_, weekday) => {
+            const day = new Date(start + (week * 7 + weekday) * DAY_MS);
+            return {
+                date: `${day.getUTCFullYear()}-${pad(day.getUTCMonth() + 1)}-${pad(day.getUTCDate())}`,
+                inMonth: day.getUTCMonth() === month,
+            };
+        })
+    );
+}
@@ -0,0 +1,207 @@
+/**
+ * duplicates — Tecnologias repetidas no mesmo board.
+ *
+ * "react", "React" e "ReactJS" são a MESMA tecnologia: todas viram a
+ * chave do nome oficial do catálogo (ver getCanonicalName). Nomes fora
+ * do catálogo comparam pelo próprio texto normalizado ("Minha Lib" e
+ * "minha-lib" também são repetidas).
+ *
+ * ╔══════════════════════════════════════════════════════════════════╗
+ * ║  🎓 MENTORIA — MESCLAR SEM PERDER NADA                         ║
+ * ║                                                                ║
+ * ║  Mesclar um grupo = escolher UM card para ficar e trazer para  ║
+ * ║  ele o que os outros tinham: sessões de estudo, notas, links,  ║
+ * ║  itens do checklist, categorias, pré-requisitos... Os outros   ║
+ * ║  vão para a LIXEIRA (não são apagados) e quem dependia deles   ║
+ * ║  passa a depender do card que ficou.                           ║
+ * ╚══════════════════════════════════════════════════════════════════╝
+ */
+import { getCanonicalName, normalizeTechKey } from "../data/techIcons";
+import { techStatus } from "../data/statuses";
+import { techCategories } from "../data/categories";
+import { techSessions } from "./progress";
+import { techNotes, techLinks } from "./resources";
+import { techChecklist } from "./checklist";
+import { techTargetDate } from "./dueDates";
+import { techPrerequisites, wouldCreateCycle } from "./prerequisites";
+
+/** Nome a gravar: o do catálogo, se houver; senão o digitado (aparado) */
+export function canonicalTechName(name) {
+    return getCanonicalName(name) ?? name.trim();
+}
+
+/** Chave de comparação ("ReactJS" e "react" → a mesma) */
+export function techKey(name) {
+    return normalizeTechKey(canonicalTechName(name));
+}
+
+/** A tecnologia do board com o mesmo nome (ou null) */
+export function findDuplicate(techs, name) {
+    const key = techKey(name);
+    return techs.find((tech) => techKey(tech.name) === key) ?? null;
+}
+
+/**
+ * Sugestão de qual card manter: o que já tem o nome oficial e,
+ * no empate, o mais antigo (é o que tem mais história).
+ */
+function keeperFirst(a, b) {
+    const canonical = (tech) => (tech.name === canonicalTechName(tech.name) ? 0 : 1);
+    return canonical(a) - canonical(b) || (a.created_at ?? "").localeCompare(b.created_at ?? "");
+}
+
+/** Grupos de repetidas: [[manter, repetida, ...], ...] (só grupos com 2+) */
+export function findDuplicateGroups(techs) {
+    const groups = new Map();
+    techs.forEach((tech) => {
+        const key = techKey(tech.name);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(tech);
+    });
+    return [...groups.values()]
+        .filter((group) => group.length > 1)
+        .map((group) => [...group].sort(keeperFirst));
+}
+
+// "Mais avançado" vence; abandonada só se TODAS foram abandonadas
+const STATUS_RANK = { dropped: 0, wishlist: 1, learning: 2, learned: 3 };
+
+/** Itens únicos por uma chave, na ordem em que aparecem */
+function uniqueBy(items, keyOf) {
+    const seen = new Set();
+    return items.filter((item) => {
+        const key = keyOf(item);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+/** Itens com o mesmo texto viram um só — concluído se algum estava concluído */
+function mergeChecklists(items) {
+    const textKey = (item) => item.text.trim().toLowerCase();
+    const done = new Set(items.filter((item) => item.done).map(textKey));
+    return uniqueBy(items, textKey).map((item) => ({ ...item, done: done.has(textKey(item)) }));
+}
+
+/**
+ * Campos do card que fica depois da mesclagem (para o updateTech).
+ *
+ * @param {Object} keeper - Card que fica
+ * @param {Array} others - Repetidas que vão para a lixeira
+ */
+function mergeFields(keeper, others) {
+    const group = [keeper, ...others];
+    const groupIds = new Set(group.map((tech) => String(tech.id)));
+
+    const status = group
+        .map(techStatus)
+        .reduce((best, current) => (STATUS_RANK[current] > STATUS_RANK[best] ? current : best));
+
+    const dates = group.map(techTargetDate).filter(Boolean).sort();
+
+    const notes = uniqueBy(
+        group.map((tech) => techNotes(tech).trim()).filter(Boolean),
+        (text) => text
+    );
+
+    // Categorias: só grava se alguma foi escolhida à mão (null = derivar do catálogo)
+    const explicitCategories = group.some((tech) => Array.isArray(tech.categories));
+
+    return {
+        name: canonicalTechName(keeper.name),
+        priority: Math.max(...group.map((tech) => tech.priority)),
+        status,
+        progress: Math.max(...group.map((tech) => Number(tech.progress) || 0)),
+        study_sessions: uniqueBy(group.flatMap(techSessions), (session) => session.id),
+        notes: notes.join("\n\n---\n\n"),
+        links: uniqueBy(group.flatMap(techLinks), (link) => link.url),
+        checklist: mergeChecklists(group.flatMap(techChecklist)),
+        checklist_progress: group.some((tech) => tech.checklist_progress === true),
+        categories: explicitCategories ? [...new Set(group.flatMap(techCategories))] : null,
+        target_date: dates[0] ?? null,
+        // Um card do grupo não pode ser pré-requisito do card que fica
+        prerequisites: [...new Set(group.flatMap(techPrerequisites))].filter((id) => !groupIds.has(id)),
+    };
+}
+
+/**
+ * Quem tinha uma repetida como pré-requisito passa a ter o card que
+ * ficou. Retorna [{ id, prerequisites }] só de quem muda.
+ */
+function redirectPrerequisites(techs, removedIds, keeperId) {
+    const removed = new Set(removedIds.map(String));
+    const keeper = String(keeperId);
+
+    return techs
+        .filter((tech) => !removed.has(String(tech.id)) && String(tech.id) !== keeper)
+        .filter((tech) => techPrerequisites(tech).some((id) => removed.has(id)))
+        .map((tech) => ({
+            id: tech.id,
+            prerequisites: [
+                ...new Set(techPrerequisites(tech).map((id) => (removed.has(id) ? keeper : id))),
+            ],
+        }));
+}
+
+/**
+ * Mescla UM grupo sem criar ciclos na trilha.
+ *
+ * Juntar cards junta também as ligações: se B exige C e C exige A,
+ * mesclar B em A cria o ciclo A → C → A. Por isso as ligações do card
+ * que fica e as redirecionadas entram UMA A UMA, e a que fecharia um
+ * ciclo (wouldCreateCycle) é descartada e informada.
+ *
+ * @param {Array} techs - Tecnologias ativas do board (antes da mesclagem)
+ * @returns {{ fields: Object, redirects: Array, dropped: Array<{ techId, prerequisiteId }> }}
+ */
+export function mergeGroup(techs, keeper, others) {
+    const fields = mergeFields(keeper, others);
+    const keeperId = String(keeper.id);
+    const otherIds = others.map((tech) => tech.id);
+    const removed = new Set(otherIds.map(String));
+    const redirected = redirectPrerequisites(techs, otherIds, keeper.id);
+
+    // Grafo de trabalho: sem as repetidas e sem as ligações que vão entrar
+    const graph = new Map(
+        techs
+            .filter((tech) => !removed.has(String(tech.id)))
+            .map((tech) => [
+                String(tech.id),
+                {
+                    ...tech,
+                    prerequisites:
+                        String(tech.id) === keeperId
+                            ? []
+                            : techPrerequisites(tech).filter((id) => !removed.has(id)),
+                },
+            ])
+    );
+
+    const dropped = [];
+    const link = (techId, prerequisiteId) => {
+        const tech = graph.get(techId);
+        if (techPrerequisites(tech).includes(prerequisiteId)) return;
+        if (wouldCreateCycle([...graph.values()], techId, prerequisiteId)) {
+            dropped.push({ techId, prerequisiteId });
+            return;
+        }
+        graph.set(techId, { ...tech, prerequisites: [...techPrerequisites(tech), prerequisiteId] });
+    };
+
+    // Primeiro as ligações que o card que fica já tinha (elas nunca formam ciclo sozinhas)
+    const own = new Set(techPrerequisites(keeper));
+    [...fields.prerequisites]
+        .sort((a, b) => Number(own.has(b)) - Number(own.has(a)))
+        .forEach((id) => link(keeperId, id));
+    redirected.forEach(({ id }) => link(String(id), keeperId));
+
+    return {
+        fields: { ...fields, prerequisites: techPrerequisites(graph.get(keeperId)) },
+        redirects: redirected.map(({ id }) => ({
+            id,
+            prerequisites: techPrerequisites(graph.get(String(id))),
+        })),
+        dropped,
+    };
+}
@@ -0,0 +1,349 @@
+/**
+ * layoutStore — Persistência do layout de um board no localStorage.
+ *
+ * ╔══════════════════════════════════════════════════════════════════╗
+ * ║  🎓 MENTORIA — UM DOCUMENTO, UMA VERSÃO                        ║
+ * ║                                                                ║
+ * ║  Antes eram seis chaves soltas (posições, tamanhos, widgets,   ║
+ * ║  câmera), cada uma gravada a cada movimento do mouse e lida    ║
+ * ║  com JSON.parse sem proteção: um valor corrompido quebrava o   ║
+ * ║  app inteiro. Agora o layout de um board é UM documento:       ║
+ * ║                                                                ║
+ * ║    tech_layout:<boardId> → { version, positions, sizes, ... }  ║
+ * ║                                                                ║
+ * ║  - version + MIGRATIONS: formatos antigos são convertidos      ║
+ * ║  - Leitura tolerante: seção inválida volta ao valor padrão     ║
+ * ║  - Escrita "debounced": várias mudanças → uma gravação só      ║
+ * ╚══════════════════════════════════════════════════════════════════╝
+ */
+import { CATEGORIES, FILTER_MODES, DEFAULT_CATEGORY_FILTER } from "../data/categories";
+
+export const LAYOUT_VERSION = 1;
+
+const STORAGE_PREFIX = "tech_layout";
+
+// Espera sem mudanças antes de gravar (um arraste gera dezenas de updates)
+const SAVE_DELAY_MS = 300;
+
+/**
+ * Formato antigo (versão 0): uma chave por seção.
+ * Sem sufixo = antes dos boards; com ":<boardId>" = um board.
+ */
+const LEGACY_KEYS = {
+    positions: "tech_layout_positions",
+    sizes: "tech_layout_sizes",
+    formPos: "tech_layout_form_pos",
+    formSize: "tech_layout_form_size",
+    logoPos: "tech_layout_logo_pos",
+    viewState: "tech_layout_view",
+};
+
+/** Layout de um board que ainda não foi salvo */
+export function defaultLayout() {
+    return {
+        positions: {}, // Nenhum card posicionado (o grid decide)
+        sizes: {},
+        formPos: { x: 20, y: 140 }, // Canto superior esquerdo
+        formSize: { w: 360, h: "auto" },
+        logoPos: { x: 400, y: 20 },
+        viewState: { x: 0, y: 0, scale: 1 },
+    };
+}
+
+/**
+ * Conversões de versões antigas: MIGRATIONS[n] recebe um documento
+ * da versão n e devolve um da versão n + 1.
+ */
+const MIGRATIONS = {
+    // v0 → v1: as seções já foram lidas das chaves soltas; só muda a versão
+    0: (doc) => ({ ...doc, version: 1 }),
+};
+
+function storageKey(boardId) {
+    return `${STORAGE_PREFIX}:${boardId}`;
+}
+
+// ═══════════════════════════════════════════════════════
+// Validação
+// ═══════════════════════════════════════════════════════
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+export function sanitizePoint(value) {
+    return value && isNumber(value.x) && isNumber(value.y) ? { x: value.x, y: value.y } : undefined;
+}
+
+export function sanitizeSize(value) {
+    const validH = isNumber(value?.h) || value?.h === "auto";
+    return value && isNumber(value.w) && validH ? { w: value.w, h: value.h } : undefined;
+}
+
+export function sanitizeView(value) {
+    return value && isNumber(value.x) && isNumber(value.y) && isNumber(value.scale) && value.scale > 0
+        ? { x: value.x, y: value.y, scale: value.scale }
+        : undefined;
+}
+
+/** Mantém só as entradas válidas de um mapa { [id]: valor } */
+export function sanitizeMap(map, sanitize) {
+    if (!map || typeof map !== "object") return {};
+    return Object.fromEntries(
+        Object.entries(map)
+            .map(([key, value]) => [key, sanitize(value)])
+            .filter(([, value]) => value !== undefined)
+    );
+}
+
+// Math.max(0, ...) garante que nada fique em coordenadas negativas
+function clampPoint(point) {
+    return point && { x: Math.max(0, point.x), y: Math.max(0, point.y) };
+}
+
+/** Seção a seção: o que for inválido volta ao valor padrão */
+function sanitizeLayout(doc) {
+    const defaults = defaultLayout();
+    return {
+        positions: sanitizeMap(doc.positions, (value) => clampPoint(sanitizePoint(value))),
+        sizes: sanitizeMap(doc.sizes, sanitizeSize),
+        formPos: clampPoint(sanitizePoint(doc.formPos)) ?? defaults.formPos,
+        formSize: sanitizeSize(doc.formSize) ?? defaults.formSize,
+        logoPos: clampPoint(sanitizePoint(doc.logoPos)) ?? defaults.logoPos,
+        viewState: sanitizeView(doc.viewState) ?? defaults.viewState,
+    };
+}
+
+// ═══════════════════════════════════════════════════════
+// Leitura
+// ═══════════════════════════════════════════════════════
+
+/**
+ * JSON.parse protegido. Um valor corrompido não derruba o app:
+ * guardamos uma cópia em "<chave>:corrupt" (para recuperação manual)
+ * e seguimos como se a chave não existisse.
+ */
+// Sufixo da cópia de um valor corrompido
+const CORRUPT_SUFFIX = ":corrupt";
+
+function readJson(key) {
+    const raw = localStorage.getItem(key);
+    if (raw === null) return null;
+    try {
+        return JSON.parse(raw);
+    } catch {
+        console.warn(`Layout corrompido em "${key}" — usando o padrão.`);
+        localStorage.setItem(`${key}${CORRUPT_SUFFIX}`, raw);
+        localStorage.removeItem(key);
+        return null;
+    }
+}
+
+/** Lê as chaves soltas da versão 0 (null se nenhuma existir) */
+function readLegacyDoc(suffix) {
+    let found = false;
+    const doc = { version: 0 };
+
+    Object.entries(LEGACY_KEYS).forEach(([section, name]) => {
+        const key = suffix ? `${name}:${suffix}` : name;
+        if (localStorage.getItem(key) === null) return;
+        found = true;
+        doc[section] = readJson(key);
+    });
+
+    return found ? doc : null;
+}
+
+function removeLegacyKeys(suffix) {
+    Object.values(LEGACY_KEYS).forEach((name) => {
+        localStorage.removeItem(suffix ? `${name}:${suffix}` : name);
+    });
+}
+
+/** Atualiza documentos antigos, uma versão por vez */
+function migrate(doc) {
+    let current = doc;
+    let version = Number.isInteger(current.version) ? current.version : 0;
+
+    while (version < LAYOUT_VERSION) {
+        current = MIGRATIONS[version](current);
+        version = current.version;
+    }
+    // Versão MAIOR que a nossa (app desatualizado em outra aba):
+    // a validação aproveita o que reconhecer
+    return current;
+}
+
+/**
+ * Carrega o layout de um board. Nunca lança erro: no pior caso,
+ * devolve o layout padrão.
+ */
+export function loadLayout(boardId) {
+    let doc = readJson(storageKey(boardId));
+    const fromLegacy = !doc && readLegacyDoc(boardId);
+    if (fromLegacy) doc = fromLegacy;
+
+    if (!doc || typeof doc !== "object") return defaultLayout();
+
+    const layout = sanitizeLayout(migrate(doc));
+
+    // Migração concluída: grava no formato novo ANTES de apagar o antigo
+    if (fromLegacy && writeLayout(boardId, layout)) removeLegacyKeys(boardId);
+    return layout;
+}
+
+// ═══════════════════════════════════════════════════════
+// Escrita
+// ═══════════════════════════════════════════════════════
+
+/** Grava na hora. Retorna false se o navegador recusou (cota cheia, modo privado...) */
+function writeLayout(boardId, layout) {
+    try {
+        localStorage.setItem(storageKey(boardId), JSON.stringify({ version: LAYOUT_VERSION, ...layout }));
+        return true;
+    } catch (err) {
+        console.warn("Não foi possível salvar o layout:", err);
+        return false;
+    }
+}
+
+// boardId → { layout, timer } das gravações agendadas
+const pendingSaves = new Map();
+
+/**
+ * 🎓 MENTORIA — Debounce
+ * Cada chamada cancela a gravação agendada e agenda outra. Só a
+ * ÚLTIMA versão do layout é gravada, SAVE_DELAY_MS depois da última
+ * mudança — arrastar um card vira uma escrita, não cinquenta.
+ */
+export function saveLayout(boardId, layout) {
+    const pending = pendingSaves.get(boardId);
+    if (pending) clearTimeout(pending.timer);
+
+    const timer = setTimeout(() => flushLayout(boardId), SAVE_DELAY_MS);
+    pendingSaves.set(boardId, { layout, timer });
+}
+
+/** Grava agora o que estiver agendado (troca de board, fechar a aba) */
+export function flushLayout(boardId) {
+    const pending = pendingSaves.get(boardId);
+    if (!pending) return;
+
+    clearTimeout(pending.timer);
+    pendingSaves.delete(boardId);
+    writeLayout(boardId, pending.layout);
+}
+
+// Fechar/recarregar a aba no meio do debounce não pode perder o layout
+if (typeof window !== "undefined") {
+    window.addEventListener("pagehide", () => {
+        [...pendingSaves.keys()].forEach(flushLayout);
+    });
+}
+
+// ═══════════════════════════════════════════════════════
+// Modo de visualização (canvas / kanban / calendário)
+// ═══════════════════════════════════════════════════════
+
+export const VIEW_MODES = ["canvas", "kanban", "calendar"];
+
+const VIEW_MODE_PREFIX = "tech_view_mode";
+
+/** Visão escolhida por último neste board (canvas por padrão) */
+export function loadViewMode(boardId) {
+    const saved = localStorage.getItem(`${VIEW_MODE_PREFIX}:${boardId}`);
+    return VIEW_MODES.includes(saved) ? saved : "canvas";
+}
+
+export function saveViewMode(boardId, mode) {
+    localStorage.setItem(`${VIEW_MODE_PREFIX}:${boardId}`, mode);
+}
+
+// ═══════════════════════════════════════════════════════
+// Ordenação das listas (Kanban)
+// ═══════════════════════════════════════════════════════
+
+/** "priority" = maior prioridade primeiro · "due" = data-alvo mais próxima primeiro */
+export const SORT_MODES = ["priority", "due"];
+
+const SORT_MODE_PREFIX = "tech_sort_mode";
+
+export function loadSortMode(boardId) {
+    const saved = localStorage.getItem(`${SORT_MODE_PREFIX}:${boardId}`);
+    return SORT_MODES.includes(saved) ? saved : "priority";
+}
+
+export function saveSortMode(boardId, mode) {
+    localStorage.setItem(`${SORT_MODE_PREFIX}:${boardId}`, mode);
+}
+
+// ═══════════════════════════════════════════════════════
+// Filtro por categoria
+// ═══════════════════════════════════════════════════════
+
+const CATEGORY_FILTER_PREFIX = "tech_category_filter";
+
+/** Filtro salvo deste board; categorias desconhecidas são descartadas */
+export function loadCategoryFilter(boardId) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(`${CATEGORY_FILTER_PREFIX}:${boardId}`));
+        return {
+            selected: Array.isArray(saved?.selected)
+                ? saved.selected.filter((category) => CATEGORIES.includes(category))
+                : [],
+            mode: FILTER_MODES.includes(saved?.mode) ? saved.mode : DEFAULT_CATEGORY_FILTER.mode,
+        };
+    } catch {
+        return DEFAULT_CATEGORY_FILTER;
+    }
+}
+
+export function saveCategoryFilter(boardId, filter) {
+    localStorage.setItem(`${CATEGORY_FILTER_PREFIX}:${boardId}`, JSON.stringify(filter));
+}
+
+// ═══════════════════════════════════════════════════════
+// Manutenção
+// ═══════════════════════════════════════════════════════
+
+/**
+ * Remove de um mapa { [techId]: valor } as entradas de tecnologias
+ * que não existem mais. Devolve o MESMO objeto se nada mudou
+ * (assim o setState não provoca um render à toa).
+ */
+export function pruneEntries(map, validIds) {
+    const stale = Object.keys(map).filter((id) => !validIds.has(id));
+    if (stale.length === 0) return map;
+
+    const pruned = { ...map };
+    stale.forEach((id) => delete pruned[id]);
+    return pruned;
+}
+
+/**
+ * Move o layout "sem board" (legado) para o board indicado.
+ * Chamado uma única vez, quando o primeiro board é criado —
+ * assim quem já usava o app não perde o arranjo dos cards.
+ */
+export function adoptLegacyLayout(boardId) {
+    const legacy = readLegacyDoc(null);
+    if (!legacy) return;
+
+    if (writeLayout(boardId, sanitizeLayout(migrate(legacy)))) removeLegacyKeys(null);
+}
+
+/** Apaga todo o layout salvo de um board (ao excluir o board) */
+export function clearBoardLayout(boardId) {
+    const pending = pendingSaves.get(boardId);
+    if (pending) clearTimeout(pending.timer);
+    pendingSaves.delete(boardId);
+
+    localStorage.removeItem(storageKey(boardId));
+    localStorage.removeItem(`${storageKey(boardId)}${CORRUPT_SUFFIX}`);
+    localStorage.removeItem(`${VIEW_MODE_PREFIX}:${boardId}`);
+    localStorage.removeItem(`${SORT_MODE_PREFIX}:${boardId}`);
+    localStorage.removeItem(`${CATEGORY_FILTER_PREFIX}:${boardId}`);
+    removeLegacyKeys(boardId);
+    // Cópias de chaves antigas corrompidas (readLegacyDoc): sem o board, ninguém as recupera
+    Object.values(LEGACY_KEYS).forEach((name) => {
+        localStorage.removeItem(`${name}:${boardId}${CORRUPT_SUFFIX}`);
+    });
+}
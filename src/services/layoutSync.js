@@ -0,0 +1,77 @@
+/**
+ * layoutSync — Leitura/gravação do layout do canvas no Supabase.
+ *
+ * ╔══════════════════════════════════════════════════════════════════╗
+ * ║  🎓 MENTORIA — LAST-WRITE-WINS POR SEÇÃO                       ║
+ * ║                                                                ║
+ * ║  O layout é dividido em SEÇÕES (posições, tamanhos, widgets,   ║
+ * ║  câmera). Cada seção guarda o valor + quando foi alterada:     ║
+ * ║                                                                ║
+ * ║    { positions: { value: {...}, updatedAt: 1718000000000 } }   ║
+ * ║                                                                ║
+ * ║  Ao juntar o layout deste navegador com o do servidor, cada    ║
+ * ║  seção fica com a versão MAIS RECENTE ("a última escrita       ║
+ * ║  vence"). Assim, mover cards no notebook e dar zoom no desktop ║
+ * ║  não se sobrescrevem: são seções diferentes.                   ║
+ * ╚══════════════════════════════════════════════════════════════════╝
+ */
+import { supabase } from "../supabaseClient";
+
+// Tabela que guarda um documento de layout por chave
+const TABLE = "tech_layouts";
+
+/** Chave usada enquanto não existe conceito de usuário/board */
+export const DEFAULT_LAYOUT_KEY = "default";
+
+/** Seções do layout sincronizadas (mesmos nomes do estado no App.jsx) */
+export const LAYOUT_SECTIONS = [
+    "positions",
+    "sizes",
+    "formPos",
+    "formSize",
+    "logoPos",
+    "viewState",
+];
+
+/**
+ * Busca o documento de layout salvo no servidor.
+ * @returns {Promise<Object>} - { [seção]: { value, updatedAt } } (vazio se não existir)
+ */
+export async function fetchRemoteLayout(layoutKey) {
+    const { data, error } = await supabase
+        .from(TABLE)
+        .select("layout")
+        .eq("layout_key", layoutKey)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data?.layout ?? {};
+}
+
+/** Grava (insert ou update) o documento de layout no servidor */
+export async function saveRemoteLayout(layoutKey, layout) {
+    const { error } = await supabase.from(TABLE).upsert({
+        layout_key: layoutKey,
+        layout,
+        updated_at: new Date().toISOString(),
+    });
+
+    if (error) throw error;
+}
+
+/**
+ * Junta dois documentos de layout, seção por seção, mantendo a
+ * versão com `updatedAt` mais recente (função pura).
+ */
+export function mergeLayouts(local, remote) {
+    const merged = {};
+    LAYOUT_SECTIONS.forEach((section) => {
+        const a = local?.[section];
+        const b = remote?.[section];
+        if (!a) merged[section] = b;
+        else if (!b) merged[section] = a;
+        else merged[section] = b.updatedAt > a.updatedAt ? b : a;
+    });
+    // Remove seções que não existem em nenhum dos lados
+    return Object.fromEntries(Object.entries(merged).filter(([, entry]) => entry));
+}
@@ -0,0 +1,186 @@
+/**
+ * listExport — Exporta a wishlist em formatos "de leitura":
+ *
+ * - Markdown: checklist agrupada por prioridade (para colar em docs/wikis)
+ * - CSV: uma linha por tecnologia (para planilhas)
+ * - Roadmap: página HTML estilizada para impressão (ou "Salvar como PDF")
+ *
+ * Todos usam a MESMA ordem do fetch do Supabase: prioridade, da maior
+ * para a menor, com os rótulos da escala do board. Diferente do JSON
+ * (boardTransfer), estes formatos não são reimportáveis — são para
+ * pessoas, não para o app.
+ */
+import { compareByPriority, clampPriority, priorityLabel } from "../data/priorities";
+import { STATUS_LABELS, techStatus } from "../data/statuses";
+import { CATEGORY_LABELS, techCategories } from "../data/categories";
+import { techProgress, techSessions, totalMinutes } from "./progress";
+import { techTargetDate } from "./dueDates";
+import { techChecklist, checklistCounts } from "./checklist";
+
+/** Mesma ordem do order("priority", { ascending: false }) */
+function sortForExport(techs) {
+    return [...techs].sort(compareByPriority);
+}
+
+/**
+ * Agrupa pelos níveis da escala, do maior para o menor: [[priority, techs], ...]
+ * Valores fora da escala entram no nível mais próximo (ver clampPriority).
+ */
+function groupByPriority(techs, scale) {
+    const groups = new Map();
+    sortForExport(techs).forEach((tech) => {
+        const level = clampPriority(scale, tech.priority);
+        if (!groups.has(level)) groups.set(level, []);
+        groups.get(level).push(tech);
+    });
+    return [...groups.entries()];
+}
+
+function formatDate(iso) {
+    return iso ? new Date(iso).toLocaleDateString("pt-BR") : "";
+}
+
+// ═══════════════════════════════════════════════════════
+// Markdown
+// ═══════════════════════════════════════════════════════
+
+export function toMarkdown(techs, boardName, scale) {
+    const lines = [`# ${boardName}`, ""];
+
+    groupByPriority(techs, scale).forEach(([priority, group]) => {
+        lines.push(`## ${priorityLabel(scale, priority)}`, "");
+        // Aprendidas já saem marcadas; abandonadas, riscadas
+        group.forEach((tech) => {
+            const status = techStatus(tech);
+            const name = status === "dropped" ? `~~${tech.name}~~` : tech.name;
+            lines.push(`- [${status === "learned" ? "x" : " "}] ${name}`);
+        });
+        lines.push("");
+    });
+
+    return lines.join("\n");
+}
+
+// ═══════════════════════════════════════════════════════
+// CSV
+// ═══════════════════════════════════════════════════════
+
+/**
+ * Escapa um campo CSV: se tiver vírgula, aspas ou quebra de linha,
+ * vai entre aspas (e as aspas internas são duplicadas).
+ *
+ * Texto digitado pelo usuário que começa com =, +, -, @ (ou tab/CR)
+ * viraria FÓRMULA ao abrir o arquivo numa planilha ("CSV injection").
+ * Um ' na frente faz a planilha tratá-lo como texto.
+ */
+function csvField(value) {
+    let text = value === undefined || value === null ? "" : String(value);
+    if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** "3/12" (ou vazio, sem checklist) */
+function checklistLabel(tech) {
+    const { done, total } = checklistCounts(techChecklist(tech));
+    return total > 0 ? `${done}/${total}` : "";
+}
+
+export function toCsv(techs, scale) {
+    const header = [
+        "nome",
+        "prioridade",
+        "rotulo_prioridade",
+        "status",
+        "categorias",
+        "data_alvo",
+        "progresso",
+        "checklist",
+        "minutos_estudados",
+        "criado_em",
+    ];
+    const rows = sortForExport(techs).map((tech) => [
+        tech.name,
+        tech.priority,
+        priorityLabel(scale, tech.priority),
+        STATUS_LABELS[techStatus(tech)],
+        techCategories(tech).map((category) => CATEGORY_LABELS[category]).join("; "),
+        techTargetDate(tech) ?? "",
+        techProgress(tech),
+        checklistLabel(tech),
+        totalMinutes(techSessions(tech)),
+        tech.created_at ?? "",
+    ]);
+
+    // BOM (\uFEFF): faz o Excel abrir acentos corretamente
+    return "\uFEFF" + [header, ...rows].map((row) => row.map(csvField).join(",")).join("\r\n");
+}
+
+// ═══════════════════════════════════════════════════════
+// Roadmap para impressão
+// ═══════════════════════════════════════════════════════
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+const ROADMAP_STYLES = `
+    body { font-family: system-ui, sans-serif; color: #111; max-width: 720px; margin: 2rem auto; padding: 0 1rem; }
+    h1 { font-size: 1.75rem; margin-bottom: 0.25rem; }
+    .subtitle { color: #666; margin-top: 0; }
+    h2 { font-size: 1.1rem; border-bottom: 2px solid #8b5cf6; padding-bottom: 0.25rem; margin-top: 2rem; }
+    ol { padding-left: 1.5rem; }
+    li { padding: 0.35rem 0; border-bottom: 1px solid #eee; display: flex; justify-content: space-between; }
+    .date { color: #888; font-size: 0.85rem; }
+    @media print {
+        body { margin: 0; }
+        h2 { break-after: avoid; }
+        li { break-inside: avoid; }
+    }
+`;
+
+export function toRoadmapHtml(techs, boardName, scale) {
+    const sections = groupByPriority(techs, scale)
+        .map(([priority, group]) => {
+            const items = group
+                .map(
+                    (tech) =>
+                        `<li><span>${escapeHtml(tech.name)}</span><span class="date">${formatDate(tech.created_at)}</span></li>`
+                )
+                .join("");
+            const label = priorityLabel(scale, priority);
+            return `<h2>${escapeHtml(label)} (${group.length})</h2><ol>${items}</ol>`;
+        })
+        .join("");
+
+    return `<!doctype html>
+<html lang="pt-BR">
+<head>
+<meta charset="utf-8">
+<title>Roadmap — ${escapeHtml(boardName)}</title>
+<style>${ROADMAP_STYLES}</style>
+</head>
+<body onload="window.print()">
+<h1>Roadmap — ${escapeHtml(boardName)}</h1>
+<p class="subtitle">${techs.length} tecnologias · gerado em ${formatDate(new Date().toISOString())}</p>
+${sections}
+</body>
+</html>`;
+}
+
+/**
+ * Abre o roadmap numa nova aba, que já chama a janela de impressão.
+ * Retorna false se o navegador bloqueou o pop-up.
+ */
+export function openPrintableRoadmap(techs, boardName, scale) {
+    const blob = new Blob([toRoadmapHtml(techs, boardName, scale)], { type: "text/html" });
+    const url = URL.createObjectURL(blob);
+    const printWindow = window.open(url, "_blank");
+
+    // A aba já carregou o conteúdo; a URL pode ser liberada depois
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+    return Boolean(printWindow);
+}
@@ -0,0 +1,47 @@
+/**
+ * localBoardStore — Boards (quadros) salvos no navegador, para o modo Offline.
+ *
+ * Mesma ideia do localTechStore: funções async que imitam o Supabase,
+ * para o useBoards só precisar escolher QUAL backend chamar.
+ */
+import { generateLocalId } from "./localTechStore";
+
+const STORAGE_KEY = "tech_boards_local";
+
+function readBoards() {
+    try {
+        const saved = localStorage.getItem(STORAGE_KEY);
+        const parsed = saved ? JSON.parse(saved) : [];
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (err) {
+        console.error("Boards locais corrompidos, reiniciando:", err);
+        return [];
+    }
+}
+
+function writeBoards(boards) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(boards));
+}
+
+/** Lista os boards na ordem de criação */
+export async function fetchLocalBoards() {
+    return readBoards();
+}
+
+export async function insertLocalBoard(board) {
+    const row = {
+        id: generateLocalId(),
+        created_at: new Date().toISOString(),
+        ...board,
+    };
+    writeBoards([...readBoards(), row]);
+    return row;
+}
+
+export async function updateLocalBoard(id, updates) {
+    writeBoards(readBoards().map((b) => (b.id === id ? { ...b, ...updates } : b)));
+}
+
+export async function deleteLocalBoard(id) {
+    writeBoards(readBoards().filter((b) => b.id !== id));
+}
@@ -0,0 +1,184 @@
+/**
+ * localTechStore — "Banco de dados" local usado no modo Offline.
+ *
+ * ╔══════════════════════════════════════════════════════════════════╗
+ * ║  🎓 MENTORIA — MESMA INTERFACE, OUTRO BACKEND                  ║
+ * ║                                                                ║
+ * ║  Quando o Supabase não está configurado, o useTechs usa este   ║
+ * ║  módulo no lugar do banco remoto. As funções imitam o formato  ║
+ * ║  do Supabase (async, retornam a linha salva), então o hook só  ║
+ * ║  precisa decidir QUAL backend chamar — o resto é igual.        ║
+ * ║                                                                ║
+ * ║  Os dados ficam no localStorage como um array JSON, e cada     ║
+ * ║  linha ganha um id ESTÁVEL (gerado uma única vez). Assim as    ║
+ * ║  posições salvas no layout do board (layoutStore) continuam    ║
+ * ║  apontando para os mesmos cards depois do F5.                  ║
+ * ╚══════════════════════════════════════════════════════════════════╝
+ */
+import { compareByPriority } from "../data/priorities";
+import { isExpired } from "./trash";
+
+// Chave onde a "tabela" local fica salva
+const STORAGE_KEY = "tech_wishlist_local";
+
+/**
+ * Lê todas as linhas salvas.
+ * try/catch: se o JSON estiver corrompido, começamos do zero
+ * em vez de quebrar a aplicação inteira.
+ */
+function readRows() {
+    try {
+        const saved = localStorage.getItem(STORAGE_KEY);
+        const parsed = saved ? JSON.parse(saved) : [];
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (err) {
+        console.error("Dados locais corrompidos, reiniciando lista:", err);
+        return [];
+    }
+}
+
+/** Grava todas as linhas (o localStorage só aceita strings) */
+function writeRows(rows) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(rows));
+}
+
+/**
+ * Gera um id único para a linha local.
+ * O prefixo "local-" deixa claro (no devtools e no layout salvo)
+ * que o registro nasceu no modo Offline.
+ */
+export function generateLocalId() {
+    if (typeof crypto !== "undefined" && crypto.randomUUID) {
+        return `local-${crypto.randomUUID()}`;
+    }
+    return `local-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Retorna as tecnologias de um board, ordenadas por prioridade (maior primeiro,
+ * mais recente no empate), igual ao `order("priority")` + `order("created_at")`
+ * do Supabase.
+ */
+export async function fetchLocalTechs(boardId) {
+    return readRows()
+        .filter((row) => row.board_id === boardId)
+        .sort(compareByPriority);
+}
+
+/**
+ * Insere uma nova tecnologia e retorna a linha salva (com id).
+ */
+export async function insertLocalTech(tech) {
+    const row = {
+        id: generateLocalId(),
+        created_at: new Date().toISOString(),
+        ...tech,
+    };
+    writeRows([row, ...readRows()]);
+    return row;
+}
+
+/**
+ * Atualiza os campos de uma tecnologia pelo id.
+ * Retorna a linha atualizada, ou null se ela não existir.
+ */
+export async function updateLocalTech(id, updates) {
+    let updated = null;
+    const rows = readRows().map((row) => {
+        if (String(row.id) !== String(id)) return row;
+        updated = { ...row, ...updates };
+        return updated;
+    });
+    writeRows(rows);
+    return updated;
+}
+
+/**
+ * Remove uma tecnologia pelo id (String cast para segurança de tipos).
+ */
+export async function deleteLocalTech(id) {
+    writeRows(readRows().filter((row) => String(row.id) !== String(id)));
+}
+
+/**
+ * Apaga de vez os itens da lixeira que passaram do período de retenção.
+ * Retorna os ids apagados.
+ */
+export async function purgeLocalTrash(boardId, now = Date.now()) {
+    const rows = readRows();
+    const expired = rows.filter((row) => row.board_id === boardId && isExpired(row, now));
+    if (expired.length > 0) {
+        writeRows(rows.filter((row) => !expired.includes(row)));
+    }
+    return expired.map((row) => row.id);
+}
+
+/** Remove todas as tecnologias de um board (usado ao excluir o board) */
+export async function deleteLocalTechsByBoard(boardId) {
+    writeRows(readRows().filter((row) => row.board_id !== boardId));
+}
+
+/**
+ * Linhas criadas antes de existirem boards não têm board_id.
+ * Elas são "adotadas" pelo primeiro board criado.
+ */
+export async function adoptOrphanLocalTechs(boardId) {
+    writeRows(readRows().map((row) => (row.board_id ? row : { ...row, board_id: boardId })));
+}
+
+// ═══════════════════════════════════════════════════════
+// 📦 CACHE DO SUPABASE — última lista recebida do servidor
+// ═══════════════════════════════════════════════════════
+
+/**
+ * Mesmo com o Supabase configurado, guardamos uma cópia da última
+ * resposta. Se a página for recarregada sem internet, a lista
+ * aparece a partir desta cópia (e a fila offline é aplicada por cima).
+ */
+const CACHE_KEY = "tech_wishlist_cache";
+
+// Maior updated_at da cópia salva (ponto de partida do fetch incremental)
+const CURSOR_KEY = "tech_wishlist_cursor";
+
+/**
+ * `scope` separa o cache de cada usuário (ver outbox.js).
+ *
+ * `cursor` é o updated_at mais recente da lista: o próximo fetch só
+ * pede o que mudou depois dele. Cache e cursor andam JUNTOS — sem a
+ * cópia salva, não há sobre o que aplicar as mudanças.
+ */
+export function cacheRemoteTechs(rows, scope = "default", cursor = null) {
+    try {
+        localStorage.setItem(`${CACHE_KEY}:${scope}`, JSON.stringify(rows));
+        if (cursor) localStorage.setItem(`${CURSOR_KEY}:${scope}`, cursor);
+        else localStorage.removeItem(`${CURSOR_KEY}:${scope}`);
+    } catch (err) {
+        // Cache é só uma otimização: se o storage estiver cheio, seguimos sem ele
+        localStorage.removeItem(`${CURSOR_KEY}:${scope}`);
+        console.warn("Não foi possível salvar o cache local:", err);
+    }
+}
+
+export function readCachedRemoteTechs(scope = "default") {
+    try {
+        const saved = localStorage.getItem(`${CACHE_KEY}:${scope}`);
+        const parsed = saved ? JSON.parse(saved) : [];
+        return Array.isArray(parsed) ? parsed : [];
+    } catch {
+        // Cópia corrompida: o cursor não vale mais nada sem ela
+        localStorage.removeItem(`${CURSOR_KEY}:${scope}`);
+        return [];
+    }
+}
+
+/** Cursor do fetch incremental (null → é preciso buscar tudo) */
+export function readSyncCursor(scope = "default") {
+    if (localStorage.getItem(`${CACHE_KEY}:${scope}`) === null) return null;
+    return localStorage.getItem(`${CURSOR_KEY}:${scope}`);
+}
+
+/** Apaga a cópia e o cursor de um escopo (ex: o board foi excluído) */
+export function clearCachedRemoteTechs(scope = "default") {
+    localStorage.removeItem(`${CACHE_KEY}:${scope}`);
+    localStorage.removeItem(`${CURSOR_KEY}:${scope}`);
+}
@@ -0,0 +1,141 @@
+/**
+ * markdown — Parser de Markdown PEQUENO (só o que as notas precisam).
+ *
+ * ╔══════════════════════════════════════════════════════════════════╗
+ * ║  🎓 MENTORIA — POR QUE NÃO innerHTML?                          ║
+ * ║                                                                ║
+ * ║  Converter Markdown em uma string HTML e jogar no              ║
+ * ║  dangerouslySetInnerHTML abre a porta para XSS: uma nota com   ║
+ * ║  <img onerror=...> executaria código. Aqui o texto vira uma    ║
+ * ║  ÁRVORE de objetos ({ type, children }) e o MarkdownView       ║
+ * ║  monta elementos React — o React escapa todo o texto sozinho.  ║
+ * ╚══════════════════════════════════════════════════════════════════╝
+ *
+ * Suportado:
+ *   # Título / ## / ###        - item / * item       1. item
+ *   ```bloco de código```      **negrito**  *itálico*  `código`
+ *   [texto](https://link)      parágrafos (linha em branco separa)
+ */
+
+// ═══════════════════════════════════════════════════════
+// Inline: **negrito**, *itálico*, `código`, [texto](url)
+// ═══════════════════════════════════════════════════════
+
+const INLINE_PATTERN = /(`[^`]+`)|(\*\*[^*]+\*\*)|(\*[^*\s][^*]*\*)|(\[[^\]]+\]\([^)\s]+\))/;
+
+/**
+ * Só deixa passar links http(s) e mailto. "javascript:alert(1)"
+ * é um link válido em Markdown — e um ataque clássico.
+ */
+export function safeUrl(url) {
+    return /^(https?:\/\/|mailto:)/i.test(url.trim()) ? url.trim() : null;
+}
+
+export function parseInline(text) {
+    const nodes = [];
+    let rest = text;
+
+    while (rest) {
+        const match = rest.match(INLINE_PATTERN);
+        if (!match) {
+            nodes.push({ type: "text", value: rest });
+            break;
+        }
+
+        if (match.index > 0) nodes.push({ type: "text", value: rest.slice(0, match.index) });
+        const token = match[0];
+
+        if (match[1]) {
+            nodes.push({ type: "code", value: token.slice(1, -1) });
+        } else if (match[2]) {
+            nodes.push({ type: "strong", children: parseInline(token.slice(2, -2)) });
+        } else if (match[3]) {
+            nodes.push({ type: "em", children: parseInline(token.slice(1, -1)) });
+        } else {
+            const [, label, url] = token.match(/^\[([^\]]+)\]\(([^)\s]+)\)$/);
+            const href = safeUrl(url);
+            nodes.push(
+                href
+                    ? { type: "link", href, children: parseInline(label) }
+                    : { type: "text", value: label }
+            );
+        }
+
+        rest = rest.slice(match.index + token.length);
+    }
+
+    return nodes;
+}
+
+// ═══════════════════════════════════════════════════════
+// Blocos: títulos, listas, código e parágrafos
+// ═══════════════════════════════════════════════════════
+
+const HEADING = /^(#{1,3})\s+(.*)$/;
+const BULLET = /^\s*[-*]\s+(.*)$/;
+const NUMBERED = /^\s*\d+[.)]\s+(.*)$/;
+const FENCE = /^\s*```/;
+
+/**
+ * Converte o texto em uma lista de blocos:
+ *   { type: "heading", level, children } | { type: "list", ordered, items: [children] }
+ *   { type: "codeblock", value }         | { type: "paragraph", children }
+ */
+export function parseMarkdown(text) {
+    const lines = (text ?? "").replace(/\r\n?/g, "\n").split("\n");
+    const blocks = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
+
+        if (FENCE.test(line)) {
+            const code = [];
+            i++;
+            while (i < lines.length && !FENCE.test(lines[i])) code.push(lines[i++]);
+            i++; // Pula o ``` de fechamento (se existir)
+            blocks.push({ type: "codeblock", value: code.join("\n") });
+            continue;
+        }
+
+        const heading = line.match(HEADING);
+        if (heading) {
+            blocks.push({ type: "heading", level: heading[1].length, children: parseInline(heading[2]) });
+            i++;
+            continue;
+        }
+
+        const listPattern = BULLET.test(line) ? BULLET : NUMBERED.test(line) ? NUMBERED : null;
+        if (listPattern) {
+            const items = [];
+            while (i < lines.length && listPattern.test(lines[i])) {
+                items.push(parseInline(lines[i].match(listPattern)[1]));
+                i++;
+            }
+            blocks.push({ type: "list", ordered: listPattern === NUMBERED, items });
+            continue;
+        }
+
+        // Parágrafo: junta as linhas até uma linha em branco ou outro bloco
+        const paragraph = [];
+        while (
+            i < lines.length &&
+            lines[i].trim() &&
+            !FENCE.test(lines[i]) &&
+            !HEADING.test(lines[i]) &&
+            !BULLET.test(lines[i]) &&
+            !NUMBERED.test(lines[i])
+        ) {
+            paragraph.push(lines[i].trim());
+            i++;
+        }
+        blocks.push({ type: "paragraph", children: parseInline(paragraph.join(" ")) });
+    }
+
+    return blocks;
+}
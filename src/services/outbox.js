@@ -0,0 +1,217 @@
+/**
+ * outbox — Fila durável de alterações feitas sem conexão.
+ *
+ * ╔══════════════════════════════════════════════════════════════════╗
+ * ║  🎓 MENTORIA — PADRÃO "OUTBOX" (CAIXA DE SAÍDA)                ║
+ * ║                                                                ║
+ * ║  Quando a rede (ou o Supabase) cai, não dá pra simplesmente    ║
+ * ║  jogar a alteração fora. Em vez disso, ela vai para uma FILA   ║
+ * ║  salva no localStorage — igual a um e-mail esperando na caixa  ║
+ * ║  de saída até a internet voltar.                               ║
+ * ║                                                                ║
+ * ║  Cada item da fila é uma "operação":                           ║
+ * ║    { opId, type, techId, payload, base, queuedAt }             ║
+ * ║  - type: "insert" | "update" | "delete"                        ║
+ * ║  - base: como a linha estava ANTES da alteração (usado para    ║
+ * ║    detectar se alguém mudou a mesma linha enquanto estávamos   ║
+ * ║    offline — um "conflito")                                    ║
+ * ║                                                                ║
+ * ║  A ordem importa: a fila é reenviada na MESMA ordem em que as  ║
+ * ║  alterações aconteceram (FIFO — First In, First Out).          ║
+ * ╚══════════════════════════════════════════════════════════════════╝
+ */
+
+const STORAGE_KEY = "tech_wishlist_outbox";
+
+/**
+ * Cada fila tem um "escopo" (ex: id do usuário logado), para que as
+ * pendências de uma conta nunca sejam reenviadas em nome de outra.
+ */
+const DEFAULT_SCOPE = "default";
+
+function storageKey(scope = DEFAULT_SCOPE) {
+    return `${STORAGE_KEY}:${scope}`;
+}
+
+/** Prefixo dos ids temporários de cards criados sem conexão */
+export const TEMP_ID_PREFIX = "tmp-";
+
+function generateId(prefix) {
+    if (typeof crypto !== "undefined" && crypto.randomUUID) {
+        return `${prefix}${crypto.randomUUID()}`;
+    }
+    return `${prefix}${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/** Gera um id temporário para um card que ainda não existe no servidor */
+export function createTempId() {
+    return generateId(TEMP_ID_PREFIX);
+}
+
+/** true se o id ainda é temporário (card não confirmado pelo servidor) */
+export function isTempId(id) {
+    return String(id).startsWith(TEMP_ID_PREFIX);
+}
+
+/** Lê a fila salva (lista vazia se não existir ou estiver corrompida) */
+export function readOutbox(scope) {
+    try {
+        const saved = localStorage.getItem(storageKey(scope));
+        const parsed = saved ? JSON.parse(saved) : [];
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (err) {
+        console.error("Fila offline corrompida, descartando:", err);
+        return [];
+    }
+}
+
+/** Salva a fila inteira e a retorna (útil para encadear com setState) */
+export function writeOutbox(ops, scope) {
+    localStorage.setItem(storageKey(scope), JSON.stringify(ops));
+    return ops;
+}
+
+/**
+ * Adiciona uma operação à fila, "compactando" quando possível.
+ *
+ * 🎓 Compactação evita trabalho inútil na hora de reenviar:
+ * - update de um card que ainda está na fila como insert
+ *   → os campos são mesclados no próprio insert
+ * - delete de um card que nunca chegou ao servidor
+ *   → o insert (e seus updates) simplesmente somem da fila
+ * - dois updates seguidos no mesmo card → viram um só
+ *   (mantendo o "base" do PRIMEIRO, que é o que o servidor conhece)
+ *
+ * @param {Object} op - { type, techId, payload?, base? }
+ * @param {string} scope - Escopo da fila (ver DEFAULT_SCOPE)
+ * @returns {Array} - A nova fila (já salva)
+ */
+export function enqueueMutation(op, scope) {
+    const ops = readOutbox(scope);
+    const sameTech = (o) => String(o.techId) === String(op.techId);
+    const pendingInsert = ops.find((o) => o.type === "insert" && sameTech(o));
+
+    if (op.type === "update" && pendingInsert) {
+        return writeOutbox(
+            ops.map((o) =>
+                o === pendingInsert ? { ...o, payload: { ...o.payload, ...op.payload } } : o,
+            ),
+            scope,
+        );
+    }
+
+    if (op.type === "delete" && pendingInsert) {
+        return writeOutbox(ops.filter((o) => !sameTech(o)), scope);
+    }
+
+    const last = ops[ops.length - 1];
+    if (op.type === "update" && last?.type === "update" && sameTech(last)) {
+        return writeOutbox(
+            [...ops.slice(0, -1), { ...last, payload: { ...last.payload, ...op.payload } }],
+            scope,
+        );
+    }
+
+    const entry = {
+        opId: generateId("op-"),
+        queuedAt: new Date().toISOString(),
+        ...op,
+    };
+
+    // Um delete torna inúteis os updates anteriores do mesmo card
+    const kept = op.type === "delete"
+        ? ops.filter((o) => !(o.type === "update" && sameTech(o)))
+        : ops;
+
+    return writeOutbox([...kept, entry], scope);
+}
+
+/** Remove uma operação da fila (depois de reenviada ou descartada) */
+export function removeMutation(opId, scope) {
+    return writeOutbox(readOutbox(scope).filter((o) => o.opId !== opId), scope);
+}
+
+/**
+ * Troca o id temporário dentro de uma lista de pré-requisitos
+ * (um card criado offline pode exigir outro também criado offline).
+ */
+export function remapPrerequisiteIds(row, tempId, serverId) {
+    if (!Array.isArray(row?.prerequisites) || !row.prerequisites.includes(String(tempId))) return row;
+    return {
+        ...row,
+        prerequisites: row.prerequisites.map((id) => (id === String(tempId) ? String(serverId) : id)),
+    };
+}
+
+/**
+ * Troca um id temporário pelo id definitivo em todas as operações
+ * restantes (quando o insert é confirmado pelo servidor) — inclusive
+ * nos pré-requisitos que apontam para ele.
+ */
+export function remapOutboxId(tempId, serverId, scope) {
+    return writeOutbox(
+        readOutbox(scope).map((o) => ({
+            ...o,
+            techId: String(o.techId) === String(tempId) ? serverId : o.techId,
+            payload: remapPrerequisiteIds(o.payload, tempId, serverId),
+            base: remapPrerequisiteIds(o.base, tempId, serverId),
+        })),
+        scope,
+    );
+}
+
+/**
+ * Move a fila de um escopo para outro. Usado quando os boards surgiram:
+ * a fila antiga (só por usuário) passa a pertencer ao board padrão,
+ * e os inserts pendentes ganham o board_id.
+ */
+export function moveOutbox(fromScope, toScope, boardId) {
+    const ops = readOutbox(fromScope);
+    if (ops.length === 0) return;
+
+    const moved = ops.map((o) =>
+        o.type === "insert" ? { ...o, payload: { ...o.payload, board_id: boardId } } : o,
+    );
+    writeOutbox([...moved, ...readOutbox(toScope)], toScope);
+    localStorage.removeItem(storageKey(fromScope));
+}
+
+/** Descarta a fila de um escopo (ex: o board foi excluído) */
+export function clearOutbox(scope) {
+    localStorage.removeItem(storageKey(scope));
+}
+
+/**
+ * Aplica a fila sobre uma lista de tecnologias (função pura).
+ * Assim a UI mostra o estado "como ficará" depois do reenvio,
+ * mesmo após um F5 sem internet.
+ */
+export function applyOutbox(techs, ops) {
+    return ops.reduce((list, op) => {
+        const matches = (t) => String(t.id) === String(op.techId);
+        switch (op.type) {
+            case "insert":
+                return list.some(matches) ? list : [{ id: op.techId, ...op.payload }, ...list];
+            case "update":
+                return list.map((t) => (matches(t) ? { ...t, ...op.payload } : t));
+            case "delete":
+                return list.filter((t) => !matches(t));
+            default:
+                return list;
+        }
+    }, techs);
+}
+
+/**
+ * Detecta se a resposta do Supabase indica "sem conexão".
+ *
+ * O supabase-js NÃO lança exceção quando o fetch falha: ele retorna
+ * { error, status: 0 }. Status 502/503/504 significam que o servidor
+ * está fora do ar. Nesses casos vale a pena enfileirar e tentar depois;
+ * qualquer outro erro (ex: validação) não vai se resolver sozinho.
+ */
+export function isConnectionError({ error, status } = {}) {
+    if (typeof navigator !== "undefined" && navigator.onLine === false) return true;
+    if (!error) return false;
+    return status === 0 || status === 502 || status === 503 || status === 504;
+}
@@ -0,0 +1,141 @@
+/**
+ * prerequisites — Grafo de pré-requisitos entre tecnologias.
+ *
+ * Cada tecnologia guarda os ids das que vêm ANTES dela:
+ *   React.prerequisites = ["<id do JavaScript>"]
+ *
+ * ╔══════════════════════════════════════════════════════════════════╗
+ * ║  🎓 MENTORIA — GRAFO DIRIGIDO ACÍCLICO (DAG)                   ║
+ * ║                                                                ║
+ * ║  Tecnologias são NÓS; "JavaScript antes de React" é uma ARESTA ║
+ * ║  JavaScript → React. Uma trilha de estudo só faz sentido se    ║
+ * ║  não houver CICLO (A antes de B antes de A). Sem ciclos, a     ║
+ * ║  "ordenação topológica" dá uma ordem em que todo pré-requisito ║
+ * ║  aparece antes de quem depende dele — a trilha de aprendizado. ║
+ * ╚══════════════════════════════════════════════════════════════════╝
+ *
+ * Ids são comparados como texto (o Supabase devolve números, o modo
+ * offline usa "local-..."). Pré-requisitos apontando para cards que não
+ * estão na lista (lixeira, outro board) são ignorados.
+ */
+
+/** Pré-requisitos de uma linha, como texto (lista vazia para linhas antigas) */
+export function techPrerequisites(tech) {
+    return Array.isArray(tech.prerequisites) ? tech.prerequisites.map(String) : [];
+}
+
+/**
+ * Arestas do grafo: [{ from, to }] com from = pré-requisito, to = dependente.
+ * Só entram arestas entre tecnologias presentes em `techs`.
+ */
+export function buildEdges(techs) {
+    const ids = new Set(techs.map((tech) => String(tech.id)));
+    return techs.flatMap((tech) =>
+        techPrerequisites(tech)
+            .filter((from) => ids.has(from) && from !== String(tech.id))
+            .map((from) => ({ from, to: String(tech.id) }))
+    );
+}
+
+/** { [id]: [ids que dependem dele] } */
+function dependentsMap(techs) {
+    const map = Object.fromEntries(techs.map((tech) => [String(tech.id), []]));
+    buildEdges(techs).forEach(({ from, to }) => map[from].push(to));
+    return map;
+}
+
+/**
+ * Adicionar `prerequisiteId` como pré-requisito de `techId` criaria um ciclo?
+ * Sim se techId já vem (direta ou indiretamente) antes de prerequisiteId —
+ * ou se for a própria tecnologia.
+ */
+export function wouldCreateCycle(techs, techId, prerequisiteId) {
+    const target = String(prerequisiteId);
+    const start = String(techId);
+    if (start === target) return true;
+
+    const dependents = dependentsMap(techs);
+    const seen = new Set([start]);
+    const stack = [start];
+    while (stack.length > 0) {
+        for (const next of dependents[stack.pop()] ?? []) {
+            if (next === target) return true;
+            if (!seen.has(next)) {
+                seen.add(next);
+                stack.push(next);
+            }
+        }
+    }
+    return false;
+}
+
+/** Maior prioridade primeiro; empate pelo nome */
+function byPriority(a, b) {
+    return b.priority - a.priority || a.name.localeCompare(b.name);
+}
+
+/**
+ * Trilha de aprendizado (algoritmo de Kahn):
+ * repete "pegue quem não tem pré-requisito pendente" — entre os
+ * disponíveis, a maior prioridade vai primeiro.
+ *
+ * @returns {{ path: Array<{ tech, depth }>, cyclic: Array }}
+ *   path   → ordem de estudo; depth = "camada" (0 = sem pré-requisitos)
+ *   cyclic → tecnologias presas em um ciclo (não entram na trilha)
+ */
+export function learningPath(techs) {
+    const byId = new Map(techs.map((tech) => [String(tech.id), tech]));
+    const dependents = dependentsMap(techs);
+    const pending = new Map(techs.map((tech) => [String(tech.id), 0]));
+    buildEdges(techs).forEach(({ to }) => pending.set(to, pending.get(to) + 1));
+
+    const depth = new Map();
+    let available = techs.filter((tech) => pending.get(String(tech.id)) === 0);
+    available.forEach((tech) => depth.set(String(tech.id), 0));
+
+    const path = [];
+    while (available.length > 0) {
+        available.sort(byPriority);
+        const tech = available.shift();
+        const id = String(tech.id);
+        path.push({ tech, depth: depth.get(id) });
+
+        for (const next of dependents[id]) {
+            depth.set(next, Math.max(depth.get(next) ?? 0, depth.get(id) + 1));
+            pending.set(next, pending.get(next) - 1);
+            if (pending.get(next) === 0) available.push(byId.get(next));
+        }
+    }
+
+    const inPath = new Set(path.map((step) => String(step.tech.id)));
+    return { path, cyclic: techs.filter((tech) => !inPath.has(String(tech.id))) };
+}
+
+/**
+ * Ids que fazem parte de um ciclo (ex: dados que vieram de outra aba
+ * ou de um import). As setas entre eles são destacadas no canvas.
+ */
+export function cyclicIds(techs) {
+    return new Set(learningPath(techs).cyclic.map((tech) => String(tech.id)));
+}
+
+/**
+ * Posições "em camadas" para o canvas: cada coluna é uma profundidade
+ * da trilha (pré-requisitos à esquerda). Ciclos vão para a última coluna.
+ */
+export function layeredPositions(techs, { origin = { x: 420, y: 40 }, columnGap = 340, rowGap = 110 } = {}) {
+    const { path, cyclic } = learningPath(techs);
+    const lastDepth = path.reduce((max, step) => Math.max(max, step.depth), -1);
+    const rows = {};
+    const positions = {};
+
+    const place = (tech, depth) => {
+        const row = rows[depth] ?? 0;
+        rows[depth] = row + 1;
+        positions[tech.id] = { x: origin.x + depth * columnGap, y: origin.y + row * rowGap };
+    };
+
+    path.forEach(({ tech, depth }) => place(tech, depth));
+    cyclic.forEach((tech) => place(tech, lastDepth + 1));
+    return positions;
+}
@@ -0,0 +1,67 @@
+/**
+ * progress — Progresso e diário de estudo de uma tecnologia.
+ *
+ * Cada tecnologia guarda:
+ *   progress:       0 a 100 (%)
+ *   study_sessions: [{ id, date: "2026-10-19", minutes: 45, note }]
+ *
+ * As sessões ficam numa coluna JSON da própria linha: assim passam
+ * pelo mesmo updateTech (UI otimista, fila offline, desfazer) que
+ * qualquer outra edição do card.
+ */
+import { generateLocalId } from "./localTechStore";
+import { isProgressFromChecklist, techChecklist, checklistPercent } from "./checklist";
+
+/**
+ * Progresso de uma linha, com padrão para linhas antigas (0%).
+ * Se o card usa o checklist como progresso, o valor vem dele.
+ */
+export function techProgress(tech) {
+    if (isProgressFromChecklist(tech)) return checklistPercent(techChecklist(tech));
+    const value = Number(tech.progress);
+    return Number.isFinite(value) ? Math.min(100, Math.max(0, Math.round(value))) : 0;
+}
+
+/** Sessões de uma linha (lista vazia para linhas antigas) */
+export function techSessions(tech) {
+    return Array.isArray(tech.study_sessions) ? tech.study_sessions : [];
+}
+
+/** Data de hoje no formato do <input type="date"> (fuso local) */
+export function todayISODate(now = new Date()) {
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+/** Nova sessão de estudo (o id permite remover uma sessão específica) */
+export function createSession({ date, minutes, note = "" }) {
+    return {
+        id: generateLocalId().replace(/^local-/, "session-"),
+        date,
+        minutes,
+        note: note.trim(),
+    };
+}
+
+/** Mais recentes primeiro */
+export function sortSessions(sessions) {
+    return [...sessions].sort((a, b) => b.date.localeCompare(a.date));
+}
+
+export function totalMinutes(sessions) {
+    return sessions.reduce((sum, session) => sum + (Number(session.minutes) || 0), 0);
+}
+
+/** 95 → "1h 35min" · 45 → "45min" · 120 → "2h" */
+export function formatDuration(minutes) {
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    if (hours === 0) return `${rest}min`;
+    return rest === 0 ? `${hours}h` : `${hours}h ${rest}min`;
+}
+
+/** "2026-10-19" → "19/10/2026" (sem passar por Date: evita erro de fuso) */
+export function formatSessionDate(date) {
+    const [year, month, day] = date.split("-");
+    return `${day}/${month}/${year}`;
+}
@@ -0,0 +1,51 @@
+/**
+ * resources — Anotações e links de estudo de uma tecnologia.
+ *
+ * Cada tecnologia guarda:
+ *   notes: texto em Markdown (ver services/markdown)
+ *   links: [{ id, title, url }] — cursos, docs, repositórios...
+ *
+ * Como o diário de estudo (progress.js), ficam na própria linha e
+ * são salvos pelo updateTech.
+ */
+import { generateLocalId } from "./localTechStore";
+import { safeUrl } from "./markdown";
+
+export function techNotes(tech) {
+    return typeof tech.notes === "string" ? tech.notes : "";
+}
+
+export function techLinks(tech) {
+    return Array.isArray(tech.links) ? tech.links : [];
+}
+
+/** true se o card tem algo para mostrar no indicador */
+export function hasResources(tech) {
+    return techNotes(tech).trim() !== "" || techLinks(tech).length > 0;
+}
+
+/**
+ * Normaliza o que o usuário digitou: "react.dev" → "https://react.dev".
+ * Retorna null se não for um link http(s) válido.
+ */
+export function normalizeUrl(input) {
+    const trimmed = input.trim();
+    if (!trimmed) return null;
+
+    const withScheme = /^[a-z][a-z\d+.-]*:/i.test(trimmed) ? trimmed : `https://${trimmed}`;
+    try {
+        const url = new URL(withScheme);
+        return /^https?:$/.test(url.protocol) && safeUrl(url.href) ? url.href : null;
+    } catch {
+        return null;
+    }
+}
+
+/** Novo link; sem título, usa o domínio (ex: "react.dev") */
+export function createLink({ title, url }) {
+    return {
+        id: generateLocalId().replace(/^local-/, "link-"),
+        title: title.trim() || new URL(url).hostname.replace(/^www\./, ""),
+        url,
+    };
+}
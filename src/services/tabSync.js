@@ -0,0 +1,48 @@
+/**
+ * tabSync — Comunicação entre abas do mesmo app (BroadcastChannel).
+ *
+ * ╔══════════════════════════════════════════════════════════════════╗
+ * ║  🎓 MENTORIA — BROADCASTCHANNEL                                ║
+ * ║                                                                ║
+ * ║  Todas as abas do mesmo site podem abrir um canal com o mesmo  ║
+ * ║  nome e trocar mensagens. A aba que ENVIA não recebe a própria ║
+ * ║  mensagem — só as outras.                                      ║
+ * ║                                                                ║
+ * ║  Evitando loops: quem RECEBE uma mudança aplica no estado, mas ║
+ * ║  não a retransmite (ver useCrossTabLayout e useTechs).          ║
+ * ╚══════════════════════════════════════════════════════════════════╝
+ *
+ * Mensagens usadas:
+ *   { kind: "layout", boardId, section, value }  → layout mudou
+ *   { kind: "techs", scope }                     → lista/fila local mudou
+ *
+ * Navegadores sem BroadcastChannel simplesmente não sincronizam.
+ */
+
+const CHANNEL_NAME = "tech_wishlist_sync";
+
+let channel = null;
+const listeners = new Set();
+
+function getChannel() {
+    if (!channel && typeof BroadcastChannel !== "undefined") {
+        channel = new BroadcastChannel(CHANNEL_NAME);
+        channel.onmessage = (event) => listeners.forEach((listener) => listener(event.data));
+    }
+    return channel;
+}
+
+/** Envia uma mensagem para as OUTRAS abas */
+export function broadcast(message) {
+    getChannel()?.postMessage(message);
+}
+
+/**
+ * Escuta mensagens das outras abas.
+ * Retorna a função de cancelamento (pronta para a cleanup de um useEffect).
+ */
+export function subscribe(listener) {
+    getChannel();
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
@@ -0,0 +1,42 @@
+/**
+ * trash — Regras da lixeira (soft delete).
+ *
+ * Remover uma tecnologia só preenche `deleted_at`; a linha continua no
+ * banco e pode ser restaurada. Depois do período de retenção ela é
+ * apagada de vez (purge).
+ *
+ * O período é configurável no .env:
+ *   VITE_TRASH_RETENTION_DAYS=30
+ */
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function readRetentionDays() {
+    const days = Number(import.meta.env.VITE_TRASH_RETENTION_DAYS);
+    return Number.isFinite(days) && days > 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+/** Dias que uma tecnologia fica na lixeira antes de ser apagada de vez */
+export const TRASH_RETENTION_DAYS = readRetentionDays();
+
+/** true se a linha está na lixeira */
+export function isTrashed(row) {
+    return Boolean(row.deleted_at);
+}
+
+/** Data (ISO) antes da qual os itens da lixeira já expiraram */
+export function trashCutoff(now = Date.now()) {
+    return new Date(now - TRASH_RETENTION_DAYS * DAY_MS).toISOString();
+}
+
+/** true se o item está na lixeira há mais tempo que a retenção */
+export function isExpired(row, now = Date.now()) {
+    return isTrashed(row) && Date.parse(row.deleted_at) < Date.parse(trashCutoff(now));
+}
+
+/** Quantos dias faltam para o item ser apagado de vez (mínimo 0) */
+export function daysUntilPurge(row, now = Date.now()) {
+    const expiresAt = new Date(row.deleted_at).getTime() + TRASH_RETENTION_DAYS * DAY_MS;
+    return Math.max(0, Math.ceil((expiresAt - now) / DAY_MS));
+}
@@ -23,7 +23,7 @@ if (!supabaseUrl || !supabaseKey) {
         "Crie um arquivo .env na raiz do projeto com:\n" +
         "  VITE_SUPABASE_URL=sua_url\n" +
         "  VITE_SUPABASE_ANON_KEY=sua_chave\n" +
-        "A aplicação vai funcionar em modo offline (sem persistência)."
+        "A aplicação vai funcionar em modo offline (dados salvos no navegador)."
     );
 }
 
@@ -0,0 +1,14 @@
+-- ═══════════════════════════════════════════════════════
+-- Realtime para a tabela tech_wishlist
+-- ═══════════════════════════════════════════════════════
+--
+-- O useTechs escuta INSERT/UPDATE/DELETE via Supabase Realtime.
+-- Para o Postgres publicar essas mudanças, a tabela precisa fazer
+-- parte da publicação "supabase_realtime".
+--
+-- REPLICA IDENTITY FULL faz o evento de DELETE trazer a linha antiga
+-- completa (por padrão viria só a chave primária).
+
+alter publication supabase_realtime add table public.tech_wishlist;
+
+alter table public.tech_wishlist replica identity full;
@@ -0,0 +1,22 @@
+-- ═══════════════════════════════════════════════════════
+-- Layout do canvas salvo no servidor
+-- ═══════════════════════════════════════════════════════
+--
+-- Um documento JSON por chave (layout_key), com uma entrada por seção:
+--   { "positions": { "value": {...}, "updatedAt": 1718000000000 }, ... }
+--
+-- O merge "last-write-wins" por seção é feito no cliente
+-- (src/services/layoutSync.js); o banco só guarda o documento.
+
+create table if not exists public.tech_layouts (
+  layout_key text primary key,
+  layout jsonb not null default '{}'::jsonb,
+  updated_at timestamptz not null default now()
+);
+
+-- RLS ligada desde já e SEM políticas: ninguém lê nem grava pela anon
+-- key (só a service role). Sem dono por linha, qualquer política aberta
+-- deixaria um usuário ler e sobrescrever o layout de todos. As políticas
+-- por dono chegam com as contas (20261018000003_auth_owner_rls.sql);
+-- até lá o sync falha em silêncio e o layout segue no localStorage.
+alter table public.tech_layouts enable row level security;
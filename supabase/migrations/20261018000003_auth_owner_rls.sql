@@ -0,0 +1,44 @@
+-- ═══════════════════════════════════════════════════════
+-- Contas de usuário: cada wishlist pertence a alguém
+-- ═══════════════════════════════════════════════════════
+--
+-- owner: preenchido automaticamente com o usuário logado (auth.uid()).
+-- RLS (Row Level Security): o PRÓPRIO banco garante que cada usuário
+-- só lê e altera as suas linhas — mesmo que alguém use a anon key
+-- direto pela API.
+--
+-- ATENÇÃO: linhas antigas (criadas antes das contas) ficam com
+-- owner = null e deixam de aparecer. Para adotá-las:
+--   update public.tech_wishlist set owner = '<id-do-usuario>' where owner is null;
+
+-- ─── tech_wishlist ───
+alter table public.tech_wishlist
+  add column if not exists owner uuid references auth.users (id) on delete cascade
+  default auth.uid();
+
+create index if not exists tech_wishlist_owner_idx on public.tech_wishlist (owner);
+
+alter table public.tech_wishlist enable row level security;
+
+create policy "Dono lê suas tecnologias" on public.tech_wishlist
+  for select using (auth.uid() = owner);
+
+create policy "Dono cria suas tecnologias" on public.tech_wishlist
+  for insert with check (auth.uid() = owner);
+
+create policy "Dono altera suas tecnologias" on public.tech_wishlist
+  for update using (auth.uid() = owner) with check (auth.uid() = owner);
+
+create policy "Dono remove suas tecnologias" on public.tech_wishlist
+  for delete using (auth.uid() = owner);
+
+-- ─── tech_layouts ───
+-- O app usa o id do usuário como layout_key.
+alter table public.tech_layouts
+  add column if not exists owner uuid references auth.users (id) on delete cascade
+  default auth.uid();
+
+alter table public.tech_layouts enable row level security;
+
+create policy "Dono gerencia seu layout" on public.tech_layouts
+  for all using (auth.uid() = owner) with check (auth.uid() = owner);
@@ -0,0 +1,80 @@
+-- ═══════════════════════════════════════════════════════
+-- Boards: várias wishlists independentes por usuário
+-- ═══════════════════════════════════════════════════════
+--
+-- Cada tecnologia pertence a um board (board_id). Excluir o board
+-- remove as tecnologias junto (on delete cascade) e o layout salvo
+-- (trigger abaixo — tech_layouts usa o id do board como layout_key).
+
+create table if not exists public.boards (
+  id uuid primary key default gen_random_uuid(),
+  owner uuid not null references auth.users (id) on delete cascade default auth.uid(),
+  name text not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists boards_owner_idx on public.boards (owner);
+
+alter table public.boards enable row level security;
+
+create policy "Dono gerencia seus boards" on public.boards
+  for all using (auth.uid() = owner) with check (auth.uid() = owner);
+
+-- ─── tech_wishlist.board_id ───
+alter table public.tech_wishlist
+  add column if not exists board_id uuid references public.boards (id) on delete cascade;
+
+create index if not exists tech_wishlist_board_idx on public.tech_wishlist (board_id);
+
+-- Só é possível colocar tecnologias em boards próprios
+drop policy if exists "Dono cria suas tecnologias" on public.tech_wishlist;
+create policy "Dono cria suas tecnologias" on public.tech_wishlist
+  for insert with check (
+    auth.uid() = owner
+    and exists (select 1 from public.boards b where b.id = board_id and b.owner = auth.uid())
+  );
+
+drop policy if exists "Dono altera suas tecnologias" on public.tech_wishlist;
+create policy "Dono altera suas tecnologias" on public.tech_wishlist
+  for update using (auth.uid() = owner) with check (
+    auth.uid() = owner
+    and exists (select 1 from public.boards b where b.id = board_id and b.owner = auth.uid())
+  );
+
+-- ─── Migração dos dados existentes ───
+-- Um board padrão por usuário que já tinha tecnologias...
+insert into public.boards (owner, name)
+select distinct t.owner, 'Minha Wishlist'
+from public.tech_wishlist t
+where t.owner is not null
+  and not exists (select 1 from public.boards b where b.owner = t.owner);
+
+-- ...que recebe essas tecnologias...
+update public.tech_wishlist t
+set board_id = b.id
+from public.boards b
+where b.owner = t.owner and t.board_id is null;
+
+-- ...e o layout que antes era salvo com o id do usuário
+update public.tech_layouts l
+set layout_key = b.id::text
+from public.boards b
+where l.layout_key = b.owner::text;
+
+-- ─── Limpeza do layout ao excluir um board ───
+create or replace function public.delete_board_layout()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  delete from public.tech_layouts where layout_key = old.id::text;
+  return old;
+end;
+$$;
+
+drop trigger if exists boards_delete_layout on public.boards;
+create trigger boards_delete_layout
+  after delete on public.boards
+  for each row execute function public.delete_board_layout();
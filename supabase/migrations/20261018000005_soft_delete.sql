@@ -0,0 +1,17 @@
+-- ═══════════════════════════════════════════════════════
+-- Lixeira: soft delete em tech_wishlist
+-- ═══════════════════════════════════════════════════════
+--
+-- "Remover" no app só preenche deleted_at. A linha continua aqui e
+-- pode ser restaurada (deleted_at = null) pela lixeira.
+--
+-- O próprio app apaga de vez os itens mais antigos que o período de
+-- retenção (VITE_TRASH_RETENTION_DAYS, padrão 30 dias) ao abrir o board.
+
+alter table public.tech_wishlist
+  add column if not exists deleted_at timestamptz;
+
+-- Acelera o purge (delete ... where deleted_at < corte)
+create index if not exists tech_wishlist_deleted_at_idx
+  on public.tech_wishlist (board_id, deleted_at)
+  where deleted_at is not null;
@@ -0,0 +1,30 @@
+-- ═══════════════════════════════════════════════════════
+-- updated_at em tech_wishlist (base do fetch incremental)
+-- ═══════════════════════════════════════════════════════
+--
+-- O app guarda o maior updated_at que já viu e, nas buscas seguintes,
+-- pede só as linhas alteradas depois dele (em vez da tabela inteira).
+-- O trigger garante que TODO update mexa na coluna — o cliente não
+-- precisa (nem deve) enviá-la.
+
+alter table public.tech_wishlist
+  add column if not exists updated_at timestamptz not null default now();
+
+create or replace function public.set_updated_at()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at = now();
+  return new;
+end;
+$$;
+
+drop trigger if exists tech_wishlist_set_updated_at on public.tech_wishlist;
+create trigger tech_wishlist_set_updated_at
+  before update on public.tech_wishlist
+  for each row execute function public.set_updated_at();
+
+-- Acelera o "where board_id = ... and updated_at >= cursor"
+create index if not exists tech_wishlist_updated_at_idx
+  on public.tech_wishlist (board_id, updated_at);
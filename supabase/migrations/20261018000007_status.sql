@@ -0,0 +1,16 @@
+-- ═══════════════════════════════════════════════════════
+-- Status de estudo em tech_wishlist
+-- ═══════════════════════════════════════════════════════
+--
+-- wishlist → learning → learned, ou dropped (abandonada).
+-- Linhas existentes começam como "wishlist". O app também trata
+-- status ausente como "wishlist" (cache antigo, modo Offline).
+
+alter table public.tech_wishlist
+  add column if not exists status text not null default 'wishlist';
+
+alter table public.tech_wishlist
+  drop constraint if exists tech_wishlist_status_check;
+alter table public.tech_wishlist
+  add constraint tech_wishlist_status_check
+  check (status in ('wishlist', 'learning', 'learned', 'dropped'));
@@ -0,0 +1,22 @@
+-- ═══════════════════════════════════════════════════════
+-- Progresso e diário de estudo em tech_wishlist
+-- ═══════════════════════════════════════════════════════
+--
+-- progress:       0 a 100 (%)
+-- study_sessions: [{ id, date, minutes, note }] — o diário fica na
+--                 própria linha, então viaja junto com ela (Realtime,
+--                 fila offline, export/import).
+
+alter table public.tech_wishlist
+  add column if not exists progress smallint not null default 0,
+  add column if not exists study_sessions jsonb not null default '[]'::jsonb;
+
+alter table public.tech_wishlist
+  drop constraint if exists tech_wishlist_progress_check;
+alter table public.tech_wishlist
+  add constraint tech_wishlist_progress_check check (progress between 0 and 100);
+
+alter table public.tech_wishlist
+  drop constraint if exists tech_wishlist_study_sessions_check;
+alter table public.tech_wishlist
+  add constraint tech_wishlist_study_sessions_check check (jsonb_typeof(study_sessions) = 'array');
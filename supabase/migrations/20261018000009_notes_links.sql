@@ -0,0 +1,15 @@
+-- ═══════════════════════════════════════════════════════
+-- Notas e links de estudo em tech_wishlist
+-- ═══════════════════════════════════════════════════════
+--
+-- notes: texto em Markdown (renderizado no app, nunca como HTML cru)
+-- links: [{ id, title, url }] — cursos, documentação, repositórios
+
+alter table public.tech_wishlist
+  add column if not exists notes text not null default '',
+  add column if not exists links jsonb not null default '[]'::jsonb;
+
+alter table public.tech_wishlist
+  drop constraint if exists tech_wishlist_links_check;
+alter table public.tech_wishlist
+  add constraint tech_wishlist_links_check check (jsonb_typeof(links) = 'array');
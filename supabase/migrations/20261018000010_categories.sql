@@ -0,0 +1,18 @@
+-- ═══════════════════════════════════════════════════════
+-- Categorias em tech_wishlist
+-- ═══════════════════════════════════════════════════════
+--
+-- categories: ["frontend", "tools", ...] — ids de src/data/categories.js
+--
+-- Fica NULL até o usuário (ou o cadastro) definir: o app então deriva
+-- a categoria do catálogo de ícones pelo nome. Assim as linhas antigas
+-- ganham categoria sem backfill — o catálogo só existe no front.
+
+alter table public.tech_wishlist
+  add column if not exists categories jsonb;
+
+alter table public.tech_wishlist
+  drop constraint if exists tech_wishlist_categories_check;
+alter table public.tech_wishlist
+  add constraint tech_wishlist_categories_check
+  check (categories is null or jsonb_typeof(categories) = 'array');
@@ -0,0 +1,13 @@
+-- ═══════════════════════════════════════════════════════
+-- Data-alvo (meta de estudo) em tech_wishlist
+-- ═══════════════════════════════════════════════════════
+--
+-- target_date: o DIA da meta (sem hora nem fuso) — null = sem meta.
+-- O app compara com a data local para marcar "chegando" / "atrasada".
+
+alter table public.tech_wishlist
+  add column if not exists target_date date;
+
+create index if not exists tech_wishlist_target_date_idx
+  on public.tech_wishlist (board_id, target_date)
+  where target_date is not null;
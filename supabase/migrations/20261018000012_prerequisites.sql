@@ -0,0 +1,15 @@
+-- ═══════════════════════════════════════════════════════
+-- Pré-requisitos entre tecnologias em tech_wishlist
+-- ═══════════════════════════════════════════════════════
+--
+-- prerequisites: ["12", "15"] — ids (como texto) das tecnologias que
+-- vêm ANTES desta. Ciclos são barrados no app; ids de cards apagados
+-- são ignorados na leitura (e voltam a valer se o card for restaurado).
+
+alter table public.tech_wishlist
+  add column if not exists prerequisites jsonb not null default '[]'::jsonb;
+
+alter table public.tech_wishlist
+  drop constraint if exists tech_wishlist_prerequisites_check;
+alter table public.tech_wishlist
+  add constraint tech_wishlist_prerequisites_check check (jsonb_typeof(prerequisites) = 'array');
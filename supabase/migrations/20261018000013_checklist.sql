@@ -0,0 +1,16 @@
+-- ═══════════════════════════════════════════════════════
+-- Checklist de sub-metas em tech_wishlist
+-- ═══════════════════════════════════════════════════════
+--
+-- checklist:          [{ id, text, done }] — a ordem do array é a ordem das etapas
+-- checklist_progress: true → o progresso exibido vem do checklist
+--                     (a coluna progress continua guardando o valor manual)
+
+alter table public.tech_wishlist
+  add column if not exists checklist jsonb not null default '[]'::jsonb,
+  add column if not exists checklist_progress boolean not null default false;
+
+alter table public.tech_wishlist
+  drop constraint if exists tech_wishlist_checklist_check;
+alter table public.tech_wishlist
+  add constraint tech_wishlist_checklist_check check (jsonb_typeof(checklist) = 'array');
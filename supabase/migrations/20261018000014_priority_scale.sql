@@ -0,0 +1,24 @@
+-- ═══════════════════════════════════════════════════════
+-- Escala de prioridades configurável por board
+-- ═══════════════════════════════════════════════════════
+--
+-- priority_scale: { levels: [{ label, color }, ...], defaultLevel }
+--   levels vai da menor para a maior prioridade: tech_wishlist.priority = N
+--   usa levels[N - 1]. null = escala padrão de 5 níveis (Baixa ... Urgente).
+--
+-- O app converte as prioridades das tecnologias ao trocar o número de
+-- níveis, então a ordenação por priority continua valendo.
+
+alter table public.boards
+  add column if not exists priority_scale jsonb;
+
+alter table public.boards
+  drop constraint if exists boards_priority_scale_check;
+alter table public.boards
+  add constraint boards_priority_scale_check check (
+    priority_scale is null
+    or (
+      jsonb_typeof(priority_scale -> 'levels') = 'array'
+      and jsonb_array_length(priority_scale -> 'levels') between 2 and 7
+    )
+  );